@@ -0,0 +1,95 @@
+/**
+ * Mock Ollama Server
+ * Serves the mock backend over HTTP, so the app (or any Ollama client) can
+ * run against it without a GPU:
+ *
+ *   npm run mock-server -- --port 11435 --scenarios my-scenarios.json
+ *   VITE_OLLAMA_BASE_URL=http://localhost:11435 npm run dev
+ *
+ * The scenarios file holds an array of scenarios as described in
+ * src/services/llm/mock/scenarios.js, added to the built-in ones
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { MockOllamaBackend, streamEvents, BUILT_IN_SCENARIOS } from '../src/services/llm/mock/index.js';
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '11435' },
+    host: { type: 'string', default: '127.0.0.1' },
+    scenarios: { type: 'string' }
+  }
+});
+
+const customScenarios = args.scenarios ? JSON.parse(readFileSync(args.scenarios, 'utf8')) : [];
+const backend = new MockOllamaBackend({ scenarios: [...BUILT_IN_SCENARIOS, ...customScenarios] });
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const readBody = async (request) => {
+  let text = '';
+  for await (const chunk of request) {
+    text += chunk;
+  }
+  return text ? JSON.parse(text) : {};
+};
+
+const server = http.createServer(async (request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS).end();
+    return;
+  }
+
+  let body;
+  try {
+    body = await readBody(request);
+  } catch {
+    response.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: 'invalid JSON body' }));
+    return;
+  }
+
+  let result;
+  try {
+    result = backend.handle(request.method, request.url, body);
+  } catch (error) {
+    // A broken scenario fails its request, not the whole server
+    console.error(`${request.method} ${request.url} 500`, error);
+    response.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: error.message }));
+    return;
+  }
+  console.log(`${request.method} ${request.url} ${result.status}`);
+
+  if (!result.events) {
+    response.writeHead(result.status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(result.body));
+    return;
+  }
+
+  // Stop playing the scenario when the client goes away
+  const controller = new AbortController();
+  response.on('close', () => controller.abort());
+
+  response.writeHead(result.status, { ...CORS_HEADERS, 'Content-Type': 'application/x-ndjson' });
+  for await (const event of streamEvents(result.events, controller.signal)) {
+    if (event.disconnect) {
+      response.destroy();
+      return;
+    }
+    response.write(`${JSON.stringify(event)}\n`);
+  }
+  response.end();
+});
+
+server.listen(Number(args.port), args.host, () => {
+  const models = [...backend.installed.keys()].join(', ');
+  console.log(`Mock Ollama server listening on http://${args.host}:${args.port}`);
+  console.log(`Installed models: ${models}`);
+});
@@ -1,15 +1,40 @@
 import React, { useState } from 'react';
 import ChatInterfaceView from './views/ChatInterfaceView/ChatInterfaceView';
 import ProfileView from './views/ProfileView/ProfileView';
+import ModelsView from './views/ModelsView/ModelsView';
+import PersonasView from './views/PersonasView/PersonasView';
+import KnowledgeView from './views/KnowledgeView/KnowledgeView';
+import EndpointsView from './views/EndpointsView/EndpointsView';
+import PromptsView from './views/PromptsView/PromptsView';
 import './App.css';
 
 function App() {
-  const [currentView, setCurrentView] = useState('chat'); // 'chat' or 'profile'
+  const [currentView, setCurrentView] = useState('chat'); // 'chat', 'profile', 'models', 'personas', 'knowledge', 'endpoints' or 'prompts'
 
   const navigateToProfile = () => {
     setCurrentView('profile');
   };
 
+  const navigateToModels = () => {
+    setCurrentView('models');
+  };
+
+  const navigateToPersonas = () => {
+    setCurrentView('personas');
+  };
+
+  const navigateToKnowledge = () => {
+    setCurrentView('knowledge');
+  };
+
+  const navigateToEndpoints = () => {
+    setCurrentView('endpoints');
+  };
+
+  const navigateToPrompts = () => {
+    setCurrentView('prompts');
+  };
+
   const navigateToChat = () => {
     setCurrentView('chat');
   };
@@ -17,11 +42,33 @@ function App() {
   return (
     <>
       {currentView === 'chat' && (
-        <ChatInterfaceView onNavigateToProfile={navigateToProfile} />
+        <ChatInterfaceView
+          onNavigateToProfile={navigateToProfile}
+          onNavigateToModels={navigateToModels}
+          onNavigateToPersonas={navigateToPersonas}
+          onNavigateToKnowledge={navigateToKnowledge}
+          onNavigateToEndpoints={navigateToEndpoints}
+          onNavigateToPrompts={navigateToPrompts}
+        />
       )}
       {currentView === 'profile' && (
         <ProfileView onNavigateToChat={navigateToChat} />
       )}
+      {currentView === 'models' && (
+        <ModelsView onNavigateToChat={navigateToChat} />
+      )}
+      {currentView === 'personas' && (
+        <PersonasView onNavigateToChat={navigateToChat} />
+      )}
+      {currentView === 'knowledge' && (
+        <KnowledgeView onNavigateToChat={navigateToChat} />
+      )}
+      {currentView === 'endpoints' && (
+        <EndpointsView onNavigateToChat={navigateToChat} />
+      )}
+      {currentView === 'prompts' && (
+        <PromptsView onNavigateToChat={navigateToChat} />
+      )}
     </>
   );
 }
@@ -1,32 +1,219 @@
 import React, { useState, useRef, useEffect } from 'react';
 import Button from '../../common/Button/Button';
+import SlashCommandMenu from '../SlashCommandMenu/SlashCommandMenu';
+import TemplateVariablesForm from '../TemplateVariablesForm/TemplateVariablesForm';
+import {
+  ACCEPTED_FILE_TYPES,
+  MAX_ATTACHMENTS,
+  isDocumentFile,
+  isImageFile,
+  readAttachmentFile,
+} from '../../../utils/attachments';
+import { formatBytes } from '../../../utils/formatters';
+import { getCommandSuggestions, getTemplateVariables, parseCommand } from '../../../services/prompts/index.js';
 import './ChatInput.css';
 
-const ChatInput = ({ onSendMessage, isLoading, placeholder = "Ask me anything..." }) => {
+const ChatInput = ({
+  onSendMessage,
+  onCommand,
+  isLoading,
+  placeholder = "Ask me anything, or type / for commands...",
+  imageWarning = null,
+  templates = [],
+  models = [],
+}) => {
   const [inputValue, setInputValue] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isReading, setIsReading] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [isMenuDismissed, setIsMenuDismissed] = useState(false);
+  // Template whose {{variables}} are being filled in: { template, variables }
+  const [openTemplate, setOpenTemplate] = useState(null);
+  const [commandError, setCommandError] = useState(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const canSend = (inputValue.trim() || attachments.length > 0) && !isLoading && !isReading;
+  const hasImages = attachments.some((attachment) => attachment.type === 'image');
+  // Slash commands are only offered when the view handles them
+  const suggestions = onCommand && !isMenuDismissed
+    ? getCommandSuggestions(inputValue, { templates, models })
+    : [];
+  const isMenuOpen = suggestions.length > 0 && !isLoading;
+
+  const handleInputChange = (e) => {
+    setInputValue(e.target.value);
+    setActiveSuggestion(0);
+    setIsMenuDismissed(false);
+    setCommandError(null);
+  };
+
+  const insertText = (text) => {
+    setInputValue(text);
+    setIsMenuDismissed(true);
+    textareaRef.current?.focus();
+  };
+
+  const runCommand = async (name, args) => {
+    setInputValue('');
+    setCommandError(null);
+
+    try {
+      await onCommand(name, args);
+    } catch (error) {
+      setCommandError(error.message);
+    }
+  };
+
+  // Templates with variables ask for their values, others go straight into the input
+  const applyTemplate = (template) => {
+    const variables = getTemplateVariables(template.content);
+    if (variables.length > 0) {
+      setInputValue('');
+      setOpenTemplate({ template, variables });
+    } else {
+      insertText(template.content);
+    }
+  };
+
+  const selectSuggestion = (suggestion) => {
+    if (suggestion.type === 'template') {
+      applyTemplate(suggestion.template);
+    } else if (suggestion.type === 'model') {
+      runCommand('model', suggestion.name);
+    } else if (suggestion.args) {
+      // Leave room for the arguments, /model lists the models next
+      setInputValue(`/${suggestion.name} `);
+      setActiveSuggestion(0);
+      textareaRef.current?.focus();
+    } else {
+      runCommand(suggestion.name, '');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!inputValue.trim() || isLoading) return;
+    if (!canSend) return;
+
+    const command = onCommand ? parseCommand(inputValue, templates) : null;
+    if (command?.type === 'template') {
+      applyTemplate(command.template);
+      return;
+    }
+    if (command?.type === 'command') {
+      if (command.command.requiresArgs && !command.args) {
+        setCommandError(`/${command.name} needs ${command.command.args}`);
+      } else {
+        runCommand(command.name, command.args);
+      }
+      return;
+    }
 
     const message = inputValue.trim();
+    const messageAttachments = attachments;
     setInputValue('');
+    setAttachments([]);
+    setAttachmentError(null);
     
     try {
-      await onSendMessage(message);
+      await onSendMessage(message, messageAttachments);
     } catch (error) {
       console.error('Error sending message:', error);
     }
   };
 
-  const handleKeyPress = (e) => {
+  const handleKeyDown = (e) => {
+    if (isMenuOpen) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveSuggestion((prev) => (prev + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+        e.preventDefault();
+        selectSuggestion(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setIsMenuDismissed(true);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
     }
   };
 
+  const addFiles = async (files) => {
+    const supported = files.filter((file) => isImageFile(file) || isDocumentFile(file));
+    if (supported.length < files.length) {
+      setAttachmentError('Only images, text, Markdown, code, CSV and PDF files can be attached');
+    } else {
+      setAttachmentError(null);
+    }
+
+    const available = MAX_ATTACHMENTS - attachments.length;
+    if (supported.length > available) {
+      setAttachmentError(`Up to ${MAX_ATTACHMENTS} attachments per message`);
+    }
+
+    setIsReading(true);
+    const results = await Promise.allSettled(supported.slice(0, Math.max(available, 0)).map((file) => readAttachmentFile(file)));
+    setIsReading(false);
+
+    const loaded = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+    const failed = results.find((result) => result.status === 'rejected');
+
+    if (failed) {
+      setAttachmentError(failed.reason.message);
+    }
+    if (loaded.length > 0) {
+      setAttachments((prev) => [...prev, ...loaded].slice(0, MAX_ATTACHMENTS));
+    }
+  };
+
+  const handleFileChange = (e) => {
+    addFiles(Array.from(e.target.files));
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData.files);
+    if (files.length > 0) {
+      e.preventDefault();
+      addFiles(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const removeAttachment = (attachmentId) => {
+    setAttachments((prev) => prev.filter((attachment) => attachment.id !== attachmentId));
+  };
+
   const adjustTextareaHeight = () => {
     const textarea = textareaRef.current;
     if (textarea) {
@@ -40,14 +227,106 @@ const ChatInput = ({ onSendMessage, isLoading, placeholder = "Ask me anything...
   }, [inputValue]);
 
   return (
-    <div className="chat-input">
+    <div
+      className={`chat-input ${isDragging ? 'dragging' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {attachments.length > 0 && (
+        <div className="attachment-previews">
+          {attachments.map((attachment) => attachment.type === 'image' ? (
+            <div key={attachment.id} className="attachment-preview" title={`${attachment.name} (${attachment.width}×${attachment.height})`}>
+              <img src={attachment.dataUrl} alt={attachment.name} />
+              <button
+                type="button"
+                className="attachment-remove"
+                onClick={() => removeAttachment(attachment.id)}
+                aria-label={`Remove ${attachment.name}`}
+              >
+                ×
+              </button>
+            </div>
+          ) : (
+            <div key={attachment.id} className="attachment-chip" title={attachment.truncated ? 'Only the beginning of this file was read' : attachment.name}>
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                <polyline points="14,2 14,8 20,8"/>
+              </svg>
+              <span className="attachment-chip-name">{attachment.name}</span>
+              <span className="attachment-chip-size">{formatBytes(attachment.size)}</span>
+              <button
+                type="button"
+                className="attachment-remove"
+                onClick={() => removeAttachment(attachment.id)}
+                aria-label={`Remove ${attachment.name}`}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      {isReading && (
+        <div className="attachment-reading">Reading attachments...</div>
+      )}
+      {hasImages && imageWarning && (
+        <div className="attachment-warning">{imageWarning}</div>
+      )}
+      {attachmentError && (
+        <div className="attachment-error">{attachmentError}</div>
+      )}
+      {commandError && (
+        <div className="command-error">{commandError}</div>
+      )}
+      {openTemplate && (
+        <TemplateVariablesForm
+          key={openTemplate.template.id}
+          template={openTemplate.template}
+          variables={openTemplate.variables}
+          onSubmit={(text) => {
+            setOpenTemplate(null);
+            insertText(text);
+          }}
+          onCancel={() => setOpenTemplate(null)}
+        />
+      )}
       <form onSubmit={handleSubmit} className="input-form">
         <div className="input-wrapper">
+          {isMenuOpen && (
+            <SlashCommandMenu
+              suggestions={suggestions}
+              activeIndex={Math.min(activeSuggestion, suggestions.length - 1)}
+              onSelect={selectSuggestion}
+              onHover={setActiveSuggestion}
+            />
+          )}
+          <button
+            type="button"
+            className="attach-button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isLoading || attachments.length >= MAX_ATTACHMENTS}
+            title="Attach images or documents"
+            aria-label="Attach files"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
+            </svg>
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_FILE_TYPES}
+            multiple
+            hidden
+            onChange={handleFileChange}
+          />
           <textarea
             ref={textareaRef}
             value={inputValue}
-            onChange={(e) => setInputValue(e.target.value)}
-            onKeyPress={handleKeyPress}
+            onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
+            onPaste={handlePaste}
             placeholder={placeholder}
             className="message-input"
             rows="1"
@@ -58,7 +337,7 @@ const ChatInput = ({ onSendMessage, isLoading, placeholder = "Ask me anything...
             variant="primary"
             size="icon"
             className="send-button"
-            disabled={!inputValue.trim() || isLoading}
+            disabled={!canSend}
           >
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <line x1="22" y1="2" x2="11" y2="13"/>
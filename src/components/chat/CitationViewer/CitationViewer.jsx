@@ -0,0 +1,42 @@
+import React, { useEffect } from 'react';
+import './CitationViewer.css';
+
+const CitationViewer = ({ citation, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!citation) return null;
+
+  return (
+    <div className="citation-viewer-overlay" onClick={onClose}>
+      <div
+        className="citation-viewer"
+        role="dialog"
+        aria-label={`Source ${citation.number}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="citation-viewer-header">
+          <div>
+            <span className="citation-viewer-number">[{citation.number}]</span>
+            <span className="citation-viewer-document">{citation.documentName}</span>
+          </div>
+          <button className="citation-viewer-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <div className="citation-viewer-meta">
+          Passage {citation.index + 1} · {Math.round(citation.score * 100)}% match
+        </div>
+        <div className="citation-viewer-text">{citation.text}</div>
+      </div>
+    </div>
+  );
+};
+
+export default CitationViewer;
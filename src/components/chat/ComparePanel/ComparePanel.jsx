@@ -0,0 +1,62 @@
+import React from 'react';
+import Button from '../../common/Button/Button';
+import { MAX_COMPARED_MODELS } from '../../../hooks/useComparison';
+import './ComparePanel.css';
+
+const ComparePanel = ({ models, selected, onChange, onClose }) => {
+  const isFull = selected.length >= MAX_COMPARED_MODELS;
+
+  const toggleModel = (modelName) => {
+    onChange(selected.includes(modelName)
+      ? selected.filter(name => name !== modelName)
+      : [...selected, modelName]);
+  };
+
+  return (
+    <div className="compare-panel">
+      <div className="compare-panel-header">
+        <h4>Compare models</h4>
+        <button type="button" className="compare-panel-close" onClick={onClose} aria-label="Close compare models">×</button>
+      </div>
+      <p className="compare-panel-hint">
+        Messages go to every selected model at once, keep the best answer to continue the chat with it.
+        Pick 2 to {MAX_COMPARED_MODELS} models.
+      </p>
+      {models.length === 0 ? (
+        <p className="compare-panel-empty">No models installed</p>
+      ) : (
+        <ul className="compare-panel-models">
+          {models.map((model) => {
+            const isSelected = selected.includes(model.name);
+            return (
+              <li key={model.name}>
+                <label className={`compare-panel-model ${isSelected ? 'selected' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={!isSelected && isFull}
+                    onChange={() => toggleModel(model.name)}
+                  />
+                  <span className="compare-panel-model-name">{model.name}</span>
+                  {model.details?.parameter_size && (
+                    <span className="compare-panel-model-meta">{model.details.parameter_size}</span>
+                  )}
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <div className="compare-panel-actions">
+        <Button type="button" variant="ghost" size="small" onClick={() => onChange([])} disabled={selected.length === 0}>
+          Turn off
+        </Button>
+        <Button type="button" variant="primary" size="small" onClick={onClose}>
+          Done
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,88 @@
+import React from 'react';
+import Button from '../../common/Button/Button';
+import ToolCallList from '../ToolCallList/ToolCallList';
+import GenerationStats from '../GenerationStats/GenerationStats';
+import { COMPARISON_STATUS } from '../../../hooks/useComparison';
+import './ComparisonView.css';
+
+const STATUS_LABELS = {
+  [COMPARISON_STATUS.STREAMING]: 'Answering...',
+  [COMPARISON_STATUS.DONE]: 'Done',
+  [COMPARISON_STATUS.ERROR]: 'Failed',
+  [COMPARISON_STATUS.CANCELLED]: 'Stopped'
+};
+
+const ComparisonView = ({ comparison, cleanAnswer = (text) => text, cleanThinking = (text) => text, onKeep, onStop, onDiscard }) => {
+  const isStreaming = comparison.columns.some(column => column.status === COMPARISON_STATUS.STREAMING);
+  const prompt = comparison.userMessage.content
+    || comparison.userMessage.attachments?.map(attachment => attachment.name).join(', ');
+
+  return (
+    <div className="comparison-view">
+      <div className="comparison-header">
+        <div className="comparison-prompt" title={prompt}>
+          <span className="comparison-prompt-label">Comparing {comparison.columns.length} models on</span>
+          <span className="comparison-prompt-text">{prompt}</span>
+        </div>
+        <div className="comparison-actions">
+          {isStreaming && (
+            <Button variant="secondary" size="small" onClick={onStop}>Stop</Button>
+          )}
+          <Button variant="ghost" size="small" onClick={onDiscard}>Discard</Button>
+        </div>
+      </div>
+
+      <div className="comparison-columns" style={{ gridTemplateColumns: `repeat(${comparison.columns.length}, minmax(0, 1fr))` }}>
+        {comparison.columns.map((column) => {
+          const answer = cleanAnswer(column.content);
+          const thinking = cleanThinking(column.thinking);
+          const canKeep = column.status === COMPARISON_STATUS.DONE
+            || (column.status === COMPARISON_STATUS.CANCELLED && answer);
+
+          return (
+            <div key={column.model} className={`comparison-column ${column.status}`}>
+              <div className="comparison-column-header">
+                <span className="comparison-column-model" title={column.model}>{column.model}</span>
+                <span className={`comparison-column-status ${column.status}`}>{STATUS_LABELS[column.status]}</span>
+              </div>
+
+              <div className="comparison-column-body">
+                <ToolCallList toolCalls={column.toolCalls} />
+                {thinking && (
+                  <details className="comparison-thinking" open={column.status === COMPARISON_STATUS.STREAMING && !answer}>
+                    <summary>Thinking</summary>
+                    <div className="comparison-thinking-text">{thinking}</div>
+                  </details>
+                )}
+                {column.error ? (
+                  <div className="comparison-column-error">{column.error}</div>
+                ) : (
+                  <div className="comparison-column-answer">
+                    {answer || (column.status === COMPARISON_STATUS.STREAMING && (
+                      <span className="comparison-column-waiting">Waiting for the first token...</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="comparison-column-footer">
+                <GenerationStats stats={column.stats} />
+                <Button
+                  variant="primary"
+                  size="small"
+                  onClick={() => onKeep(column)}
+                  disabled={!canKeep}
+                  title="Save this answer to the conversation"
+                >
+                  Keep this answer
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
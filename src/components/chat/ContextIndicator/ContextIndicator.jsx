@@ -0,0 +1,52 @@
+import React from 'react';
+import { CONTEXT_STRATEGIES } from '../../../services/llm/index.js';
+import './ContextIndicator.css';
+
+const STRATEGY_LABELS = {
+  [CONTEXT_STRATEGIES.DROP_OLDEST]: 'Drop oldest',
+  [CONTEXT_STRATEGIES.KEEP_PINNED]: 'Keep pinned',
+  [CONTEXT_STRATEGIES.SUMMARIZE]: 'Summarize older'
+};
+
+const formatTokens = (tokens) => {
+  return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}K` : `${tokens}`;
+};
+
+const ContextIndicator = ({ context, strategy, onStrategyChange }) => {
+  const usage = context.budget > 0 ? Math.min(context.tokenCount / context.budget, 1) : 0;
+  const level = usage >= 0.9 ? 'full' : usage >= 0.7 ? 'high' : 'normal';
+  const excludedCount = context.excludedIds.length;
+
+  return (
+    <div className="context-indicator">
+      <div
+        className={`context-usage ${level}`}
+        title={`About ${context.tokenCount} of ${context.budget} tokens available for history (${context.contextLength} token window)`}
+      >
+        <div className="context-usage-bar">
+          <div className="context-usage-fill" style={{ width: `${usage * 100}%` }} />
+        </div>
+        <span className="context-usage-text">
+          {formatTokens(context.tokenCount)} / {formatTokens(context.budget)} tokens
+        </span>
+      </div>
+      {excludedCount > 0 && (
+        <span className="context-excluded">
+          {excludedCount} older {excludedCount === 1 ? 'message' : 'messages'} not sent
+        </span>
+      )}
+      <select
+        className="context-strategy"
+        value={strategy}
+        onChange={(e) => onStrategyChange(e.target.value)}
+        title="What to do when the conversation no longer fits the context window"
+      >
+        {Object.entries(STRATEGY_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ContextIndicator;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { ENDPOINT_STATUS } from '../../../services/llm/index.js';
+import './EndpointSelector.css';
+
+const EndpointSelector = ({ endpoints, endpointId, onChange, disabled = false }) => {
+  // A chat may point at an endpoint that was removed since
+  const isMissing = Boolean(endpointId) && !endpoints.some((endpoint) => endpoint.id === endpointId);
+  const preferred = endpoints.find((endpoint) => endpoint.isPreferred);
+
+  return (
+    <label className={`endpoint-selector ${endpointId ? 'active' : ''}`} title="Ollama endpoint tried first for this chat">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <rect x="2" y="2" width="20" height="8" rx="2" ry="2"/>
+        <rect x="2" y="14" width="20" height="8" rx="2" ry="2"/>
+        <line x1="6" y1="6" x2="6.01" y2="6"/>
+        <line x1="6" y1="18" x2="6.01" y2="18"/>
+      </svg>
+      <select
+        value={endpointId || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+      >
+        <option value="">Preferred ({preferred?.name})</option>
+        {isMissing && <option value={endpointId}>Removed endpoint</option>}
+        {endpoints.map((endpoint) => (
+          <option key={endpoint.id} value={endpoint.id}>
+            {endpoint.name}
+            {endpoint.status === ENDPOINT_STATUS.OFFLINE && ' (offline)'}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default EndpointSelector;
@@ -0,0 +1,26 @@
+import React from 'react';
+import './EndpointStatusList.css';
+
+const EndpointStatusList = ({ endpoints, lastEndpointId, onManage }) => {
+  return (
+    <div className="endpoint-status-list">
+      {endpoints.map((endpoint) => (
+        <div
+          key={endpoint.id}
+          className={`endpoint-status ${endpoint.status}`}
+          title={endpoint.error || `${endpoint.baseURL} · ${endpoint.models.length} models`}
+        >
+          <span className="endpoint-status-indicator" />
+          <span className="endpoint-status-name">{endpoint.name}</span>
+          {endpoint.isPreferred && <span className="endpoint-status-tag">preferred</span>}
+          {endpoint.id === lastEndpointId && <span className="endpoint-status-tag">last answer</span>}
+        </div>
+      ))}
+      <button className="endpoint-status-manage" onClick={onManage}>
+        Manage endpoints
+      </button>
+    </div>
+  );
+};
+
+export default EndpointStatusList;
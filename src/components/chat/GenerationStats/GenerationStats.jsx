@@ -0,0 +1,45 @@
+import React from 'react';
+import { formatDuration } from '../../../utils/formatters';
+import './GenerationStats.css';
+
+// Load times below this mean the model was already in memory
+const COLD_LOAD_MS = 500;
+
+const nsToMs = (ns) => (ns === null || ns === undefined ? null : ns / 1e6);
+
+const formatRate = (count, durationNs) => {
+  if (!count || !durationNs) return null;
+  return `${(count / (durationNs / 1e9)).toFixed(1)} tok/s`;
+};
+
+const GenerationStats = ({ stats }) => {
+  if (!stats) return null;
+
+  const loadMs = nsToMs(stats.loadDuration);
+  const promptRate = formatRate(stats.promptEvalCount, stats.promptEvalDuration);
+
+  const details = [
+    stats.promptEvalCount !== null && `Prompt: ${stats.promptEvalCount} tokens${promptRate ? ` at ${promptRate}` : ''}`,
+    stats.evalCount !== null && `Response: ${stats.evalCount} tokens${stats.tokensPerSecond ? ` at ${stats.tokensPerSecond.toFixed(1)} tok/s` : ''}`,
+    loadMs !== null && `Model load: ${formatDuration(loadMs)}`,
+    stats.timeToFirstToken !== null && stats.timeToFirstToken !== undefined && `Time to first token: ${formatDuration(stats.timeToFirstToken)}`,
+    stats.totalDuration !== null
+      ? `Total: ${formatDuration(nsToMs(stats.totalDuration))}`
+      : stats.elapsed !== undefined && `Total: ${formatDuration(stats.elapsed)}`,
+    stats.doneReason && stats.doneReason !== 'stop' && `Stopped by: ${stats.doneReason}`
+  ].filter(Boolean);
+
+  return (
+    <div className="generation-stats" title={details.join('\n')}>
+      {stats.evalCount !== null && <span>{stats.evalCount} tokens</span>}
+      {stats.tokensPerSecond && <span>{stats.tokensPerSecond.toFixed(1)} tok/s</span>}
+      {stats.timeToFirstToken !== null && stats.timeToFirstToken !== undefined && (
+        <span>{formatDuration(stats.timeToFirstToken)} to first token</span>
+      )}
+      {loadMs > COLD_LOAD_MS && <span>loaded in {formatDuration(loadMs)}</span>}
+      {stats.doneReason === 'length' && <span className="generation-stats-warning">cut off at max tokens</span>}
+    </div>
+  );
+};
+
+export default GenerationStats;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import './JsonTree.css';
+
+// Nodes deeper than this start collapsed
+const EXPANDED_DEPTH = 2;
+
+const formatPrimitive = (value) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+};
+
+const typeClass = (value) => {
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const JsonNode = ({ name, value, path, depth, errorsByPath }) => {
+  const [isExpanded, setIsExpanded] = useState(depth < EXPANDED_DEPTH);
+  const errors = errorsByPath.get(path) || [];
+  const isContainer = value !== null && typeof value === 'object';
+  const entries = isContainer ? Object.entries(value) : [];
+  const isArray = Array.isArray(value);
+
+  return (
+    <div className={`json-node ${errors.length > 0 ? 'json-node--invalid' : ''}`}>
+      <div className="json-node-line">
+        {isContainer ? (
+          <button
+            type="button"
+            className="json-node-toggle"
+            onClick={() => setIsExpanded((prev) => !prev)}
+            aria-label={isExpanded ? 'Collapse' : 'Expand'}
+          >
+            {isExpanded ? '▾' : '▸'}
+          </button>
+        ) : (
+          <span className="json-node-spacer" />
+        )}
+        {name !== null && <span className="json-key">{name}: </span>}
+        {isContainer ? (
+          <span className="json-summary">
+            {isArray ? `[${entries.length}]` : `{${entries.length}}`}
+          </span>
+        ) : (
+          <span className={`json-value json-value--${typeClass(value)}`}>{formatPrimitive(value)}</span>
+        )}
+        {errors.map((error, index) => (
+          <span key={index} className="json-node-error">{error.message}</span>
+        ))}
+      </div>
+      {isContainer && isExpanded && (
+        <div className="json-node-children">
+          {entries.map(([key, child]) => (
+            <JsonNode
+              key={key}
+              name={isArray ? key : JSON.stringify(key)}
+              value={child}
+              path={`${path}/${key}`}
+              depth={depth + 1}
+              errorsByPath={errorsByPath}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const JsonTree = ({ value, errors = [] }) => {
+  // Errors are keyed by the JSON pointer of the value they concern
+  const errorsByPath = errors.reduce((map, error) => {
+    map.set(error.path, [...(map.get(error.path) || []), error]);
+    return map;
+  }, new Map());
+
+  return (
+    <div className="json-tree">
+      <JsonNode name={null} value={value} path="" depth={0} errorsByPath={errorsByPath} />
+    </div>
+  );
+};
+
+export default JsonTree;
@@ -0,0 +1,31 @@
+import React from 'react';
+import './KnowledgeSelector.css';
+
+const KnowledgeSelector = ({ collections, collectionId, onChange, disabled = false }) => {
+  // A chat may point at a collection that was deleted since
+  const isMissing = Boolean(collectionId) && !collections.some((collection) => collection.id === collectionId);
+
+  return (
+    <label className={`knowledge-selector ${collectionId ? 'active' : ''}`} title="Knowledge base searched for every message">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/>
+        <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/>
+      </svg>
+      <select
+        value={collectionId || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+      >
+        <option value="">No knowledge base</option>
+        {isMissing && <option value={collectionId}>Deleted collection</option>}
+        {collections.map((collection) => (
+          <option key={collection.id} value={collection.id}>
+            {collection.name} ({collection.documentCount})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default KnowledgeSelector;
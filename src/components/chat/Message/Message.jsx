@@ -1,7 +1,41 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import ToolCallList from '../ToolCallList/ToolCallList';
+import JsonTree from '../JsonTree/JsonTree';
+import GenerationStats from '../GenerationStats/GenerationStats';
+import RegeneratePanel from '../RegeneratePanel/RegeneratePanel';
+import { evaluateStructuredOutput } from '../../../services/llm/index.js';
+import { getDocumentAttachments, getImageAttachments } from '../../../utils/attachments';
+import { formatBytes } from '../../../utils/formatters';
 import './Message.css';
 
-const Message = ({ message }) => {
+const CONTEXT_STATE_LABELS = {
+  excluded: 'Not sent to the model',
+  summarized: 'Included as summary'
+};
+
+const Message = ({
+  message,
+  contextState = null,
+  isStreaming = false,
+  models = [],
+  defaultTemperature,
+  onTogglePin,
+  onOpenCitation,
+  onRegenerate,
+  onSelectVariant,
+}) => {
+  const [showRegenerate, setShowRegenerate] = useState(false);
+  const images = getImageAttachments(message);
+  const documents = getDocumentAttachments(message);
+  // Regenerated answers, the navigator shows once there are two
+  const variantCount = message.variants?.length || 0;
+
+  // Answers requested as JSON are parsed and checked against the chat's schema
+  const structured = useMemo(() => {
+    if (!message.outputFormat || message.isError) return null;
+    return evaluateStructuredOutput(message.content, message.outputFormat.schema);
+  }, [message.content, message.outputFormat, message.isError]);
+
   const formatMessage = (content) => {
     return content
       .split('\n\n')
@@ -30,7 +64,7 @@ const Message = ({ message }) => {
   };
 
   return (
-    <div className={`message ${message.type === 'user' ? 'user-message' : 'assistant-message'}`}>
+    <div className={`message ${message.type === 'user' ? 'user-message' : 'assistant-message'} ${contextState ? `message--${contextState}` : ''}`}>
       <div className="message-avatar">
         {message.type === 'user' ? (
           <div className="user-avatar">
@@ -49,12 +83,155 @@ const Message = ({ message }) => {
         )}
       </div>
       <div className="message-content">
-        <div className="message-text">
-          {formatMessage(message.content)}
-        </div>
+        <ToolCallList toolCalls={message.toolCalls} />
+        {images.length > 0 && (
+          <div className="message-images">
+            {images.map((attachment) => (
+              <a key={attachment.id} href={attachment.dataUrl} target="_blank" rel="noreferrer" title={attachment.name}>
+                <img src={attachment.dataUrl} alt={attachment.name} />
+              </a>
+            ))}
+          </div>
+        )}
+        {documents.length > 0 && (
+          <div className="message-documents">
+            {documents.map((attachment) => (
+              <span
+                key={attachment.id}
+                className="message-document"
+                title={attachment.truncated ? `${attachment.name} (only the beginning was read)` : attachment.name}
+              >
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                  <polyline points="14,2 14,8 20,8"/>
+                </svg>
+                <span className="message-document-name">{attachment.name}</span>
+                <span className="message-document-meta">
+                  {attachment.pageCount ? `${attachment.pageCount} pages · ` : ''}{formatBytes(attachment.size)}
+                </span>
+              </span>
+            ))}
+          </div>
+        )}
+        {structured && !structured.parseError ? (
+          <div className="message-structured">
+            {message.outputFormat.schema && (
+              <div className={`message-validation ${structured.errors.length > 0 ? 'invalid' : 'valid'}`}>
+                {structured.errors.length > 0
+                  ? `${structured.errors.length} schema ${structured.errors.length === 1 ? 'violation' : 'violations'}`
+                  : 'Matches the schema'}
+              </div>
+            )}
+            <JsonTree value={structured.value} errors={structured.errors} />
+          </div>
+        ) : structured ? (
+          <div className="message-structured">
+            {message.content && <pre className="message-json-raw">{message.content}</pre>}
+            {!isStreaming && (
+              <div className="message-validation invalid">{structured.parseError}</div>
+            )}
+          </div>
+        ) : (
+          <div className="message-text">
+            {formatMessage(message.content)}
+          </div>
+        )}
+        {message.citations?.length > 0 && (
+          <div className="message-citations">
+            <span className="message-citations-label">Sources</span>
+            {message.citations.map((citation) => (
+              <button
+                key={citation.chunkId}
+                className="message-citation"
+                onClick={() => onOpenCitation?.(citation)}
+                title={`Show passage ${citation.number} from ${citation.documentName}`}
+              >
+                [{citation.number}] {citation.documentName}
+              </button>
+            ))}
+          </div>
+        )}
+        <GenerationStats stats={message.stats} />
         <div className="message-time">
           {formatTimestamp(message.timestamp)}
+          {message.model && (
+            <span className="message-model"> · {message.model}</span>
+          )}
+          {message.temperature !== undefined && (
+            <span className="message-temperature"> · temperature {message.temperature}</span>
+          )}
+          {message.endpoint && (
+            <span className="message-endpoint"> · via {message.endpoint.name}</span>
+          )}
+          {message.memories?.length > 0 && (
+            <span className="message-memories" title={message.memories.join('\n')}>
+              {' '}· {message.memories.length} {message.memories.length === 1 ? 'memory' : 'memories'}
+            </span>
+          )}
+          {contextState && (
+            <span className="message-context-state"> · {CONTEXT_STATE_LABELS[contextState]}</span>
+          )}
+          {onTogglePin && (
+            <button
+              className={`message-pin-btn ${message.pinned ? 'pinned' : ''}`}
+              onClick={() => onTogglePin(message.id)}
+              title={message.pinned ? 'Unpin from context' : 'Pin to context'}
+              aria-label={message.pinned ? 'Unpin from context' : 'Pin to context'}
+            >
+              <svg width="12" height="12" viewBox="0 0 24 24" fill={message.pinned ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+                <path d="M12 17v5" />
+                <path d="M9 10.76V6h6v4.76l2 3.24H7z" />
+                <path d="M8 3h8" />
+              </svg>
+            </button>
+          )}
+          {onRegenerate && message.type === 'assistant' && (
+            <button
+              className={`message-regenerate-btn ${showRegenerate ? 'active' : ''}`}
+              onClick={() => setShowRegenerate(!showRegenerate)}
+              title="Regenerate this answer"
+              aria-label="Regenerate this answer"
+            >
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <polyline points="23,4 23,10 17,10" />
+                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10" />
+              </svg>
+            </button>
+          )}
+          {variantCount > 1 && (
+            <span className="message-variants">
+              <button
+                className="message-variant-btn"
+                onClick={() => onSelectVariant(message.id, message.variantIndex - 1)}
+                disabled={!onSelectVariant || message.variantIndex === 0}
+                aria-label="Previous answer"
+              >
+                ‹
+              </button>
+              {message.variantIndex + 1}/{variantCount}
+              <button
+                className="message-variant-btn"
+                onClick={() => onSelectVariant(message.id, message.variantIndex + 1)}
+                disabled={!onSelectVariant || message.variantIndex === variantCount - 1}
+                aria-label="Next answer"
+              >
+                ›
+              </button>
+            </span>
+          )}
         </div>
+        {showRegenerate && onRegenerate && (
+          <RegeneratePanel
+            models={models}
+            model={message.model}
+            temperature={message.temperature ?? defaultTemperature}
+            onRegenerate={(options) => {
+              setShowRegenerate(false);
+              onRegenerate(message.id, options);
+            }}
+            onClose={() => setShowRegenerate(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -2,7 +2,24 @@ import React, { useRef, useEffect } from 'react';
 import Message from '../Message/Message';
 import './MessageList.css';
 
-const MessageList = ({ messages, isLoading }) => {
+const MessageList = ({
+  messages,
+  isLoading,
+  excludedIds = [],
+  summarizedIds = [],
+  models = [],
+  defaultTemperature,
+  onTogglePin,
+  onOpenCitation,
+  onRegenerate,
+  onSelectVariant,
+}) => {
+  const getContextState = (messageId) => {
+    if (summarizedIds.includes(messageId)) return 'summarized';
+    if (excludedIds.includes(messageId)) return 'excluded';
+    return null;
+  };
+
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -15,8 +32,19 @@ const MessageList = ({ messages, isLoading }) => {
 
   return (
     <div className="message-list">
-      {messages.map((message) => (
-        <Message key={message.id} message={message} />
+      {messages.map((message, index) => (
+        <Message
+          key={message.id}
+          message={message}
+          contextState={getContextState(message.id)}
+          isStreaming={isLoading && index === messages.length - 1}
+          models={models}
+          defaultTemperature={defaultTemperature}
+          onTogglePin={onTogglePin}
+          onOpenCitation={onOpenCitation}
+          onRegenerate={onRegenerate}
+          onSelectVariant={onSelectVariant}
+        />
       ))}
       {isLoading && (
         <div className="message assistant-message">
@@ -0,0 +1,59 @@
+import React from 'react';
+import './ModelSelector.css';
+
+const CAPABILITY_LABELS = {
+  vision: 'Vision',
+  tools: 'Tools',
+  thinking: 'Thinking'
+};
+
+const formatContextLength = (tokens) => {
+  return tokens >= 1024 ? `${Math.round(tokens / 1024)}K` : `${tokens}`;
+};
+
+const ModelSelector = ({ models, currentModel, metadata, onModelChange, disabled = false }) => {
+  // Keep the current model selectable even if the server no longer lists it
+  const modelNames = models.map((model) => model.name);
+  if (currentModel && !modelNames.includes(currentModel)) {
+    modelNames.unshift(currentModel);
+  }
+
+  const handleChange = (e) => {
+    if (e.target.value !== currentModel) {
+      onModelChange(e.target.value);
+    }
+  };
+
+  return (
+    <div className="model-selector">
+      <div className="model-selector-row">
+        <label htmlFor="model-selector-input" className="model-selector-label">Model</label>
+        <select
+          id="model-selector-input"
+          className="model-selector-input"
+          value={currentModel || ''}
+          onChange={handleChange}
+          disabled={disabled || modelNames.length === 0}
+        >
+          {modelNames.length === 0 && <option value="">No models available</option>}
+          {modelNames.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+      {metadata?.isKnown && metadata.name === currentModel && (
+        <div className="model-selector-details">
+          {metadata.parameterSize && <span>{metadata.parameterSize}</span>}
+          {metadata.contextLength && <span>{formatContextLength(metadata.contextLength)} context</span>}
+          {Object.entries(CAPABILITY_LABELS)
+            .filter(([capability]) => metadata.capabilities[capability])
+            .map(([capability, label]) => (
+              <span key={capability} className="model-capability">{label}</span>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelSelector;
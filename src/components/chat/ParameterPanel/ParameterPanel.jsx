@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import Button from '../../common/Button/Button';
+import {
+  PARAM_DEFINITIONS,
+  PARAM_PLACEHOLDERS,
+  resolveChatParams,
+  validateParams,
+} from '../../../services/llm/index.js';
+import './ParameterPanel.css';
+
+const ParameterPanel = ({
+  presets,
+  presetId = '',
+  overrides = {},
+  modelDefaults = {},
+  onChange,
+  onSavePreset,
+  onDeletePreset,
+  onClose,
+}) => {
+  const [presetName, setPresetName] = useState('');
+  const [saveError, setSaveError] = useState(null);
+
+  // Shown on top of the model's own defaults, presets are saved without them
+  const params = resolveChatParams(presets, presetId, overrides, modelDefaults);
+  const { errors } = validateParams(params);
+  const selectedPreset = presets.find((preset) => preset.id === presetId);
+
+  const setParam = (key, value) => {
+    const updated = { ...overrides, [key]: value };
+    if (value === undefined) {
+      delete updated[key];
+    }
+    onChange({ presetId, params: updated });
+  };
+
+  const handlePresetChange = (e) => {
+    // Choosing a preset drops the chat's own overrides
+    onChange({ presetId: e.target.value || null, params: {} });
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    try {
+      const preset = onSavePreset(presetName, resolveChatParams(presets, presetId, overrides));
+      onChange({ presetId: preset.id, params: {} });
+      setPresetName('');
+      setSaveError(null);
+    } catch (error) {
+      setSaveError(error.message);
+    }
+  };
+
+  const handleDeletePreset = () => {
+    if (window.confirm(`Delete the preset "${selectedPreset.name}"?`)) {
+      onDeletePreset(selectedPreset.id);
+      onChange({ presetId: null, params: overrides });
+    }
+  };
+
+  const renderControl = (definition) => {
+    const value = params[definition.key];
+    const displayValue = value ?? PARAM_PLACEHOLDERS[definition.key];
+
+    switch (definition.type) {
+      case 'range':
+        return (
+          <div className="parameter-range">
+            <input
+              type="range"
+              min={definition.min}
+              max={definition.max}
+              step={definition.step}
+              value={displayValue}
+              onChange={(e) => setParam(definition.key, Number(e.target.value))}
+            />
+            <input
+              type="number"
+              className="parameter-number"
+              min={definition.min}
+              max={definition.max}
+              step={definition.step}
+              value={displayValue}
+              onChange={(e) => setParam(definition.key, e.target.value === '' ? undefined : Number(e.target.value))}
+            />
+          </div>
+        );
+      case 'integer':
+        return (
+          <input
+            type="number"
+            className="parameter-number wide"
+            min={definition.min}
+            step="1"
+            value={value ?? ''}
+            placeholder="Random"
+            onChange={(e) => setParam(definition.key, e.target.value === '' ? undefined : Number(e.target.value))}
+          />
+        );
+      case 'select':
+        return (
+          <select
+            value={displayValue}
+            onChange={(e) => setParam(definition.key, Number(e.target.value))}
+          >
+            {definition.options.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+      case 'list':
+        return (
+          <textarea
+            rows="2"
+            value={(value || []).join('\n')}
+            placeholder="Model default"
+            onChange={(e) => {
+              const items = e.target.value.split('\n');
+              setParam(definition.key, items.some((item) => item) ? items : undefined);
+            }}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="parameter-panel">
+      <div className="parameter-panel-header">
+        <h4>Generation parameters</h4>
+        <button className="parameter-panel-close" onClick={onClose} aria-label="Close parameters">×</button>
+      </div>
+
+      <div className="parameter-presets">
+        <select value={presetId || ''} onChange={handlePresetChange}>
+          <option value="">Model defaults</option>
+          {presets.map((preset) => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        {selectedPreset && !selectedPreset.builtIn && (
+          <Button variant="ghost" size="small" onClick={handleDeletePreset}>Delete</Button>
+        )}
+        {Object.keys(overrides).length > 0 && (
+          <Button variant="ghost" size="small" onClick={() => onChange({ presetId, params: {} })}>Reset</Button>
+        )}
+      </div>
+
+      <div className="parameter-fields">
+        {PARAM_DEFINITIONS
+          .filter((definition) => !definition.dependsOn || params[definition.dependsOn])
+          .map((definition) => (
+            <div
+              key={definition.key}
+              className={`parameter-field ${errors[definition.key] ? 'invalid' : ''} ${definition.key in overrides ? 'overridden' : ''}`}
+            >
+              <label title={definition.description}>
+                {definition.label}
+                <span className="parameter-key">{definition.key}</span>
+              </label>
+              {renderControl(definition)}
+              {errors[definition.key] && (
+                <div className="parameter-error">{errors[definition.key]}</div>
+              )}
+            </div>
+          ))}
+      </div>
+
+      <form className="parameter-save" onSubmit={handleSavePreset}>
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Save as preset..."
+        />
+        <Button type="submit" variant="secondary" size="small" disabled={!presetName.trim()}>Save</Button>
+      </form>
+      {saveError && <div className="parameter-error">{saveError}</div>}
+    </div>
+  );
+};
+
+export default ParameterPanel;
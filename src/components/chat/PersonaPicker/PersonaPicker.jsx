@@ -0,0 +1,33 @@
+import React from 'react';
+import './PersonaPicker.css';
+
+const PersonaPicker = ({ personas, selectedId, onSelect, onManage }) => {
+  return (
+    <div className="persona-picker">
+      <div className="persona-picker-header">
+        <span>Chat with</span>
+        {onManage && (
+          <button className="persona-manage-btn" onClick={onManage}>
+            Manage personas
+          </button>
+        )}
+      </div>
+      <div className="persona-options">
+        {personas.map((persona) => (
+          <button
+            key={persona.id}
+            className={`persona-option ${persona.id === selectedId ? 'selected' : ''}`}
+            onClick={() => onSelect(persona)}
+            title={persona.systemPrompt}
+          >
+            <span className="persona-avatar">{persona.avatar}</span>
+            <span className="persona-name">{persona.name}</span>
+            {persona.model && <span className="persona-model">{persona.model}</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PersonaPicker;
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import Button from '../../common/Button/Button';
+import { PARAM_DEFINITIONS } from '../../../services/llm/index.js';
+import './RegeneratePanel.css';
+
+const TEMPERATURE = PARAM_DEFINITIONS.find((definition) => definition.key === 'temperature');
+
+const RegeneratePanel = ({ models, model, temperature, onRegenerate, onClose }) => {
+  const [selectedModel, setSelectedModel] = useState(() => (models.includes(model) ? model : models[0] || model));
+  const [selectedTemperature, setSelectedTemperature] = useState(temperature);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onRegenerate({
+      model: selectedModel,
+      // Only sent when it differs from the chat's parameters
+      temperature: selectedTemperature !== temperature ? selectedTemperature : undefined,
+    });
+  };
+
+  return (
+    <form className="regenerate-panel" onSubmit={handleSubmit}>
+      <label className="regenerate-panel-field">
+        <span>Model</span>
+        <select value={selectedModel} onChange={(e) => setSelectedModel(e.target.value)}>
+          {!models.includes(selectedModel) && (
+            <option value={selectedModel}>{selectedModel} (not installed)</option>
+          )}
+          {models.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="regenerate-panel-field">
+        <span>Temperature</span>
+        <input
+          type="range"
+          min={TEMPERATURE.min}
+          max={TEMPERATURE.max}
+          step={TEMPERATURE.step}
+          value={selectedTemperature}
+          onChange={(e) => setSelectedTemperature(Number(e.target.value))}
+        />
+        <span className="regenerate-panel-value">{selectedTemperature}</span>
+      </label>
+      <div className="regenerate-panel-actions">
+        <Button type="button" variant="ghost" size="small" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="small">
+          Regenerate
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default RegeneratePanel;
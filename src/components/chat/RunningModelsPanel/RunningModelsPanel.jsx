@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { KEEP_ALIVE_OPTIONS, formatExpiry } from '../../../services/llm/index.js';
+import { formatBytes } from '../../../utils/formatters';
+import './RunningModelsPanel.css';
+
+const RunningModelsPanel = ({
+  runningModels,
+  currentModel,
+  keepAlive,
+  memoryAction,
+  disabled = false,
+  onKeepAliveChange,
+  onPreload,
+  onUnload,
+}) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const totalSize = runningModels.reduce((sum, model) => sum + model.size, 0);
+  const isCurrentLoaded = runningModels.some((model) => model.name === currentModel);
+  const isBusy = disabled || Boolean(memoryAction);
+
+  return (
+    <div className="running-models">
+      <button
+        className="running-models-summary"
+        onClick={() => setIsExpanded((prev) => !prev)}
+        aria-expanded={isExpanded}
+      >
+        <span className="running-models-caret">{isExpanded ? '▾' : '▸'}</span>
+        {runningModels.length === 0
+          ? 'No models in memory'
+          : `${runningModels.length} in memory · ${formatBytes(totalSize)}`}
+      </button>
+
+      {isExpanded && (
+        <div className="running-models-body">
+          {runningModels.map((model) => {
+            const gpuShare = model.size > 0 ? Math.round((model.sizeVram / model.size) * 100) : 0;
+            return (
+              <div key={model.name} className="running-model">
+                <div className="running-model-info">
+                  <span className="running-model-name" title={model.name}>{model.name}</span>
+                  <span className="running-model-meta">
+                    {formatBytes(model.size)}
+                    {` · ${gpuShare === 100 ? 'GPU' : gpuShare === 0 ? 'CPU' : `${gpuShare}% GPU`}`}
+                    {` · ${formatExpiry(model)}`}
+                  </span>
+                </div>
+                <button
+                  className="running-model-unload"
+                  onClick={() => onUnload(model.name)}
+                  disabled={isBusy}
+                  title={`Unload ${model.name}`}
+                >
+                  {memoryAction?.model === model.name && memoryAction.action === 'unload' ? '…' : 'Unload'}
+                </button>
+              </div>
+            );
+          })}
+
+          <label className="running-models-keep-alive">
+            Keep models loaded
+            <select value={keepAlive} onChange={(e) => onKeepAliveChange(e.target.value)}>
+              {KEEP_ALIVE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <button
+            className="running-models-preload"
+            onClick={() => onPreload(currentModel)}
+            disabled={isBusy || !currentModel}
+          >
+            {memoryAction?.action === 'load'
+              ? `Loading ${memoryAction.model}...`
+              : isCurrentLoaded
+                ? `Refresh ${currentModel}`
+                : `Preload ${currentModel}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunningModelsPanel;
@@ -0,0 +1,38 @@
+import React from 'react';
+import './SlashCommandMenu.css';
+
+const TYPE_LABELS = {
+  command: 'Command',
+  template: 'Template',
+  model: 'Model'
+};
+
+const SlashCommandMenu = ({ suggestions, activeIndex, onSelect, onHover }) => {
+  return (
+    <ul className="slash-command-menu" role="listbox" aria-label="Commands and templates">
+      {suggestions.map((suggestion, index) => (
+        <li
+          key={suggestion.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          className={`slash-command-item ${index === activeIndex ? 'active' : ''}`}
+          // Keep the focus in the input
+          onMouseDown={(e) => e.preventDefault()}
+          onMouseEnter={() => onHover(index)}
+          onClick={() => onSelect(suggestion)}
+        >
+          <span className="slash-command-name">
+            {suggestion.type === 'model' ? suggestion.name : `/${suggestion.name}`}
+            {suggestion.args && <span className="slash-command-args"> {suggestion.args}</span>}
+          </span>
+          {suggestion.description && (
+            <span className="slash-command-description">{suggestion.description}</span>
+          )}
+          <span className="slash-command-type">{TYPE_LABELS[suggestion.type]}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SlashCommandMenu;
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import Button from '../../common/Button/Button';
+import {
+  OUTPUT_FORMATS,
+  FIELD_TYPES,
+  buildSchemaFromFields,
+  parseJsonSchema,
+} from '../../../services/llm/index.js';
+import './StructuredOutputPanel.css';
+
+const EMPTY_FIELD = { name: '', type: 'string', description: '', required: true };
+
+const StructuredOutputPanel = ({ outputFormat, onSave, onClose }) => {
+  const [type, setType] = useState(outputFormat?.type || '');
+  const [editor, setEditor] = useState(outputFormat?.schema ? 'paste' : 'build');
+  const [schemaText, setSchemaText] = useState(
+    outputFormat?.schema ? JSON.stringify(outputFormat.schema, null, 2) : ''
+  );
+  const [fields, setFields] = useState([{ ...EMPTY_FIELD }]);
+  const [error, setError] = useState(null);
+
+  const updateField = (index, updates) => {
+    setFields((prev) => prev.map((field, i) => (i === index ? { ...field, ...updates } : field)));
+  };
+
+  const handleEditorChange = (value) => {
+    // Carry the built schema over so it can be refined by hand
+    if (value === 'paste' && fields.some((field) => field.name.trim())) {
+      setSchemaText(JSON.stringify(buildSchemaFromFields(fields), null, 2));
+    }
+    setEditor(value);
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (type !== OUTPUT_FORMATS.SCHEMA) {
+      onSave(type ? { type } : null);
+      onClose();
+      return;
+    }
+
+    let schema;
+    if (editor === 'build') {
+      if (!fields.some((field) => field.name.trim())) {
+        setError('Add at least one field');
+        return;
+      }
+      schema = buildSchemaFromFields(fields);
+    } else {
+      const parsed = parseJsonSchema(schemaText);
+      if (parsed.error) {
+        setError(parsed.error);
+        return;
+      }
+      schema = parsed.schema;
+    }
+
+    onSave({ type, schema });
+    onClose();
+  };
+
+  return (
+    <form className="structured-output-panel" onSubmit={handleSubmit}>
+      <div className="structured-output-header">
+        <h4>Output format</h4>
+        <button type="button" className="structured-output-close" onClick={onClose} aria-label="Close output format">×</button>
+      </div>
+
+      <div className="structured-output-modes">
+        <label>
+          <input type="radio" checked={!type} onChange={() => setType('')} />
+          Text
+        </label>
+        <label>
+          <input type="radio" checked={type === OUTPUT_FORMATS.JSON} onChange={() => setType(OUTPUT_FORMATS.JSON)} />
+          Any JSON
+        </label>
+        <label>
+          <input type="radio" checked={type === OUTPUT_FORMATS.SCHEMA} onChange={() => setType(OUTPUT_FORMATS.SCHEMA)} />
+          JSON Schema
+        </label>
+      </div>
+
+      {type === OUTPUT_FORMATS.SCHEMA && (
+        <>
+          <div className="structured-output-tabs">
+            <button
+              type="button"
+              className={editor === 'build' ? 'active' : ''}
+              onClick={() => handleEditorChange('build')}
+            >
+              Build
+            </button>
+            <button
+              type="button"
+              className={editor === 'paste' ? 'active' : ''}
+              onClick={() => handleEditorChange('paste')}
+            >
+              Paste schema
+            </button>
+          </div>
+
+          {editor === 'build' ? (
+            <div className="schema-fields">
+              {fields.map((field, index) => (
+                <div key={index} className="schema-field">
+                  <input
+                    type="text"
+                    value={field.name}
+                    onChange={(e) => updateField(index, { name: e.target.value })}
+                    placeholder="Field name"
+                  />
+                  <select
+                    value={field.type}
+                    onChange={(e) => updateField(index, { type: e.target.value })}
+                  >
+                    {FIELD_TYPES.map((fieldType) => (
+                      <option key={fieldType} value={fieldType}>{fieldType}</option>
+                    ))}
+                  </select>
+                  <label className="schema-field-required" title="Required">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) => updateField(index, { required: e.target.checked })}
+                    />
+                    Req.
+                  </label>
+                  <button
+                    type="button"
+                    className="schema-field-remove"
+                    onClick={() => setFields((prev) => prev.filter((_, i) => i !== index))}
+                    disabled={fields.length === 1}
+                    aria-label="Remove field"
+                  >
+                    ×
+                  </button>
+                  <input
+                    type="text"
+                    className="schema-field-description"
+                    value={field.description}
+                    onChange={(e) => updateField(index, { description: e.target.value })}
+                    placeholder="Description (optional, guides the model)"
+                  />
+                </div>
+              ))}
+              <Button
+                type="button"
+                variant="ghost"
+                size="small"
+                onClick={() => setFields((prev) => [...prev, { ...EMPTY_FIELD }])}
+              >
+                Add field
+              </Button>
+            </div>
+          ) : (
+            <textarea
+              rows="10"
+              value={schemaText}
+              onChange={(e) => {
+                setSchemaText(e.target.value);
+                setError(null);
+              }}
+              placeholder='{ "type": "object", "properties": { ... } }'
+              spellCheck="false"
+            />
+          )}
+        </>
+      )}
+
+      {error && <div className="structured-output-error">{error}</div>}
+
+      <div className="structured-output-actions">
+        <Button type="submit" variant="primary" size="small">
+          Apply
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default StructuredOutputPanel;
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import Button from '../../common/Button/Button';
+import './SystemPromptPanel.css';
+
+const SystemPromptPanel = ({ persona, systemPrompt, isCustom, onSave, onClose }) => {
+  const [draft, setDraft] = useState(systemPrompt);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(draft);
+    onClose();
+  };
+
+  const handleReset = () => {
+    // Without its own prompt the chat follows the persona's prompt
+    onSave(null);
+    onClose();
+  };
+
+  return (
+    <form className="system-prompt-panel" onSubmit={handleSubmit}>
+      <div className="system-prompt-header">
+        <h4>System prompt</h4>
+        <button type="button" className="system-prompt-close" onClick={onClose} aria-label="Close system prompt">×</button>
+      </div>
+      <p className="system-prompt-source">
+        {isCustom
+          ? `Custom prompt for this chat, based on ${persona.avatar} ${persona.name}`
+          : `From the ${persona.avatar} ${persona.name} persona`}
+      </p>
+      <textarea
+        rows="8"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder="No system prompt"
+      />
+      <div className="system-prompt-actions">
+        {isCustom && (
+          <Button type="button" variant="ghost" size="small" onClick={handleReset}>
+            Use persona prompt
+          </Button>
+        )}
+        <Button type="submit" variant="primary" size="small" disabled={draft === systemPrompt}>
+          Save
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default SystemPromptPanel;
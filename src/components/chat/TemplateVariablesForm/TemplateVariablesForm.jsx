@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import Button from '../../common/Button/Button';
+import { fillTemplate } from '../../../services/prompts/index.js';
+import './TemplateVariablesForm.css';
+
+const TemplateVariablesForm = ({ template, variables, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(() => Object.fromEntries(variables.map(name => [name, ''])));
+  const isComplete = variables.every(name => values[name].trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isComplete) return;
+    onSubmit(fillTemplate(template.content, values));
+  };
+
+  return (
+    <form
+      className="template-variables-form"
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+    >
+      <div className="template-variables-header">
+        <h4>/{template.name}</h4>
+        <button type="button" className="template-variables-close" onClick={onCancel} aria-label="Close template">×</button>
+      </div>
+      {variables.map((name, index) => (
+        <label key={name} className="template-variables-field">
+          <span>{name}</span>
+          <input
+            type="text"
+            value={values[name]}
+            onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+            autoFocus={index === 0}
+          />
+        </label>
+      ))}
+      <p className="template-variables-preview">{fillTemplate(template.content, values)}</p>
+      <div className="template-variables-actions">
+        <Button type="button" variant="ghost" size="small" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="small" disabled={!isComplete}>
+          Insert
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default TemplateVariablesForm;
@@ -0,0 +1,63 @@
+import React from 'react';
+import './ToolCallList.css';
+
+const STATUS_LABELS = {
+  running: 'Running...',
+  done: 'Done',
+  error: 'Failed'
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value, null, 2);
+};
+
+// One-line preview of the arguments for the collapsed row
+const summarizeArguments = (args) => {
+  if (!args || typeof args !== 'object') return formatValue(args || '');
+
+  return Object.entries(args)
+    .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(', ');
+};
+
+const ToolCallList = ({ toolCalls = [] }) => {
+  if (toolCalls.length === 0) return null;
+
+  return (
+    <div className="tool-call-list">
+      {toolCalls.map((call) => (
+        <details key={call.id} className={`tool-call ${call.status}`}>
+          <summary>
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"/>
+            </svg>
+            <span className="tool-call-name">{call.name}</span>
+            <span className="tool-call-args">{summarizeArguments(call.arguments)}</span>
+            <span className="tool-call-status">{STATUS_LABELS[call.status]}</span>
+          </summary>
+          <div className="tool-call-body">
+            <div className="tool-call-section">
+              <span className="tool-call-label">Arguments</span>
+              <pre>{formatValue(call.arguments || {})}</pre>
+            </div>
+            {call.status === 'done' && (
+              <div className="tool-call-section">
+                <span className="tool-call-label">Result</span>
+                <pre>{formatValue(call.result)}</pre>
+              </div>
+            )}
+            {call.status === 'error' && (
+              <div className="tool-call-section">
+                <span className="tool-call-label">Error</span>
+                <pre className="tool-call-error">{call.error}</pre>
+              </div>
+            )}
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default ToolCallList;
@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import Avatar from '../../common/Avatar/Avatar';
 import './UserMenu.css';
 
-const UserMenu = ({ onProfile, onLogout }) => {
+const UserMenu = ({ onProfile, onModels, onPersonas, onKnowledge, onEndpoints, onPrompts, onLogout }) => {
   const [showMenu, setShowMenu] = useState(false);
 
   const toggleMenu = () => {
@@ -14,6 +14,31 @@ const UserMenu = ({ onProfile, onLogout }) => {
     setShowMenu(false);
   };
 
+  const handleModels = () => {
+    onModels();
+    setShowMenu(false);
+  };
+
+  const handlePersonas = () => {
+    onPersonas();
+    setShowMenu(false);
+  };
+
+  const handleKnowledge = () => {
+    onKnowledge();
+    setShowMenu(false);
+  };
+
+  const handleEndpoints = () => {
+    onEndpoints();
+    setShowMenu(false);
+  };
+
+  const handlePrompts = () => {
+    onPrompts();
+    setShowMenu(false);
+  };
+
   const handleLogout = () => {
     onLogout();
     setShowMenu(false);
@@ -33,6 +58,45 @@ const UserMenu = ({ onProfile, onLogout }) => {
               </svg>
               Profile
             </button>
+            <button className="dropdown-item" onClick={handleModels}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"/>
+                <polyline points="3.27,6.96 12,12.01 20.73,6.96"/>
+                <line x1="12" y1="22.08" x2="12" y2="12"/>
+              </svg>
+              Models
+            </button>
+            <button className="dropdown-item" onClick={handlePersonas}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+                <circle cx="9" cy="7" r="4"/>
+                <path d="M23 21v-2a4 4 0 0 0-3-3.87M16 3.13a4 4 0 0 1 0 7.75"/>
+              </svg>
+              Personas
+            </button>
+            <button className="dropdown-item" onClick={handleKnowledge}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/>
+                <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/>
+              </svg>
+              Knowledge
+            </button>
+            <button className="dropdown-item" onClick={handleEndpoints}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <rect x="2" y="2" width="20" height="8" rx="2" ry="2"/>
+                <rect x="2" y="14" width="20" height="8" rx="2" ry="2"/>
+                <line x1="6" y1="6" x2="6.01" y2="6"/>
+                <line x1="6" y1="18" x2="6.01" y2="18"/>
+              </svg>
+              Endpoints
+            </button>
+            <button className="dropdown-item" onClick={handlePrompts}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <polyline points="4,17 10,11 4,5"/>
+                <line x1="12" y1="19" x2="20" y2="19"/>
+              </svg>
+              Prompts
+            </button>
             <button className="dropdown-item" onClick={handleLogout}>
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/>
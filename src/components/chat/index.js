@@ -4,3 +4,22 @@ export { default as MessageList } from './MessageList/MessageList';
 export { default as Message } from './Message/Message';
 export { default as ChatInput } from './ChatInput/ChatInput';
 export { default as ThinkingBox } from './ThinkingBox/ThinkingBox';
+export { default as ModelSelector } from './ModelSelector/ModelSelector';
+export { default as ContextIndicator } from './ContextIndicator/ContextIndicator';
+export { default as ParameterPanel } from './ParameterPanel/ParameterPanel';
+export { default as PersonaPicker } from './PersonaPicker/PersonaPicker';
+export { default as SystemPromptPanel } from './SystemPromptPanel/SystemPromptPanel';
+export { default as ToolCallList } from './ToolCallList/ToolCallList';
+export { default as KnowledgeSelector } from './KnowledgeSelector/KnowledgeSelector';
+export { default as CitationViewer } from './CitationViewer/CitationViewer';
+export { default as StructuredOutputPanel } from './StructuredOutputPanel/StructuredOutputPanel';
+export { default as JsonTree } from './JsonTree/JsonTree';
+export { default as GenerationStats } from './GenerationStats/GenerationStats';
+export { default as RunningModelsPanel } from './RunningModelsPanel/RunningModelsPanel';
+export { default as EndpointSelector } from './EndpointSelector/EndpointSelector';
+export { default as EndpointStatusList } from './EndpointStatusList/EndpointStatusList';
+export { default as ComparePanel } from './ComparePanel/ComparePanel';
+export { default as ComparisonView } from './ComparisonView/ComparisonView';
+export { default as SlashCommandMenu } from './SlashCommandMenu/SlashCommandMenu';
+export { default as TemplateVariablesForm } from './TemplateVariablesForm/TemplateVariablesForm';
+export { default as RegeneratePanel } from './RegeneratePanel/RegeneratePanel';
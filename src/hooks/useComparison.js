@@ -0,0 +1,166 @@
+/**
+ * Custom React hook for comparing models
+ * Sends one message to several models at once and follows their answers
+ * side by side, until one of them is kept or the comparison is discarded
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  llmService,
+  buildContext,
+  composeSystemPrompt,
+  resolveContextLength,
+  resolveRequestParams,
+  resolveResponseReserve,
+  resolveThinkingMode
+} from '../services/llm/index.js';
+
+export const COMPARISON_STATUS = {
+  STREAMING: 'streaming',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+// More columns than this do not fit side by side
+export const MAX_COMPARED_MODELS = 4;
+
+export const useComparison = () => {
+  const [comparison, setComparison] = useState(null);
+  const controllersRef = useRef(new Map());
+
+  const updateColumn = useCallback((comparisonId, model, updates) => {
+    setComparison((prev) => {
+      // Late chunks of a discarded comparison
+      if (!prev || prev.id !== comparisonId) return prev;
+
+      return {
+        ...prev,
+        columns: prev.columns.map(column => column.model === model ? { ...column, ...updates } : column)
+      };
+    });
+  }, []);
+
+  /**
+   * Stream one model's answer into its column
+   * The context and parameters come from each model's own metadata, without
+   * summarizing older messages again, the chat's existing summary is reused
+   */
+  const runColumn = useCallback(async (comparisonId, model, options) => {
+    const { history, systemPrompt, strategy, summary, retrieval, format, keepAlive, endpointId, toolContext } = options;
+    const controller = new AbortController();
+    controllersRef.current.set(model, controller);
+
+    try {
+      const metadata = await llmService.getModelMetadata(model);
+      const params = resolveRequestParams([], null, options.params, metadata.defaultParams);
+      const contextLength = resolveContextLength(metadata, params);
+      const context = buildContext({
+        systemPrompt: composeSystemPrompt(systemPrompt, resolveThinkingMode(metadata, format)),
+        history,
+        contextLength,
+        reserveTokens: resolveResponseReserve(contextLength, params),
+        strategy,
+        summary,
+        retrieval,
+        includeImages: Boolean(metadata.capabilities.vision)
+      });
+
+      const result = await llmService.streamMessage(
+        context.messages,
+        (delta, fullContent, thinking, answer) => {
+          updateColumn(comparisonId, model, { content: answer, thinking });
+        },
+        {
+          model,
+          params: { ...params, num_ctx: contextLength },
+          format,
+          keepAlive,
+          endpointId,
+          signal: controller.signal,
+          tools: true,
+          toolContext,
+          onToolCall: (toolCalls) => updateColumn(comparisonId, model, { toolCalls })
+        }
+      );
+
+      updateColumn(comparisonId, model, {
+        status: COMPARISON_STATUS.DONE,
+        stats: result?.stats || null,
+        endpoint: result?.endpoint || null
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateColumn(comparisonId, model, { status: COMPARISON_STATUS.CANCELLED });
+        return;
+      }
+
+      console.error(`Error comparing ${model}:`, error);
+      updateColumn(comparisonId, model, { status: COMPARISON_STATUS.ERROR, error: error.message });
+    } finally {
+      if (controllersRef.current.get(model) === controller) {
+        controllersRef.current.delete(model);
+      }
+    }
+  }, [updateColumn]);
+
+  /**
+   * Stop all answers still streaming
+   */
+  const cancelComparison = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+  }, []);
+
+  /**
+   * Send a user message to several models at once
+   * @param {Object} userMessage - the message being compared, not yet part of the chat
+   * @param {Array<string>} models - models to compare
+   * @param {Object} options - { history, systemPrompt, strategy, summary, params,
+   *   retrieval, citations, format, keepAlive, endpointId, toolContext },
+   *   history ending with the user message, params without the model defaults
+   */
+  const startComparison = useCallback(async (userMessage, models, options) => {
+    cancelComparison();
+
+    const comparisonId = Date.now();
+    setComparison({
+      id: comparisonId,
+      userMessage,
+      citations: options.citations || [],
+      columns: models.map(model => ({
+        model,
+        content: '',
+        thinking: '',
+        toolCalls: [],
+        stats: null,
+        endpoint: null,
+        error: null,
+        status: COMPARISON_STATUS.STREAMING
+      }))
+    });
+
+    await Promise.all(models.map(model => runColumn(comparisonId, model, options)));
+  }, [cancelComparison, runColumn]);
+
+  /**
+   * Stop and drop the comparison
+   */
+  const clearComparison = useCallback(() => {
+    cancelComparison();
+    setComparison(null);
+  }, [cancelComparison]);
+
+  // Stop streaming on unmount
+  useEffect(() => {
+    return () => cancelComparison();
+  }, [cancelComparison]);
+
+  return {
+    comparison,
+    isComparing: Boolean(comparison?.columns.some(column => column.status === COMPARISON_STATUS.STREAMING)),
+    startComparison,
+    cancelComparison,
+    clearComparison
+  };
+};
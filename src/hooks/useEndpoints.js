@@ -0,0 +1,102 @@
+/**
+ * Custom React hook for Ollama endpoints
+ * Manages the added endpoints and keeps their health up to date
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { appSettingsStorage, endpointStorage } from '../services/storage/index.js';
+import { llmService, validateEndpoint } from '../services/llm/index.js';
+
+// How often endpoint health is checked while the tab is visible
+const ENDPOINT_CHECK_INTERVAL = 30000;
+
+export const useEndpoints = () => {
+  const [endpoints, setEndpoints] = useState(() => llmService.getEndpoints());
+  const [isChecking, setIsChecking] = useState(false);
+
+  /**
+   * Check the health and models of every endpoint
+   */
+  const checkEndpoints = useCallback(async () => {
+    try {
+      setIsChecking(true);
+      return await llmService.checkEndpoints();
+    } finally {
+      setIsChecking(false);
+    }
+  }, []);
+
+  /**
+   * Add or update an endpoint
+   */
+  const saveEndpoint = useCallback((endpoint) => {
+    const validation = validateEndpoint(endpoint, llmService.getEndpoints());
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    const savedEndpoint = {
+      ...endpoint,
+      name: endpoint.name.trim(),
+      baseURL: endpoint.baseURL.trim().replace(/\/+$/, ''),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!endpointStorage.saveEndpoint(savedEndpoint)) {
+      throw new Error('Failed to save endpoint');
+    }
+
+    llmService.setEndpoints(endpointStorage.load());
+    llmService.checkEndpoints();
+    return savedEndpoint;
+  }, []);
+
+  /**
+   * Delete an added endpoint
+   */
+  const deleteEndpoint = useCallback((endpointId) => {
+    const success = endpointStorage.deleteEndpoint(endpointId);
+    if (success) {
+      llmService.setEndpoints(endpointStorage.load());
+    }
+    return success;
+  }, []);
+
+  /**
+   * Make an endpoint the one requests go to first
+   */
+  const setPreferredEndpoint = useCallback((endpointId) => {
+    llmService.setPreferredEndpoint(endpointId);
+    appSettingsStorage.update('preferredEndpointId', endpointId);
+  }, []);
+
+  // Follow list and health changes
+  useEffect(() => {
+    setEndpoints(llmService.getEndpoints());
+    return llmService.onEndpointsChange(setEndpoints);
+  }, []);
+
+  // Check the endpoints periodically, skipping hidden tabs
+  useEffect(() => {
+    if (!llmService.supports('endpoints')) return;
+
+    const interval = setInterval(() => {
+      if (!document.hidden) {
+        llmService.checkEndpoints();
+      }
+    }, ENDPOINT_CHECK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  return {
+    endpoints,
+    isChecking,
+    canManageEndpoints: llmService.supports('endpoints'),
+    preferredEndpointId: endpoints.find(endpoint => endpoint.isPreferred)?.id || null,
+    checkEndpoints,
+    saveEndpoint,
+    deleteEndpoint,
+    setPreferredEndpoint
+  };
+};
@@ -0,0 +1,58 @@
+/**
+ * Custom React hook for background generations
+ * Follows the responses being generated per chat by the generation manager
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { generationManager } from '../services/chat/index.js';
+
+export const useGenerations = () => {
+  const [generations, setGenerations] = useState(() => generationManager.getAll());
+
+  /**
+   * Generate a response into a chat's assistant message, see GenerationManager.start
+   */
+  const startGeneration = useCallback((chatId, messageId, task) => {
+    return generationManager.start(chatId, messageId, task);
+  }, []);
+
+  /**
+   * Cancel a chat's generation
+   */
+  const cancelGeneration = useCallback((chatId, options) => {
+    return generationManager.cancel(chatId, options);
+  }, []);
+
+  /**
+   * Get a chat's generation, with everything streamed into its message so far
+   */
+  const getGeneration = useCallback((chatId) => {
+    return generationManager.get(chatId);
+  }, []);
+
+  /**
+   * Subscribe to generation events, returns an unsubscribe function
+   */
+  const subscribeToGenerations = useCallback((listener) => {
+    return generationManager.subscribe(listener);
+  }, []);
+
+  // Follow generations starting, queueing and finishing
+  useEffect(() => {
+    setGenerations(generationManager.getAll());
+    return generationManager.subscribe((event) => {
+      if (event.type === 'status') {
+        setGenerations(event.generations);
+      }
+    });
+  }, []);
+
+  return {
+    // Status by chat ID, for chats with a queued or running generation
+    generationStatus: Object.fromEntries(generations.map(generation => [generation.chatId, generation.status])),
+    startGeneration,
+    cancelGeneration,
+    getGeneration,
+    subscribeToGenerations
+  };
+};
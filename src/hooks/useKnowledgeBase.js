@@ -0,0 +1,179 @@
+/**
+ * Custom React hook for knowledge base collections
+ * Lists collections and the documents of the selected one, and adds files
+ * to a collection with embedding progress
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { knowledgeBase } from '../services/knowledge/index.js';
+import { readDocumentFile } from '../utils/attachments';
+
+export const useKnowledgeBase = () => {
+  const [collections, setCollections] = useState([]);
+  const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [indexingProgress, setIndexingProgress] = useState(null);
+
+  const indexControllerRef = useRef(null);
+
+  /**
+   * Reload the collection list
+   */
+  const refreshCollections = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const items = await knowledgeBase.listCollections();
+      setCollections(items);
+      return items;
+    } catch (err) {
+      console.error('Error loading collections:', err);
+      setError(err.message);
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Reload the documents of the selected collection
+   */
+  const refreshDocuments = useCallback(async (collectionId = selectedCollectionId) => {
+    if (!collectionId) {
+      setDocuments([]);
+      return;
+    }
+
+    try {
+      setDocuments(await knowledgeBase.listDocuments(collectionId));
+    } catch (err) {
+      console.error('Error loading documents:', err);
+      setError(err.message);
+    }
+  }, [selectedCollectionId]);
+
+  /**
+   * Create a collection and select it
+   */
+  const createCollection = useCallback(async (values) => {
+    try {
+      setError(null);
+      const collection = await knowledgeBase.createCollection(values);
+      await refreshCollections();
+      setSelectedCollectionId(collection.id);
+      return collection;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [refreshCollections]);
+
+  /**
+   * Delete a collection
+   */
+  const deleteCollection = useCallback(async (collectionId) => {
+    try {
+      setError(null);
+      await knowledgeBase.deleteCollection(collectionId);
+      if (selectedCollectionId === collectionId) {
+        setSelectedCollectionId(null);
+      }
+      await refreshCollections();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [selectedCollectionId, refreshCollections]);
+
+  /**
+   * Extract, chunk and embed files into the selected collection one by one
+   */
+  const addFiles = useCallback(async (files) => {
+    if (!selectedCollectionId || indexControllerRef.current) return;
+
+    const controller = new AbortController();
+    indexControllerRef.current = controller;
+    setError(null);
+
+    try {
+      for (const [position, file] of files.entries()) {
+        const progress = { file: file.name, position: position + 1, count: files.length };
+        setIndexingProgress({ ...progress, status: 'Reading', completed: 0, total: 0 });
+
+        const attachment = await readDocumentFile(file);
+        await knowledgeBase.addDocument(selectedCollectionId, attachment, {
+          signal: controller.signal,
+          onProgress: ({ completed, total }) => {
+            setIndexingProgress({ ...progress, status: 'Embedding', completed, total });
+          }
+        });
+        await refreshDocuments(selectedCollectionId);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error adding documents:', err);
+        setError(err.message);
+      }
+    } finally {
+      indexControllerRef.current = null;
+      setIndexingProgress(null);
+      await refreshCollections();
+    }
+  }, [selectedCollectionId, refreshDocuments, refreshCollections]);
+
+  /**
+   * Stop adding files, documents already embedded are kept
+   */
+  const cancelIndexing = useCallback(() => {
+    indexControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Remove a document from the selected collection
+   */
+  const deleteDocument = useCallback(async (documentId) => {
+    try {
+      setError(null);
+      await knowledgeBase.deleteDocument(selectedCollectionId, documentId);
+      await Promise.all([refreshDocuments(), refreshCollections()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [selectedCollectionId, refreshDocuments, refreshCollections]);
+
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  useEffect(() => {
+    refreshCollections();
+  }, [refreshCollections]);
+
+  useEffect(() => {
+    refreshDocuments();
+  }, [refreshDocuments]);
+
+  // Stop indexing when the view unmounts
+  useEffect(() => {
+    return () => {
+      indexControllerRef.current?.abort();
+    };
+  }, []);
+
+  return {
+    collections,
+    selectedCollection: collections.find((collection) => collection.id === selectedCollectionId) || null,
+    selectCollection: setSelectedCollectionId,
+    documents,
+    isLoading,
+    error,
+    indexingProgress,
+    refreshCollections,
+    createCollection,
+    deleteCollection,
+    addFiles,
+    cancelIndexing,
+    deleteDocument,
+    clearError
+  };
+};
@@ -1,18 +1,36 @@
 /**
  * Custom React hook for LLM interactions
- * Provides a simple interface for chat operations with Ollama
+ * Provides a simple interface for chat operations with the configured provider
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
-import { llmService } from '../services/llm/index.js';
+import {
+  llmService,
+  CIRCUIT_STATES,
+  createUnknownMetadata,
+  resolveThinkingMode,
+  composeSystemPrompt,
+  buildContext,
+  resolveContextLength,
+  resolveResponseReserve,
+  toPullProgress
+} from '../services/llm/index.js';
 
-export const useLLM = (initialModel = 'qwen3:14b') => {
+// How often the loaded models are checked
+const RUNNING_MODELS_POLL_INTERVAL = 10000;
+
+export const useLLM = (initialModel = llmService.getDefaultModel()) => {
   const [isInitialized, setIsInitialized] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentModel, setCurrentModel] = useState(initialModel);
   const [availableModels, setAvailableModels] = useState([]);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
+  const [pullProgress, setPullProgress] = useState(null);
+  const [modelMetadata, setModelMetadata] = useState(() => createUnknownMetadata(initialModel));
+  const [runningModels, setRunningModels] = useState([]);
+  // Model being loaded or unloaded from the running models panel
+  const [memoryAction, setMemoryAction] = useState(null);
   
   const abortControllerRef = useRef(null);
 
@@ -25,12 +43,14 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
       setError(null);
       setConnectionStatus('connecting');
 
-      const result = await llmService.initialize(initialModel);
+      const result = await llmService.initialize(initialModel, {
+        onProgress: (data) => setPullProgress(toPullProgress(initialModel, data))
+      });
       
       if (result.success) {
         setIsInitialized(true);
         setAvailableModels(result.availableModels);
-        setCurrentModel(initialModel);
+        setCurrentModel(result.model || initialModel);
         setConnectionStatus('connected');
       }
     } catch (err) {
@@ -39,6 +59,7 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
       setConnectionStatus('error');
     } finally {
       setIsLoading(false);
+      setPullProgress(null);
     }
   }, [initialModel]);
 
@@ -78,180 +99,70 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
   }, [isInitialized]);
 
   /**
-   * Parse thinking and answer sections from response
+   * Fit a conversation into a model's context window (synchronous, never
+   * summarizes), used to preview what the next request will include
+   * options.metadata is the model's metadata, the current model's by default
    */
-  const parseThinkingAndAnswer = (content) => {
-    // First, check if we have any structured tags at all
-    const hasThinkingTag = content.includes('<think>');
-    const hasAnswerTag = content.includes('<answer>');
-    
-    // If we have structured format, parse it properly
-    if (hasThinkingTag || hasAnswerTag) {
-      const thinkingMatch = content.match(/<think>([\s\S]*?)<\/think>/);
-      const answerMatch = content.match(/<answer>([\s\S]*?)<\/answer>/);
-      
-      // For partial content (streaming), handle incomplete tags
-      const partialThinking = content.match(/<think>([\s\S]*?)(?:<\/think>|$)/);
-      const partialAnswer = content.match(/<answer>([\s\S]*?)(?:<\/answer>|$)/);
-      
-      const result = {
-        thinking: (thinkingMatch ? thinkingMatch[1] : (partialThinking ? partialThinking[1] : '')).trim(),
-        answer: (answerMatch ? answerMatch[1] : (partialAnswer ? partialAnswer[1] : '')).trim()
-      };
-      
-      return result;
-    }
-    
-    // No structured format detected - be conservative about what we show as answer
-    const trimmedContent = content.trim();
-    
-    // For unstructured content, we need to be careful:
-    // - During streaming, early content might be thinking process
-    // - Only show as answer when it looks like a complete final response
-    
-    // If content is very short, likely still building up - put in thinking
-    if (trimmedContent.length < 20) {
-      return {
-        thinking: trimmedContent,
-        answer: ''
-      };
-    }
-    
-    // For unstructured content, we need balanced logic:
-    // - During streaming, early content is usually thinking
-    // - Final complete responses should show as answers
-    // - Use content analysis to determine the right classification
-    
-    const lowerContent = trimmedContent.toLowerCase();
-    
-    // Thinking indicators - content that suggests reasoning process
-    const thinkingIndicators = [
-      'let me think',
-      'i need to',
-      'let me consider',
-      'i should',
-      'first,',
-      'step 1',
-      'step by step',
-      'let me work',
-      'thinking about',
-      'analyzing',
-      'considering'
-    ];
-    
-    // Answer indicators - content that suggests final response
-    const answerIndicators = [
-      'final answer',
-      'equals',
-      'is equal to', 
-      'the result is',
-      'therefore',
-      'in conclusion',
-      'finally',
-      '=',
-      'is:',
-      'answer:'
-    ];
-    
-    const hasThinkingIndicators = thinkingIndicators.some(indicator => 
-      lowerContent.includes(indicator)
-    );
-    
-    const hasAnswerIndicators = answerIndicators.some(indicator => 
-      lowerContent.includes(indicator)
-    );
-    
-    // Decision logic:
-    // 1. If has answer indicators → definitely answer
-    // 2. If has thinking indicators but no answer indicators → thinking  
-    // 3. If very short (< 20 chars) → likely still building, put in thinking
-    // 4. If longer and no clear indicators → check if it looks complete
-    
-    if (hasAnswerIndicators) {
-      const result = { thinking: '', answer: trimmedContent };
-      return result;
-    }
-    
-    if (hasThinkingIndicators) {
-      const result = { thinking: trimmedContent, answer: '' };
-      return result;
-    }
-    
-    // For content without clear indicators, be conservative during streaming
-    // Short content likely still building → thinking
-    // Longer content that looks complete → answer
-    if (trimmedContent.length < 30) {
-      const result = { thinking: trimmedContent, answer: '' };
-      return result;
-    }
-    
-    // Longer content without thinking indicators → probably final answer
-    const result = { thinking: '', answer: trimmedContent };
-    return result;
-  };
+  const estimateContext = useCallback((history, { systemPrompt, strategy, summary, params, retrieval, format, metadata = modelMetadata } = {}) => {
+    const contextLength = resolveContextLength(metadata, params);
+
+    return {
+      ...buildContext({
+        systemPrompt: composeSystemPrompt(systemPrompt, resolveThinkingMode(metadata, format)),
+        history,
+        contextLength,
+        reserveTokens: resolveResponseReserve(contextLength, params),
+        strategy,
+        summary,
+        retrieval,
+        includeImages: Boolean(metadata.capabilities.vision)
+      }),
+      contextLength
+    };
+  }, [modelMetadata]);
 
   /**
-   * Send message with streaming response
+   * Prepare the messages for the next request, summarizing older
+   * messages first when the summarize strategy needs it
+   * The summary is written by options.model through the chat's endpoint,
+   * and options.signal cancels it with the answer
+   * The returned `summary` replaces the chat's stored summary
    */
-  const sendMessageStream = useCallback(async (messages, onChunk, options = {}) => {
-    if (!isInitialized) {
-      throw new Error('LLM service not initialized');
+  const prepareContext = useCallback(async (history, options = {}) => {
+    const { summary, model, endpointId, keepAlive, signal } = options;
+    let context = estimateContext(history, options);
+
+    if (context.pendingSummaryIds.length === 0) {
+      return { ...context, summary };
     }
 
     try {
-      setIsLoading(true);
-      setError(null);
-
-      // Create abort controller for this request
-      abortControllerRef.current = new AbortController();
-
-      const response = await llmService.sendMessage(messages, {
-        ...options,
-        stream: true,
-        signal: abortControllerRef.current.signal
+      const pendingMessages = history.filter(message => context.pendingSummaryIds.includes(message.id));
+      const text = await llmService.summarizeConversation(summary?.text, pendingMessages, {
+        model,
+        endpointId,
+        keepAlive,
+        signal,
+        params: { num_ctx: context.contextLength }
       });
+      const updatedSummary = {
+        text,
+        throughId: pendingMessages[pendingMessages.length - 1].id,
+        updatedAt: new Date().toISOString()
+      };
 
-      if (response.success && response.stream) {
-        let fullContent = '';
-        
-        for await (const chunk of response.stream()) {
-          if (chunk.message && chunk.message.content) {
-            fullContent += chunk.message.content;
-            
-            // Parse thinking and answer sections
-            const parsed = parseThinkingAndAnswer(fullContent);
-            
-            onChunk(chunk.message.content, fullContent, parsed.thinking, parsed.answer, chunk.done);
-          }
-          
-          if (chunk.done) {
-            break;
-          }
-        }
-        
-        const finalParsed = parseThinkingAndAnswer(fullContent);
-        return { 
-          success: true, 
-          content: fullContent,
-          thinking: finalParsed.thinking,
-          answer: finalParsed.answer
-        };
-      }
-
-      return response;
+      context = estimateContext(history, { ...options, summary: updatedSummary });
+      return { ...context, summary: updatedSummary };
     } catch (err) {
       if (err.name === 'AbortError') {
-        return null;
+        throw err;
       }
-      
-      console.error('Error in streaming message:', err);
-      setError(err.message);
-      throw err;
-    } finally {
-      setIsLoading(false);
-      abortControllerRef.current = null;
+
+      // Without a fresh summary the older messages are simply dropped
+      console.error('Error summarizing conversation:', err);
+      return { ...context, summary };
     }
-  }, [isInitialized]);
+  }, [estimateContext]);
 
   /**
    * Change the current model
@@ -261,7 +172,10 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
       setIsLoading(true);
       setError(null);
 
-      await llmService.setModel(modelName);
+      // Missing models are pulled first, report the download progress
+      await llmService.setModel(modelName, {
+        onProgress: (data) => setPullProgress(toPullProgress(modelName, data))
+      });
       setCurrentModel(modelName);
     } catch (err) {
       console.error('Error changing model:', err);
@@ -269,6 +183,7 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
       throw err;
     } finally {
       setIsLoading(false);
+      setPullProgress(null);
     }
   }, []);
 
@@ -296,6 +211,62 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
     }
   }, []);
 
+  /**
+   * Reload the list of models in memory
+   */
+  const refreshRunningModels = useCallback(async () => {
+    if (!llmService.supports('running')) return [];
+
+    try {
+      const models = await llmService.getRunningModels();
+      setRunningModels(models);
+      return models;
+    } catch (err) {
+      // Polling failures are covered by the connection status
+      console.error('Error refreshing running models:', err);
+      return [];
+    }
+  }, []);
+
+  /**
+   * Load a model into memory before the first message
+   * keepAlive: keep_alive request value, -1 keeps it loaded
+   */
+  const preloadModel = useCallback(async (modelName, keepAlive) => {
+    try {
+      setMemoryAction({ model: modelName, action: 'load' });
+      setError(null);
+
+      const result = await llmService.loadModel(modelName, { keepAlive });
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result;
+    } finally {
+      setMemoryAction(null);
+      await refreshRunningModels();
+    }
+  }, [refreshRunningModels]);
+
+  /**
+   * Free the memory used by a model
+   */
+  const unloadModel = useCallback(async (modelName) => {
+    try {
+      setMemoryAction({ model: modelName, action: 'unload' });
+      setError(null);
+
+      const result = await llmService.unloadModel(modelName);
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result;
+    } finally {
+      setMemoryAction(null);
+      await refreshRunningModels();
+    }
+  }, [refreshRunningModels]);
+
   /**
    * Check connection health
    */
@@ -315,6 +286,50 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
     initialize();
   }, [initialize]);
 
+  // Load the current model's metadata
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    let isCurrent = true;
+    llmService.getModelMetadata(currentModel).then((metadata) => {
+      if (isCurrent) {
+        setModelMetadata(metadata);
+      }
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [isInitialized, currentModel]);
+
+  // Poll the loaded models while connected, skipping hidden tabs
+  useEffect(() => {
+    if (!isInitialized || connectionStatus !== 'connected' || !llmService.supports('running')) return;
+
+    refreshRunningModels();
+    const interval = setInterval(() => {
+      if (!document.hidden) {
+        refreshRunningModels();
+      }
+    }, RUNNING_MODELS_POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isInitialized, connectionStatus, refreshRunningModels]);
+
+  // Reflect the circuit breaker state in the connection status
+  useEffect(() => {
+    return llmService.onCircuitStateChange(({ state }) => {
+      if (state === CIRCUIT_STATES.OPEN) {
+        setConnectionStatus('unavailable');
+      } else if (state === CIRCUIT_STATES.HALF_OPEN) {
+        // The service probes the server, the breaker closes or reopens from the result
+        setConnectionStatus('recovering');
+      } else {
+        setConnectionStatus('connected');
+      }
+    });
+  }, []);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -332,17 +347,27 @@ export const useLLM = (initialModel = 'qwen3:14b') => {
     currentModel,
     availableModels,
     connectionStatus,
+    pullProgress,
+    modelMetadata,
+    runningModels,
+    memoryAction,
+    canManageMemory: llmService.supports('running'),
+    providerName: llmService.getProviderName(),
     
     // Actions
     initialize,
     sendMessage,
-    sendMessageStream,
     changeModel,
     abortRequest,
     refreshModels,
+    refreshRunningModels,
+    preloadModel,
+    unloadModel,
     checkHealth,
     
     // Utilities
+    estimateContext,
+    prepareContext,
     clearError: () => setError(null)
   };
 };
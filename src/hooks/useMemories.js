@@ -0,0 +1,45 @@
+/**
+ * Custom React hook for long-term memory
+ * Follows the remembered facts, including those learned in the background
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { memoryService } from '../services/memory/index.js';
+
+export const useMemories = () => {
+  const [memories, setMemories] = useState(() => memoryService.getMemories());
+
+  /**
+   * Create or update a memory, throws when it is invalid
+   */
+  const saveMemory = useCallback((memory) => {
+    return memoryService.saveMemory(memory);
+  }, []);
+
+  /**
+   * Forget a memory
+   */
+  const deleteMemory = useCallback((memoryId) => {
+    return memoryService.deleteMemory(memoryId);
+  }, []);
+
+  /**
+   * Forget all memories
+   */
+  const clearMemories = useCallback(() => {
+    return memoryService.clear();
+  }, []);
+
+  // Follow memories added or changed elsewhere
+  useEffect(() => {
+    setMemories(memoryService.getMemories());
+    return memoryService.subscribe(setMemories);
+  }, []);
+
+  return {
+    memories,
+    saveMemory,
+    deleteMemory,
+    clearMemories
+  };
+};
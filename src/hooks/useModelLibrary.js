@@ -0,0 +1,137 @@
+/**
+ * Custom React hook for managing local models
+ * Lists, pulls (with progress and cancellation) and deletes models
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { llmService, toPullProgress } from '../services/llm/index.js';
+
+export const useModelLibrary = () => {
+  const [models, setModels] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [pullProgress, setPullProgress] = useState(null);
+  const [deletingModel, setDeletingModel] = useState(null);
+
+  const pullControllerRef = useRef(null);
+
+  /**
+   * Refresh the local model list
+   */
+  const refreshModels = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const availableModels = await llmService.getModels();
+      setModels(availableModels);
+      return availableModels;
+    } catch (err) {
+      console.error('Error loading models:', err);
+      setError(err.message);
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Pull a model with live progress
+   */
+  const pullModel = useCallback(async (modelName) => {
+    if (pullControllerRef.current) {
+      throw new Error('Another model is already being pulled');
+    }
+
+    const controller = new AbortController();
+    pullControllerRef.current = controller;
+    setError(null);
+    setPullProgress(toPullProgress(modelName, { status: 'starting' }));
+
+    try {
+      const result = await llmService.pullModel(
+        modelName,
+        (data) => setPullProgress(toPullProgress(modelName, data)),
+        { signal: controller.signal }
+      );
+
+      if (!result.success && !result.cancelled) {
+        setError(result.error);
+      }
+
+      if (result.success) {
+        await refreshModels();
+      }
+
+      return result;
+    } finally {
+      pullControllerRef.current = null;
+      setPullProgress(null);
+    }
+  }, [refreshModels]);
+
+  /**
+   * Cancel the running pull
+   */
+  const cancelPull = useCallback(() => {
+    if (pullControllerRef.current) {
+      pullControllerRef.current.abort();
+    }
+  }, []);
+
+  /**
+   * Delete a local model
+   */
+  const deleteModel = useCallback(async (modelName) => {
+    try {
+      setDeletingModel(modelName);
+      setError(null);
+
+      const result = await llmService.deleteModel(modelName);
+      if (!result.success) {
+        setError(result.error);
+        return false;
+      }
+
+      setModels(prev => prev.filter(model => model.name !== modelName));
+      return true;
+    } finally {
+      setDeletingModel(null);
+    }
+  }, []);
+
+  // Load models on mount
+  useEffect(() => {
+    refreshModels();
+  }, [refreshModels]);
+
+  // Cancel a running pull on unmount
+  useEffect(() => {
+    return () => {
+      if (pullControllerRef.current) {
+        pullControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  return {
+    // State
+    models,
+    isLoading,
+    error,
+    pullProgress,
+    deletingModel,
+    totalSize: models.reduce((sum, model) => sum + (model.size || 0), 0),
+    canPull: llmService.supports('pull'),
+    canDelete: llmService.supports('delete'),
+
+    // Actions
+    refreshModels,
+    pullModel,
+    cancelPull,
+    deleteModel,
+
+    // Utilities
+    clearError: () => setError(null)
+  };
+};
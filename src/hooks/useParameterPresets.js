@@ -0,0 +1,58 @@
+/**
+ * Custom React hook for generation parameter presets
+ * Combines the built-in presets with the user's saved presets
+ */
+
+import { useState, useCallback } from 'react';
+import { presetStorage } from '../services/storage/index.js';
+import { BUILT_IN_PRESETS, validateParams } from '../services/llm/index.js';
+
+export const useParameterPresets = () => {
+  const [userPresets, setUserPresets] = useState(() => presetStorage.load());
+
+  /**
+   * Save parameters as a named preset
+   */
+  const savePreset = useCallback((name, params) => {
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      throw new Error('Preset name is required');
+    }
+
+    const validation = validateParams(params);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    const preset = {
+      id: `preset-${Date.now()}`,
+      name: trimmedName,
+      params,
+      createdAt: new Date().toISOString()
+    };
+
+    if (!presetStorage.savePreset(preset)) {
+      throw new Error('Failed to save preset');
+    }
+
+    setUserPresets(presetStorage.load());
+    return preset;
+  }, []);
+
+  /**
+   * Delete a user preset
+   */
+  const deletePreset = useCallback((presetId) => {
+    const success = presetStorage.deletePreset(presetId);
+    if (success) {
+      setUserPresets(presetStorage.load());
+    }
+    return success;
+  }, []);
+
+  return {
+    presets: [...BUILT_IN_PRESETS, ...userPresets],
+    savePreset,
+    deletePreset
+  };
+};
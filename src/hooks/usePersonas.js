@@ -0,0 +1,53 @@
+/**
+ * Custom React hook for personas
+ * Combines the default persona with the user's saved personas
+ */
+
+import { useState, useCallback } from 'react';
+import { personaStorage } from '../services/storage/index.js';
+import { DEFAULT_PERSONA, validatePersona } from '../services/llm/index.js';
+
+export const usePersonas = () => {
+  const [userPersonas, setUserPersonas] = useState(() => personaStorage.load());
+
+  /**
+   * Create or update a persona
+   */
+  const savePersona = useCallback((persona) => {
+    const validation = validatePersona(persona);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    const savedPersona = {
+      ...persona,
+      name: persona.name.trim(),
+      systemPrompt: persona.systemPrompt.trim(),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!personaStorage.savePersona(savedPersona)) {
+      throw new Error('Failed to save persona');
+    }
+
+    setUserPersonas(personaStorage.load());
+    return savedPersona;
+  }, []);
+
+  /**
+   * Delete a user persona
+   */
+  const deletePersona = useCallback((personaId) => {
+    const success = personaStorage.deletePersona(personaId);
+    if (success) {
+      setUserPersonas(personaStorage.load());
+    }
+    return success;
+  }, []);
+
+  return {
+    personas: [DEFAULT_PERSONA, ...userPersonas],
+    savePersona,
+    deletePersona
+  };
+};
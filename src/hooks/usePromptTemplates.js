@@ -0,0 +1,105 @@
+/**
+ * Custom React hook for the prompt library
+ * Saved templates, with import and export for sharing them
+ */
+
+import { useState, useCallback } from 'react';
+import { promptTemplateStorage } from '../services/storage/index.js';
+import {
+  BUILT_IN_COMMAND_NAMES,
+  validateTemplate,
+  exportTemplates as serializeTemplates,
+  parseTemplateImport
+} from '../services/prompts/index.js';
+
+export const usePromptTemplates = () => {
+  const [templates, setTemplates] = useState(() => promptTemplateStorage.load());
+
+  /**
+   * Create or update a template
+   */
+  const saveTemplate = useCallback((template) => {
+    const validation = validateTemplate(template, {
+      templates: promptTemplateStorage.load(),
+      reservedNames: BUILT_IN_COMMAND_NAMES
+    });
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    const savedTemplate = {
+      ...template,
+      name: template.name.trim().toLowerCase(),
+      description: template.description?.trim() || '',
+      content: template.content.trim(),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!promptTemplateStorage.saveTemplate(savedTemplate)) {
+      throw new Error('Failed to save template');
+    }
+
+    setTemplates(promptTemplateStorage.load());
+    return savedTemplate;
+  }, []);
+
+  /**
+   * Delete a template
+   */
+  const deleteTemplate = useCallback((templateId) => {
+    const success = promptTemplateStorage.deleteTemplate(templateId);
+    if (success) {
+      setTemplates(promptTemplateStorage.load());
+    }
+    return success;
+  }, []);
+
+  /**
+   * Add templates from a shared JSON file, replacing saved ones with the same name
+   * @returns {{ imported: number, skipped: number }}
+   */
+  const importTemplates = useCallback((json) => {
+    const current = promptTemplateStorage.load();
+    const merged = [...current];
+    let imported = 0;
+    let skipped = 0;
+
+    parseTemplateImport(json).forEach((template) => {
+      const existing = merged.findIndex(item => item.name === template.name);
+      const candidate = existing === -1 ? template : { ...template, id: merged[existing].id };
+      const validation = validateTemplate(candidate, { templates: merged, reservedNames: BUILT_IN_COMMAND_NAMES });
+
+      if (!validation.isValid) {
+        skipped++;
+        return;
+      }
+
+      if (existing === -1) {
+        merged.push(candidate);
+      } else {
+        merged[existing] = { ...candidate, createdAt: merged[existing].createdAt, updatedAt: new Date().toISOString() };
+      }
+      imported++;
+    });
+
+    if (!promptTemplateStorage.save(merged)) {
+      throw new Error('Failed to save imported templates');
+    }
+
+    setTemplates(merged);
+    return { imported, skipped };
+  }, []);
+
+  /**
+   * JSON of the whole library, for sharing
+   */
+  const exportTemplates = useCallback(() => serializeTemplates(promptTemplateStorage.load()), []);
+
+  return {
+    templates,
+    saveTemplate,
+    deleteTemplate,
+    importTemplates,
+    exportTemplates
+  };
+};
@@ -0,0 +1,88 @@
+/**
+ * Chat Descriptions
+ * Titles and one-line summaries of chats, written by the model once the
+ * first exchange is complete
+ */
+
+import { llmService } from '../llm/index.js';
+
+// Until the model has described a chat it is titled after the first message
+const FALLBACK_TITLE_LENGTH = 50;
+const TITLE_MAX_LENGTH = 60;
+const SUMMARY_MAX_LENGTH = 120;
+// Characters of each message the description is based on
+const EXCERPT_LENGTH = 1500;
+
+/**
+ * Shorten text to one line of at most maxLength characters
+ */
+export const truncateLine = (text, maxLength) => {
+  const line = (text || '').replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.substring(0, maxLength).trimEnd()}...` : line;
+};
+
+/**
+ * Title of a new chat, from its first message or attachment names
+ */
+export const createFallbackTitle = (message, attachments = []) => {
+  return truncateLine(message || attachments.map(attachment => attachment.name).join(', '), FALLBACK_TITLE_LENGTH);
+};
+
+/**
+ * Prompt asking for a title and summary of a conversation
+ * @param {Array} messages - UI messages ({ type, content })
+ */
+export const createDescriptionPrompt = (messages) => {
+  const transcript = messages
+    .map(message => `${message.type === 'user' ? 'User' : 'Assistant'}: ${truncateLine(message.content, EXCERPT_LENGTH)}`)
+    .join('\n\n');
+
+  return [
+    'Write a title and a one-line summary for the conversation below, in the language of the conversation.',
+    'Answer with exactly these two lines and nothing else:',
+    'Title: <at most 6 words, no quotes>',
+    'Summary: <one sentence of at most 20 words>',
+    '',
+    transcript
+  ].join('\n');
+};
+
+// Drop quotes and markdown emphasis models like to add
+const tidy = (text) => text.replace(/^[\s"'*#`]+|[\s"'*`]+$/g, '');
+
+/**
+ * Read the title and summary lines of the model's answer
+ * @returns {{ title: string, summary: string|null }|null} - null without a title
+ */
+export const parseChatDescription = (text) => {
+  const answer = (text || '').replace(/<think>[\s\S]*?<\/think>/g, '');
+  const title = answer.match(/^\W*title\W*:(.+)$/im)?.[1];
+  const summary = answer.match(/^\W*summary\W*:(.+)$/im)?.[1];
+
+  if (!title || !tidy(title)) {
+    return null;
+  }
+
+  return {
+    title: truncateLine(tidy(title).replace(/\.$/, ''), TITLE_MAX_LENGTH),
+    summary: summary && tidy(summary) ? truncateLine(tidy(summary), SUMMARY_MAX_LENGTH) : null
+  };
+};
+
+/**
+ * Ask the model for a chat's title and summary
+ * @param {Array} messages - the exchange to describe, UI messages
+ * @param {Object} options - { model, keepAlive, endpointId, signal }
+ * @returns {{ title, summary }|null}
+ */
+export const describeChat = async (messages, options = {}) => {
+  const metadata = await llmService.getModelMetadata(options.model);
+  const result = await llmService.generateCompletion(createDescriptionPrompt(messages), {
+    ...options,
+    // Reasoning would only delay a short answer like this
+    think: metadata.capabilities.thinking ? false : undefined,
+    params: { temperature: 0.2, num_predict: 200 }
+  });
+
+  return parseChatDescription(result.response);
+};
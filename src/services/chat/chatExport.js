@@ -0,0 +1,30 @@
+/**
+ * Chat Export
+ * Conversations written out as Markdown for downloading
+ */
+
+/**
+ * Markdown of a chat: its title, then each message under the name of its author
+ */
+export const formatChatMarkdown = (chat, messages) => {
+  const lines = [`# ${chat?.title || 'Chat'}`, ''];
+
+  if (chat?.createdAt) {
+    lines.push(`_Started ${new Date(chat.createdAt).toLocaleString()}_`, '');
+  }
+
+  messages
+    .filter((msg) => !msg.isError)
+    .forEach((msg) => {
+      lines.push(msg.type === 'user' ? '## You' : `## Assistant${msg.model ? ` (${msg.model})` : ''}`, '');
+
+      if (msg.attachments?.length) {
+        lines.push(`Attachments: ${msg.attachments.map((attachment) => attachment.name).join(', ')}`, '');
+      }
+      if (msg.content) {
+        lines.push(msg.content.trim(), '');
+      }
+    });
+
+  return lines.join('\n');
+};
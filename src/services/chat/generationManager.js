@@ -0,0 +1,222 @@
+/**
+ * Generation Manager
+ * Runs assistant responses per chat outside of the chat view, so an answer
+ * keeps streaming into its own chat's storage while another chat is open
+ */
+
+import { chatHistoryStorage, chatMessagesStorage } from '../storage/index.js';
+
+export const GENERATION_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running'
+};
+
+// Responses generated at the same time, later ones wait in a queue.
+// Ollama serves a few requests in parallel by default (OLLAMA_NUM_PARALLEL)
+export const DEFAULT_MAX_PARALLEL = 2;
+
+// Streamed tokens are written to storage at most this often
+const PERSIST_INTERVAL = 500;
+
+export class GenerationManager {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxParallel - responses generated at the same time
+   * @param {Object} options.messageStore - storage with updateMessage(chatId, messageId, updates)
+   * @param {Object} options.chatStore - storage with updateChat(chatId, updates)
+   */
+  constructor({
+    maxParallel = DEFAULT_MAX_PARALLEL,
+    messageStore = chatMessagesStorage,
+    chatStore = chatHistoryStorage
+  } = {}) {
+    this.maxParallel = maxParallel;
+    this.messageStore = messageStore;
+    this.chatStore = chatStore;
+    // Jobs by chat ID, in start order
+    this.jobs = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to generation events, returns an unsubscribe function
+   * Events: { type: 'status', generations }, { type: 'message', chatId, messageId, updates },
+   * { type: 'thinking', chatId, thinking }, { type: 'chat', chatId, updates },
+   * { type: 'done', chatId } once a generation ended, however it ended
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  _emitStatus() {
+    this._emit({ type: 'status', generations: this.getAll() });
+  }
+
+  _toSnapshot(job) {
+    return {
+      chatId: job.chatId,
+      messageId: job.messageId,
+      status: job.status,
+      updates: job.updates,
+      thinking: job.thinking
+    };
+  }
+
+  /**
+   * Get the generation of a chat, null when it is idle
+   * `updates` holds everything streamed into the message so far
+   */
+  get(chatId) {
+    const job = this.jobs.get(chatId);
+    return job ? this._toSnapshot(job) : null;
+  }
+
+  /**
+   * Get all queued and running generations
+   */
+  getAll() {
+    return [...this.jobs.values()].map(job => this._toSnapshot(job));
+  }
+
+  /**
+   * Whether a chat has a queued or running generation
+   */
+  isGenerating(chatId) {
+    return this.jobs.has(chatId);
+  }
+
+  /**
+   * Generate a response into a chat's assistant message
+   * The task receives { signal, update, updateChat, setThinking }: update
+   * patches the message, updateChat the chat entry, both reach storage
+   * even when no view is listening
+   * @param {string|number} chatId - chat the message belongs to
+   * @param {string|number} messageId - assistant message to fill, already saved
+   * @param {Function} task - async ({ signal, update, updateChat, setThinking }) => result
+   * @returns {Promise} - the task's result, null when cancelled or failed
+   */
+  start(chatId, messageId, task) {
+    if (this.jobs.has(chatId)) {
+      throw new Error('This chat is already generating a response');
+    }
+
+    let resolve;
+    const job = {
+      chatId,
+      messageId,
+      task,
+      status: GENERATION_STATUS.QUEUED,
+      controller: new AbortController(),
+      updates: {},
+      thinking: '',
+      persistTimer: null,
+      discard: false,
+      done: new Promise(done => { resolve = done; })
+    };
+    job.resolve = resolve;
+
+    this.jobs.set(chatId, job);
+    this._emitStatus();
+    this._runNext();
+
+    return job.done;
+  }
+
+  /**
+   * Cancel a chat's generation, queued ones never start
+   * With discard, unsaved tokens are dropped, for chats being deleted or cleared
+   */
+  cancel(chatId, { discard = false } = {}) {
+    const job = this.jobs.get(chatId);
+    if (!job) return false;
+
+    job.discard = discard;
+
+    if (job.status === GENERATION_STATUS.QUEUED) {
+      this.jobs.delete(chatId);
+      job.resolve(null);
+      this._emitStatus();
+    } else {
+      job.controller.abort();
+    }
+
+    return true;
+  }
+
+  _runNext() {
+    const jobs = [...this.jobs.values()];
+    let running = jobs.filter(job => job.status === GENERATION_STATUS.RUNNING).length;
+
+    jobs
+      .filter(job => job.status === GENERATION_STATUS.QUEUED)
+      .forEach(job => {
+        if (running >= this.maxParallel) return;
+        running += 1;
+        this._run(job);
+      });
+  }
+
+  async _run(job) {
+    job.status = GENERATION_STATUS.RUNNING;
+    this._emitStatus();
+
+    let result = null;
+    try {
+      result = await job.task({
+        signal: job.controller.signal,
+        update: (updates) => this._updateMessage(job, updates),
+        updateChat: (updates) => this._updateChat(job.chatId, updates),
+        setThinking: (thinking) => {
+          job.thinking = thinking;
+          this._emit({ type: 'thinking', chatId: job.chatId, thinking });
+        }
+      });
+    } catch (error) {
+      // Tasks report their own failures on the message, cancelling is not one
+      if (error.name !== 'AbortError') {
+        console.error('Generation failed:', error);
+      }
+    } finally {
+      this._persist(job);
+      this.jobs.delete(job.chatId);
+      job.resolve(result);
+      this._emit({ type: 'done', chatId: job.chatId });
+      this._emitStatus();
+      this._runNext();
+    }
+
+    return result;
+  }
+
+  _updateMessage(job, updates) {
+    job.updates = { ...job.updates, ...updates };
+    this._emit({ type: 'message', chatId: job.chatId, messageId: job.messageId, updates });
+
+    if (!job.persistTimer) {
+      job.persistTimer = setTimeout(() => this._persist(job), PERSIST_INTERVAL);
+    }
+  }
+
+  _persist(job) {
+    clearTimeout(job.persistTimer);
+    job.persistTimer = null;
+
+    if (!job.discard && Object.keys(job.updates).length > 0) {
+      this.messageStore.updateMessage(job.chatId, job.messageId, job.updates);
+    }
+  }
+
+  _updateChat(chatId, updates) {
+    this.chatStore.updateChat(chatId, updates);
+    this._emit({ type: 'chat', chatId, updates });
+  }
+}
+
+// Create and export singleton instance
+export const generationManager = new GenerationManager();
+export default generationManager;
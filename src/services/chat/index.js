@@ -0,0 +1,25 @@
+/**
+ * Chat Services Entry Point
+ * Exports the services that keep conversations running outside of the views
+ */
+
+export {
+  GenerationManager,
+  generationManager,
+  GENERATION_STATUS,
+  DEFAULT_MAX_PARALLEL
+} from './generationManager.js';
+
+export {
+  createFallbackTitle,
+  createDescriptionPrompt,
+  parseChatDescription,
+  describeChat,
+  truncateLine
+} from './chatDescriptions.js';
+
+export { formatChatMarkdown } from './chatExport.js';
+
+export { getVariants, addVariant, selectVariant } from './messageVariants.js';
+
+export { default } from './generationManager.js';
@@ -0,0 +1,72 @@
+/**
+ * Answer Variants
+ * Regenerated answers are kept as variants of the assistant message. The
+ * selected variant's fields stay on the message itself, so history, context
+ * building and rendering only ever see that one. variants holds every
+ * variant, the selected one's entry is refreshed when switching away from it.
+ */
+
+// Fields that belong to one generated answer
+const VARIANT_FIELDS = [
+  'content',
+  'model',
+  'temperature',
+  'timestamp',
+  'toolCalls',
+  'citations',
+  'memories',
+  'stats',
+  'endpoint',
+  'isError',
+  'outputFormat'
+];
+
+const pickVariant = (message) => Object.fromEntries(
+  VARIANT_FIELDS.filter(field => message[field] !== undefined).map(field => [field, message[field]])
+);
+
+const withoutVariantFields = (message) => Object.fromEntries(
+  Object.entries(message).filter(([field]) => !VARIANT_FIELDS.includes(field))
+);
+
+/**
+ * Every answer of a message, the selected one as currently shown
+ */
+export const getVariants = (message) => {
+  const current = pickVariant(message);
+  if (!message.variants?.length) {
+    return [current];
+  }
+
+  return message.variants.map((variant, index) => (index === message.variantIndex ? current : variant));
+};
+
+/**
+ * Add a new answer to a message and select it
+ */
+export const addVariant = (message, variant) => {
+  const variants = [...getVariants(message), variant];
+  return {
+    ...withoutVariantFields(message),
+    ...variant,
+    variants,
+    variantIndex: variants.length - 1
+  };
+};
+
+/**
+ * Show another answer of a message, it is the one sent in later requests
+ */
+export const selectVariant = (message, index) => {
+  const variants = getVariants(message);
+  if (index < 0 || index >= variants.length) {
+    return message;
+  }
+
+  return {
+    ...withoutVariantFields(message),
+    ...variants[index],
+    variants,
+    variantIndex: index
+  };
+};
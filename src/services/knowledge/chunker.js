@@ -0,0 +1,75 @@
+/**
+ * Text Chunker
+ * Splits documents into overlapping passages small enough to embed,
+ * preferring paragraph, sentence and word boundaries
+ */
+
+export const DEFAULT_CHUNK_SIZE = 1000;
+export const DEFAULT_CHUNK_OVERLAP = 150;
+
+// A break is only taken in the second half of the window, so chunks do
+// not shrink to fragments
+const MIN_CHUNK_FILL = 0.5;
+
+/**
+ * Offset just after the best break point within a window, or -1
+ */
+const findBreak = (window, minOffset) => {
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph >= minOffset) {
+    return paragraph + 2;
+  }
+
+  let sentence = -1;
+  for (const match of window.matchAll(/[.!?]["')\]]?\s/g)) {
+    sentence = match.index + match[0].length;
+  }
+  if (sentence >= minOffset) {
+    return sentence;
+  }
+
+  const line = window.lastIndexOf('\n');
+  if (line >= minOffset) {
+    return line + 1;
+  }
+
+  const word = window.lastIndexOf(' ');
+  return word >= minOffset ? word + 1 : -1;
+};
+
+/**
+ * Split text into chunks of at most chunkSize characters
+ * @returns {Array<{ text: string, start: number, end: number }>} offsets into the original text
+ */
+export const chunkText = (text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) => {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+
+    if (end < text.length) {
+      const breakOffset = findBreak(text.slice(start, end), Math.floor(chunkSize * MIN_CHUNK_FILL));
+      if (breakOffset > 0) {
+        end = start + breakOffset;
+      }
+    }
+
+    const chunk = text.slice(start, end);
+    if (chunk.trim()) {
+      chunks.push({ text: chunk.trim(), start, end });
+    }
+
+    if (end >= text.length) break;
+
+    // Step back for the overlap, starting the next chunk on a word
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) {
+      next = space + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+};
@@ -0,0 +1,17 @@
+/**
+ * Knowledge Base Services Entry Point
+ * Exports the knowledge base service and its building blocks
+ */
+
+export {
+  KnowledgeBaseService,
+  knowledgeBase,
+  formatRetrievedContext,
+  DEFAULT_TOP_K,
+  DEFAULT_MIN_SCORE
+} from './knowledgeBase.js';
+export { VectorStore, vectorStore } from './vectorStore.js';
+export { SimilarityIndex, normalizeVector } from './similarityIndex.js';
+export { chunkText, DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } from './chunker.js';
+
+export { default } from './knowledgeBase.js';
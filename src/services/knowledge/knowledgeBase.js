@@ -0,0 +1,260 @@
+/**
+ * Knowledge Base Service
+ * Manages document collections: chunks and embeds added documents, and
+ * retrieves the passages most relevant to a question
+ */
+
+import { llmService } from '../llm/index.js';
+import { vectorStore } from './vectorStore.js';
+import { chunkText } from './chunker.js';
+import { SimilarityIndex } from './similarityIndex.js';
+
+// Chunks sent per embedding request
+const EMBED_BATCH_SIZE = 16;
+
+export const DEFAULT_TOP_K = 4;
+
+// Passages scoring lower are unlikely to be relevant and only dilute the context
+export const DEFAULT_MIN_SCORE = 0.3;
+
+const createId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Build the system message text presenting retrieved passages to the model
+ */
+export const formatRetrievedContext = (results) => {
+  if (results.length === 0) {
+    return '';
+  }
+
+  const passages = results
+    .map((result, index) => `[${index + 1}] From "${result.documentName}":\n${result.text}`)
+    .join('\n\n');
+
+  return `The following excerpts from the user's documents may help answer the next message. Use them when they are relevant and cite them by number, e.g. [1]. If they do not contain the answer, say so rather than guessing.\n\n${passages}`;
+};
+
+export class KnowledgeBaseService {
+  /**
+   * @param {Object} options
+   * @param {VectorStore} options.store - persistence for collections and chunks
+   * @param {Function} options.embed - (texts, { model, signal }) => vectors
+   */
+  constructor({
+    store = vectorStore,
+    embed = (texts, options) => llmService.embed(texts, options)
+  } = {}) {
+    this.store = store;
+    this.embed = embed;
+    // Similarity indexes of the collections searched so far
+    this.indexes = new Map();
+  }
+
+  /**
+   * Get all collections, newest first
+   */
+  async listCollections() {
+    const collections = await this.store.listCollections();
+    return collections.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Create an empty collection
+   */
+  async createCollection({ name, description = '', embeddingModel }) {
+    const trimmedName = name?.trim();
+    if (!trimmedName) {
+      throw new Error('Collection name is required');
+    }
+
+    const model = embeddingModel?.trim() || llmService.getDefaultEmbeddingModel();
+    if (!model) {
+      throw new Error('An embedding model is required');
+    }
+
+    return this.store.saveCollection({
+      id: createId('collection'),
+      name: trimmedName,
+      description,
+      embeddingModel: model,
+      dimensions: null,
+      documentCount: 0,
+      chunkCount: 0,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete a collection and everything in it
+   */
+  async deleteCollection(collectionId) {
+    await this.store.deleteCollection(collectionId);
+    this.indexes.delete(collectionId);
+  }
+
+  /**
+   * Get the documents of a collection, newest first
+   */
+  async listDocuments(collectionId) {
+    const documents = await this.store.listDocuments(collectionId);
+    return documents.sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  }
+
+  /**
+   * Chunk, embed and store a document
+   * @param {string} collectionId
+   * @param {Object} source - { name, text, mimeType, size }
+   * @param {Object} options - { onProgress({ completed, total }), signal }
+   */
+  async addDocument(collectionId, source, { onProgress, signal } = {}) {
+    const collection = await this.store.getCollection(collectionId);
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+
+    const passages = chunkText(source.text);
+    if (passages.length === 0) {
+      throw new Error(`${source.name} contains no text`);
+    }
+
+    const documentId = createId('document');
+    const chunks = [];
+    onProgress?.({ completed: 0, total: passages.length });
+
+    for (let i = 0; i < passages.length; i += EMBED_BATCH_SIZE) {
+      if (signal?.aborted) {
+        throw new DOMException('Adding the document was cancelled', 'AbortError');
+      }
+
+      const batch = passages.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await this.embed(batch.map(passage => passage.text), {
+        model: collection.embeddingModel,
+        signal
+      });
+
+      batch.forEach((passage, offset) => {
+        const vector = vectors[offset];
+        if (collection.dimensions && vector.length !== collection.dimensions) {
+          throw new Error(`${collection.embeddingModel} returned ${vector.length}-dimensional vectors, this collection uses ${collection.dimensions}`);
+        }
+
+        chunks.push({
+          id: `${documentId}-${i + offset}`,
+          collectionId,
+          documentId,
+          documentName: source.name,
+          index: i + offset,
+          text: passage.text,
+          start: passage.start,
+          end: passage.end,
+          vector: Float32Array.from(vector)
+        });
+      });
+
+      onProgress?.({ completed: Math.min(i + EMBED_BATCH_SIZE, passages.length), total: passages.length });
+    }
+
+    const document = {
+      id: documentId,
+      collectionId,
+      name: source.name,
+      mimeType: source.mimeType || 'text/plain',
+      size: source.size || source.text.length,
+      characters: source.text.length,
+      chunkCount: chunks.length,
+      addedAt: new Date().toISOString()
+    };
+
+    await this.store.saveDocument(document, chunks);
+    await this.store.saveCollection({
+      ...collection,
+      dimensions: collection.dimensions || chunks[0].vector.length,
+      documentCount: collection.documentCount + 1,
+      chunkCount: collection.chunkCount + chunks.length
+    });
+
+    const index = this.indexes.get(collectionId);
+    if (index) {
+      chunks.forEach(chunk => index.add(chunk.id, chunk.vector));
+    }
+
+    return document;
+  }
+
+  /**
+   * Remove a document from its collection
+   */
+  async deleteDocument(collectionId, documentId) {
+    const [collection, documents] = await Promise.all([
+      this.store.getCollection(collectionId),
+      this.store.listDocuments(collectionId)
+    ]);
+    const document = documents.find(item => item.id === documentId);
+    if (!document) return;
+
+    await this.store.deleteDocument(documentId);
+
+    const remainingChunks = collection.chunkCount - document.chunkCount;
+    await this.store.saveCollection({
+      ...collection,
+      documentCount: collection.documentCount - 1,
+      chunkCount: remainingChunks,
+      // An empty collection may switch to a model with other dimensions
+      dimensions: remainingChunks > 0 ? collection.dimensions : null
+    });
+
+    this.indexes.get(collectionId)?.remove(
+      Array.from({ length: document.chunkCount }, (_, index) => `${documentId}-${index}`)
+    );
+  }
+
+  /**
+   * Load the similarity index of a collection from the store once
+   */
+  async _getIndex(collectionId) {
+    if (!this.indexes.has(collectionId)) {
+      const index = new SimilarityIndex();
+      const chunks = await this.store.listChunks(collectionId);
+      chunks.forEach(chunk => index.add(chunk.id, chunk.vector));
+      this.indexes.set(collectionId, index);
+    }
+
+    return this.indexes.get(collectionId);
+  }
+
+  /**
+   * Find the passages of a collection most relevant to a query
+   * @returns {Array<{ chunkId, documentId, documentName, index, text, score }>}
+   */
+  async search(collectionId, query, { topK = DEFAULT_TOP_K, minScore = DEFAULT_MIN_SCORE, signal } = {}) {
+    const collection = await this.store.getCollection(collectionId);
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+
+    const index = await this._getIndex(collectionId);
+    if (index.size === 0 || !query.trim()) {
+      return [];
+    }
+
+    const [queryVector] = await this.embed([query], { model: collection.embeddingModel, signal });
+    const matches = index.search(queryVector, topK).filter(match => match.score >= minScore);
+    const chunks = await this.store.getChunks(matches.map(match => match.id));
+
+    return matches
+      .map((match, position) => ({ match, chunk: chunks[position] }))
+      .filter(({ chunk }) => chunk)
+      .map(({ match, chunk }) => ({
+        chunkId: chunk.id,
+        documentId: chunk.documentId,
+        documentName: chunk.documentName,
+        index: chunk.index,
+        text: chunk.text,
+        score: match.score
+      }));
+  }
+}
+
+// Create and export singleton instance
+export const knowledgeBase = new KnowledgeBaseService();
+export default knowledgeBase;
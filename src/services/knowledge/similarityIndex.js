@@ -0,0 +1,86 @@
+/**
+ * Similarity Index
+ * In-memory cosine similarity search over the vectors of one collection.
+ * Vectors are normalized once on insert so a search is a dot product per chunk
+ */
+
+/**
+ * Scale a vector to unit length
+ */
+export const normalizeVector = (vector) => {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+
+  const normalized = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    normalized[i] = vector[i] / norm;
+  }
+  return normalized;
+};
+
+export class SimilarityIndex {
+  constructor() {
+    this.vectors = new Map();
+    this.dimensions = null;
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+
+  /**
+   * Add or replace the vector of an item
+   */
+  add(id, vector) {
+    if (this.dimensions !== null && vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, the index uses ${this.dimensions}`);
+    }
+
+    this.dimensions = vector.length;
+    this.vectors.set(id, normalizeVector(vector));
+  }
+
+  /**
+   * Remove items
+   */
+  remove(ids) {
+    ids.forEach(id => this.vectors.delete(id));
+    if (this.vectors.size === 0) {
+      this.dimensions = null;
+    }
+  }
+
+  /**
+   * Find the k items most similar to a query vector
+   * @returns {Array<{ id, score }>} best match first, scores from -1 to 1
+   */
+  search(queryVector, k = 4) {
+    if (this.vectors.size === 0) {
+      return [];
+    }
+
+    if (queryVector.length !== this.dimensions) {
+      throw new Error(`Query has ${queryVector.length} dimensions, the index uses ${this.dimensions}`);
+    }
+
+    const query = normalizeVector(queryVector);
+    const results = [];
+
+    for (const [id, vector] of this.vectors) {
+      let score = 0;
+      for (let i = 0; i < vector.length; i++) {
+        score += vector[i] * query[i];
+      }
+      results.push({ id, score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
+
+export default SimilarityIndex;
@@ -0,0 +1,196 @@
+/**
+ * Vector Store
+ * Persists knowledge base collections, documents and embedded chunks in
+ * IndexedDB, which unlike localStorage can hold binary vectors and
+ * hundreds of megabytes
+ */
+
+const DB_NAME = 'personalChatbot_knowledge';
+const DB_VERSION = 1;
+
+const STORES = {
+  COLLECTIONS: 'collections',
+  DOCUMENTS: 'documents',
+  CHUNKS: 'chunks'
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+const promisify = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Resolve once a transaction has committed
+ */
+const completion = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+export class VectorStore {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object stores on first use
+   */
+  _open() {
+    if (!this.dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+      }
+
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(STORES.COLLECTIONS, { keyPath: 'id' });
+
+        const documents = db.createObjectStore(STORES.DOCUMENTS, { keyPath: 'id' });
+        documents.createIndex('collectionId', 'collectionId');
+
+        const chunks = db.createObjectStore(STORES.CHUNKS, { keyPath: 'id' });
+        chunks.createIndex('collectionId', 'collectionId');
+        chunks.createIndex('documentId', 'documentId');
+      };
+
+      this.dbPromise = promisify(request).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async _getAll(storeName, indexName = null, key = undefined) {
+    const db = await this._open();
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    return promisify(indexName ? store.index(indexName).getAll(key) : store.getAll());
+  }
+
+  async _get(storeName, id) {
+    const db = await this._open();
+    return promisify(db.transaction(storeName, 'readonly').objectStore(storeName).get(id));
+  }
+
+  async _put(storeName, value) {
+    const db = await this._open();
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(value);
+    await completion(transaction);
+    return value;
+  }
+
+  /**
+   * Delete every record of a store matching an index key
+   */
+  _deleteByIndex(transaction, storeName, indexName, key) {
+    const index = transaction.objectStore(storeName).index(indexName);
+    const request = index.openKeyCursor(IDBKeyRange.only(key));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        transaction.objectStore(storeName).delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  }
+
+  /**
+   * Get all collections
+   */
+  async listCollections() {
+    return this._getAll(STORES.COLLECTIONS);
+  }
+
+  /**
+   * Get a collection by ID
+   */
+  async getCollection(collectionId) {
+    return this._get(STORES.COLLECTIONS, collectionId);
+  }
+
+  /**
+   * Create or update a collection
+   */
+  async saveCollection(collection) {
+    return this._put(STORES.COLLECTIONS, collection);
+  }
+
+  /**
+   * Delete a collection with its documents and chunks
+   */
+  async deleteCollection(collectionId) {
+    const db = await this._open();
+    const transaction = db.transaction(Object.values(STORES), 'readwrite');
+
+    transaction.objectStore(STORES.COLLECTIONS).delete(collectionId);
+    this._deleteByIndex(transaction, STORES.DOCUMENTS, 'collectionId', collectionId);
+    this._deleteByIndex(transaction, STORES.CHUNKS, 'collectionId', collectionId);
+
+    await completion(transaction);
+  }
+
+  /**
+   * Get the documents of a collection
+   */
+  async listDocuments(collectionId) {
+    return this._getAll(STORES.DOCUMENTS, 'collectionId', collectionId);
+  }
+
+  /**
+   * Save a document with its chunks in one transaction
+   */
+  async saveDocument(document, chunks) {
+    const db = await this._open();
+    const transaction = db.transaction([STORES.DOCUMENTS, STORES.CHUNKS], 'readwrite');
+
+    transaction.objectStore(STORES.DOCUMENTS).put(document);
+    const chunkStore = transaction.objectStore(STORES.CHUNKS);
+    chunks.forEach(chunk => chunkStore.put(chunk));
+
+    await completion(transaction);
+    return document;
+  }
+
+  /**
+   * Delete a document and its chunks
+   */
+  async deleteDocument(documentId) {
+    const db = await this._open();
+    const transaction = db.transaction([STORES.DOCUMENTS, STORES.CHUNKS], 'readwrite');
+
+    transaction.objectStore(STORES.DOCUMENTS).delete(documentId);
+    this._deleteByIndex(transaction, STORES.CHUNKS, 'documentId', documentId);
+
+    await completion(transaction);
+  }
+
+  /**
+   * Get the chunks of a collection, with their vectors
+   */
+  async listChunks(collectionId) {
+    return this._getAll(STORES.CHUNKS, 'collectionId', collectionId);
+  }
+
+  /**
+   * Get chunks by ID
+   */
+  async getChunks(chunkIds) {
+    return Promise.all(chunkIds.map(id => this._get(STORES.CHUNKS, id)));
+  }
+}
+
+// Create and export singleton instance
+export const vectorStore = new VectorStore();
+export default vectorStore;
@@ -1,8 +1,22 @@
 /**
- * Ollama API Configuration
- * Manages connection settings and model configurations for Ollama
+ * LLM Provider Configuration
+ * Manages connection settings and model configurations for the supported providers
  */
 
+/**
+ * Supported provider identifiers
+ */
+export const LLM_PROVIDERS = {
+  OLLAMA: 'ollama',
+  OPENAI_COMPATIBLE: 'openai',
+  MOCK: 'mock'
+};
+
+/**
+ * Provider used when none is configured
+ */
+export const DEFAULT_PROVIDER = LLM_PROVIDERS.OLLAMA;
+
 export const OLLAMA_CONFIG = {
   // Default Ollama server configuration
   baseURL: 'http://localhost:11434',
@@ -13,53 +27,128 @@ export const OLLAMA_CONFIG = {
     generate: '/api/generate',
     models: '/api/tags',
     pull: '/api/pull',
-    show: '/api/show'
+    show: '/api/show',
+    embed: '/api/embed',
+    running: '/api/ps'
   },
   
   // Default model settings
   defaultModel: 'qwen3:14b',
+
+  // Model used to embed knowledge base documents
+  embeddingModel: 'nomic-embed-text',
   
   // Request configuration
-  timeout: 30000, // 30 seconds
+  timeout: 30000, // 30 seconds, for non-streaming requests
+  connectionTimeout: 5000, // 5 seconds, for connection tests
+
+  // Streaming time limits
+  streamTimeouts: {
+    firstToken: 120000, // 2 minutes, covers loading the model into memory
+    idle: 30000, // 30 seconds between two chunks
+    total: 600000, // 10 minutes for the whole response
+    pullIdle: 120000 // 2 minutes without progress while pulling a model
+  },
+
+  // Retry policy for idempotent non-streaming requests
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 8000
+  },
+
+  // Stop sending requests after repeated failures
+  circuitBreaker: {
+    failureThreshold: 3,
+    resetTimeout: 15000 // 15 seconds before probing again
+  },
   
   // Default generation parameters
+  // Names follow Ollama's request options, see params.js
   defaultParams: {
     temperature: 0.7,
     top_p: 0.9,
     top_k: 40,
     repeat_penalty: 1.1,
-    max_tokens: 2048,
-    stream: true
+    num_predict: 2048
   }
 };
 
 /**
- * Model-specific configurations
+ * OpenAI-compatible server configuration (llama.cpp server, LM Studio, ...)
  */
-export const MODEL_CONFIGS = {
-  'qwen3:14b': {
-    name: 'Qwen3 14B',
-    description: 'Qwen2.5 14B parameter model - higher quality responses',
-    contextLength: 32768,
-    params: {
-      temperature: 0.6,
-      top_p: 0.85,
-      max_tokens: 2048
-    }
+export const OPENAI_COMPATIBLE_CONFIG = {
+  // llama.cpp server listens on 8080, LM Studio on 1234
+  baseURL: 'http://localhost:8080',
+
+  // Optional bearer token, most local servers ignore it
+  apiKey: '',
+
+  // API endpoints
+  endpoints: {
+    chat: '/v1/chat/completions',
+    models: '/v1/models',
+    embeddings: '/v1/embeddings'
+  },
+
+  // Local servers usually serve a single loaded model
+  defaultModel: '',
+  embeddingModel: '',
+
+  // Request configuration
+  timeout: 30000, // 30 seconds
+
+  // Default generation parameters
+  defaultParams: {
+    temperature: 0.7,
+    top_p: 0.9,
+    max_tokens: 2048
   }
 };
 
 /**
- * Environment-based configuration
+ * Built-in mock backend, answers from scripted scenarios without a server
+ */
+export const MOCK_CONFIG = {
+  baseURL: 'mock://ollama',
+  defaultModel: 'mock-chat',
+  embeddingModel: 'mock-embed'
+};
+
+/**
+ * Environment-based configuration, overrides configure additional endpoints
  */
-export const getOllamaConfig = () => {
+export const getOllamaConfig = (overrides = {}) => {
   return {
     ...OLLAMA_CONFIG,
     baseURL: import.meta.env.VITE_OLLAMA_BASE_URL || OLLAMA_CONFIG.baseURL,
-    defaultModel: import.meta.env.VITE_OLLAMA_DEFAULT_MODEL || OLLAMA_CONFIG.defaultModel
+    defaultModel: import.meta.env.VITE_OLLAMA_DEFAULT_MODEL || OLLAMA_CONFIG.defaultModel,
+    embeddingModel: import.meta.env.VITE_OLLAMA_EMBEDDING_MODEL || OLLAMA_CONFIG.embeddingModel,
+    ...overrides
   };
 };
 
+/**
+ * Environment-based configuration for OpenAI-compatible servers
+ */
+export const getOpenAICompatibleConfig = () => {
+  return {
+    ...OPENAI_COMPATIBLE_CONFIG,
+    baseURL: import.meta.env.VITE_OPENAI_BASE_URL || OPENAI_COMPATIBLE_CONFIG.baseURL,
+    apiKey: import.meta.env.VITE_OPENAI_API_KEY || OPENAI_COMPATIBLE_CONFIG.apiKey,
+    defaultModel: import.meta.env.VITE_OPENAI_DEFAULT_MODEL || OPENAI_COMPATIBLE_CONFIG.defaultModel,
+    embeddingModel: import.meta.env.VITE_OPENAI_EMBEDDING_MODEL || OPENAI_COMPATIBLE_CONFIG.embeddingModel
+  };
+};
+
+/**
+ * Get the configured provider name
+ */
+export const getProviderName = () => {
+  const provider = import.meta.env.VITE_LLM_PROVIDER || DEFAULT_PROVIDER;
+  return Object.values(LLM_PROVIDERS).includes(provider) ? provider : DEFAULT_PROVIDER;
+};
+
 /**
  * Validate Ollama configuration
  */
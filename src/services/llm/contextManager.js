@@ -0,0 +1,277 @@
+/**
+ * Context Window Manager
+ * Estimates the token cost of a conversation and fits it into the model's
+ * context window by dropping, pinning or summarizing older messages
+ */
+
+export const CONTEXT_STRATEGIES = {
+  // Drop the oldest messages first
+  DROP_OLDEST: 'drop-oldest',
+  // Like drop-oldest, but pinned messages are always kept
+  KEEP_PINNED: 'keep-pinned',
+  // Replace dropped messages with a rolling summary written by the model
+  SUMMARIZE: 'summarize'
+};
+
+export const DEFAULT_CONTEXT_STRATEGY = CONTEXT_STRATEGIES.DROP_OLDEST;
+
+// Ollama allocates num_ctx tokens of memory, so the window sent by default
+// is capped well below the maximum many models advertise
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Rough characters-per-token ratio for English text and code
+const CHARS_PER_TOKEN = 4;
+
+// Role markers and separators added by chat templates
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Typical cost of one image for vision encoders such as CLIP
+const IMAGE_TOKENS = 768;
+
+// Share of the context window attached documents may fill, per message
+const DOCUMENT_CONTEXT_SHARE = 0.5;
+
+/**
+ * Estimate the token count of a text
+ */
+export const estimateTokens = (text = '') => {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Estimate the token count of a chat message
+ */
+export const estimateMessageTokens = (message) => {
+  return estimateTokens(message.content) + (message.images?.length || 0) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+};
+
+/**
+ * Context window to use for a model: explicit num_ctx first, then the
+ * model's own limit capped at the default window
+ */
+export const resolveContextLength = (metadata, params = {}) => {
+  if (params.num_ctx) {
+    return params.num_ctx;
+  }
+
+  return Math.min(metadata?.contextLength || DEFAULT_CONTEXT_WINDOW, DEFAULT_CONTEXT_WINDOW);
+};
+
+/**
+ * Tokens kept free for the response
+ */
+export const resolveResponseReserve = (contextLength, params = {}) => {
+  const requested = params.num_predict > 0 ? params.num_predict : 1024;
+  return Math.min(requested, Math.floor(contextLength / 4));
+};
+
+/**
+ * Prefix a message with the text of its document attachments, each
+ * wrapped in delimiters and cut so together they fit maxChars
+ */
+export const injectDocuments = (content, documents, maxChars) => {
+  if (documents.length === 0) {
+    return content;
+  }
+
+  const perDocument = Math.floor(maxChars / documents.length);
+  const blocks = documents.map(document => {
+    const text = document.text.slice(0, perDocument);
+    const isCut = document.truncated || text.length < document.text.length;
+    const note = isCut
+      ? `\n[Truncated: showing the first ${text.length} characters. The read_attachment tool can read further.]`
+      : '';
+
+    return `<document name="${document.name}">\n${text}${note}\n</document>`;
+  });
+
+  return `${blocks.join('\n\n')}\n\n${content}`;
+};
+
+/**
+ * Convert a UI message to a chat API message: document attachments are
+ * injected into the content, image attachments become the base64 `images`
+ * Ollama expects
+ */
+const toChatMessage = (message, { includeImages, documentChars }) => {
+  const attachments = message.attachments || [];
+  const documents = attachments.filter(attachment => attachment.type === 'document');
+
+  const chatMessage = {
+    role: message.type === 'user' ? 'user' : 'assistant',
+    content: injectDocuments(message.content, documents, documentChars)
+  };
+
+  const images = attachments.filter(attachment => attachment.type === 'image');
+  if (includeImages && images.length > 0) {
+    chatMessage.images = images.map(image => image.dataUrl.slice(image.dataUrl.indexOf(',') + 1));
+  }
+
+  return chatMessage;
+};
+
+/**
+ * Build the system message carrying the rolling summary
+ */
+export const createSummaryMessage = (summary) => ({
+  role: 'system',
+  content: `Summary of the earlier part of this conversation:\n${summary}`
+});
+
+/**
+ * Fit a conversation into the context window
+ *
+ * @param {Object} params
+ * @param {string} params.systemPrompt - system prompt sent with every request
+ * @param {Array} params.history - UI messages ({ id, type, content, pinned }), oldest first,
+ *   the last entry being the new user message
+ * @param {number} params.contextLength - context window in tokens
+ * @param {number} params.reserveTokens - tokens kept free for the response
+ * @param {string} params.strategy - one of CONTEXT_STRATEGIES
+ * @param {Object} params.summary - rolling summary { text, throughId } for the summarize strategy
+ * @param {boolean} params.includeImages - send image attachments, for vision models
+ * @param {string} params.retrieval - knowledge base excerpts for the new message
+ * @returns {{ messages, includedIds, excludedIds, summarizedIds, pendingSummaryIds, tokenCount, budget }}
+ */
+export const buildContext = ({
+  systemPrompt = '',
+  history,
+  contextLength = DEFAULT_CONTEXT_WINDOW,
+  reserveTokens = 0,
+  strategy = DEFAULT_CONTEXT_STRATEGY,
+  summary = null,
+  includeImages = false,
+  retrieval = ''
+}) => {
+  const budget = contextLength - reserveTokens;
+  let tokenCount = systemPrompt ? estimateTokens(systemPrompt) + MESSAGE_OVERHEAD_TOKENS : 0;
+
+  const useSummary = strategy === CONTEXT_STRATEGIES.SUMMARIZE && summary?.text;
+  const summaryMessage = useSummary ? createSummaryMessage(summary.text) : null;
+  if (summaryMessage) {
+    tokenCount += estimateMessageTokens(summaryMessage);
+  }
+
+  const retrievalMessage = retrieval ? { role: 'system', content: retrieval } : null;
+  if (retrievalMessage) {
+    tokenCount += estimateMessageTokens(retrievalMessage);
+  }
+
+  const documentChars = Math.floor(contextLength * DOCUMENT_CONTEXT_SHARE) * CHARS_PER_TOKEN;
+  const chatMessages = new Map(history.map(message => [
+    message.id,
+    toChatMessage(message, { includeImages, documentChars })
+  ]));
+  const costOf = (message) => estimateMessageTokens(chatMessages.get(message.id));
+
+  const included = new Set();
+  const tryInclude = (message) => {
+    const cost = costOf(message);
+    if (tokenCount + cost > budget) return false;
+    tokenCount += cost;
+    included.add(message.id);
+    return true;
+  };
+
+  // The new message is always sent, even when it alone exceeds the budget
+  const latest = history[history.length - 1];
+  const earlier = history.slice(0, -1);
+  if (latest) {
+    tokenCount += costOf(latest);
+    included.add(latest.id);
+  }
+
+  if (strategy === CONTEXT_STRATEGIES.KEEP_PINNED) {
+    earlier.filter(message => message.pinned).forEach(tryInclude);
+  }
+
+  // Fill the remaining budget newest first, stopping at the first message
+  // that does not fit so the kept history stays contiguous
+  for (let i = earlier.length - 1; i >= 0; i--) {
+    const message = earlier[i];
+    if (included.has(message.id)) continue;
+    if (!tryInclude(message)) break;
+  }
+
+  const excludedIds = earlier.filter(message => !included.has(message.id)).map(message => message.id);
+
+  // Excluded messages already folded into the summary vs. ones still to fold in
+  const summarizedIds = [];
+  const pendingSummaryIds = [];
+  if (strategy === CONTEXT_STRATEGIES.SUMMARIZE) {
+    const throughIndex = summary?.throughId
+      ? earlier.findIndex(message => message.id === summary.throughId)
+      : -1;
+
+    earlier.forEach((message, index) => {
+      if (included.has(message.id)) return;
+      if (index <= throughIndex) {
+        summarizedIds.push(message.id);
+      } else {
+        pendingSummaryIds.push(message.id);
+      }
+    });
+  }
+
+  const messages = [
+    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+    ...(summaryMessage ? [summaryMessage] : []),
+    ...(retrievalMessage ? [retrievalMessage] : []),
+    ...history.filter(message => included.has(message.id)).map(message => chatMessages.get(message.id))
+  ];
+
+  return {
+    messages,
+    includedIds: [...included],
+    excludedIds,
+    summarizedIds,
+    pendingSummaryIds,
+    tokenCount,
+    budget
+  };
+};
+
+const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a conversation. Write a concise summary that keeps names, facts, decisions and open questions. Reply with the summary text only.';
+
+/**
+ * Build the request asking the model to extend the rolling summary
+ * The transcript is cut to fit maxTokens, keeping the newest messages
+ */
+export const createSummaryRequest = (previousSummary, messages, maxTokens = Infinity) => {
+  const intro = previousSummary
+    ? `Current summary:\n${previousSummary}\n\nAdd these newer messages to it:\n\n`
+    : 'Summarize these messages:\n\n';
+
+  // Room left once the instructions and the current summary are counted
+  let budget = (maxTokens - 2 * MESSAGE_OVERHEAD_TOKENS) * CHARS_PER_TOKEN - SUMMARY_INSTRUCTIONS.length - intro.length;
+  const lines = [];
+
+  for (const message of [...messages].reverse()) {
+    const line = `${message.type === 'user' ? 'User' : 'Assistant'}: ${message.content}`;
+    // Counted with the blank line separating it from the next one
+    const length = line.length + 2;
+
+    if (length > budget) {
+      // The oldest message that still fits in part keeps its end
+      const room = budget - '[...] '.length - 2;
+      if (room > 0) {
+        lines.unshift(`[...] ${line.slice(-room)}`);
+      }
+      break;
+    }
+
+    lines.unshift(line);
+    budget -= length;
+  }
+
+  return [
+    {
+      role: 'system',
+      content: SUMMARY_INSTRUCTIONS
+    },
+    {
+      role: 'user',
+      content: `${intro}${lines.join('\n\n')}`
+    }
+  ];
+};
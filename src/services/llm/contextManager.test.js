@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { createSummaryRequest, estimateTokens } from './contextManager.js';
+
+const MESSAGES = [
+  { type: 'user', content: 'first question '.repeat(200) },
+  { type: 'assistant', content: 'first answer '.repeat(200) },
+  { type: 'user', content: 'second question' }
+];
+
+const countTokens = (request) => request.reduce((total, message) => total + estimateTokens(message.content), 0);
+
+describe('createSummaryRequest', () => {
+  it('sends the whole transcript without a limit', () => {
+    const [, request] = createSummaryRequest(null, MESSAGES);
+
+    expect(request.content).toContain('User: first question');
+    expect(request.content).toContain('User: second question');
+  });
+
+  it('cuts the transcript to the token limit, keeping the newest messages', () => {
+    const request = createSummaryRequest('Earlier topics', MESSAGES, 300);
+
+    expect(countTokens(request)).toBeLessThanOrEqual(300);
+    expect(request[1].content).toContain('Current summary:\nEarlier topics');
+    expect(request[1].content).toContain('User: second question');
+    expect(request[1].content).not.toContain('User: first question');
+  });
+});
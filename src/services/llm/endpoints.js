@@ -0,0 +1,340 @@
+/**
+ * Ollama Endpoints
+ * Keeps one client per registered Ollama server, tracks their health and
+ * models, and runs requests on the preferred server with failover to the
+ * others when it is down
+ */
+
+import { ollamaClient, OllamaClient } from './ollamaClient.js';
+import { getOllamaConfig } from './config.js';
+import { CIRCUIT_STATES, isTransientError } from './resilience.js';
+import { appSettingsStorage, endpointStorage } from '../storage/index.js';
+
+export const DEFAULT_ENDPOINT_ID = 'default';
+
+export const ENDPOINT_STATUS = {
+  UNKNOWN: 'unknown',
+  ONLINE: 'online',
+  OFFLINE: 'offline'
+};
+
+const UNKNOWN_HEALTH = {
+  status: ENDPOINT_STATUS.UNKNOWN,
+  models: [],
+  error: null,
+  latency: null,
+  checkedAt: null
+};
+
+/**
+ * Create an empty endpoint for the settings form
+ */
+export const createEndpoint = () => ({
+  id: `endpoint-${Date.now()}`,
+  name: '',
+  baseURL: 'http://',
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Validate an endpoint before saving
+ * @returns {{ isValid: boolean, errors: Object<string, string> }}
+ */
+export const validateEndpoint = (endpoint, endpoints = []) => {
+  const errors = {};
+  const name = endpoint.name?.trim();
+
+  if (!name) {
+    errors.name = 'Name is required';
+  } else if (endpoints.some(item => item.id !== endpoint.id && item.name.toLowerCase() === name.toLowerCase())) {
+    errors.name = 'Another endpoint has this name';
+  }
+
+  try {
+    const url = new URL(endpoint.baseURL);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      errors.baseURL = 'URL must start with http:// or https://';
+    }
+  } catch {
+    errors.baseURL = 'Enter a URL such as http://192.168.1.20:11434';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+export class EndpointPool {
+  /**
+   * @param {Object} options
+   * @param {OllamaClient} options.defaultClient - client of the configured server
+   * @param {Array} options.endpoints - added endpoints ({ id, name, baseURL })
+   * @param {string} options.preferredId - endpoint tried first unless a chat picks another
+   */
+  constructor({ defaultClient = ollamaClient, endpoints = [], preferredId = DEFAULT_ENDPOINT_ID } = {}) {
+    this.defaultEndpoint = {
+      id: DEFAULT_ENDPOINT_ID,
+      name: 'Default',
+      baseURL: defaultClient.config.baseURL,
+      builtIn: true
+    };
+    this.endpoints = [this.defaultEndpoint];
+    this.clients = new Map();
+    this.health = new Map();
+    this.listeners = new Set();
+    this.circuitListeners = new Set();
+    this.circuitState = CIRCUIT_STATES.CLOSED;
+
+    this._addClient(DEFAULT_ENDPOINT_ID, defaultClient);
+    this.setEndpoints(endpoints);
+    this.preferredId = preferredId;
+  }
+
+  _addClient(endpointId, client) {
+    this.clients.set(endpointId, {
+      client,
+      unsubscribe: client.onCircuitStateChange(() => this._emitCircuitState())
+    });
+  }
+
+  _removeClient(endpointId) {
+    this.clients.get(endpointId)?.unsubscribe();
+    this.clients.delete(endpointId);
+    this.health.delete(endpointId);
+  }
+
+  /**
+   * Replace the added endpoints, clients of unchanged endpoints are kept
+   */
+  setEndpoints(endpoints) {
+    const added = endpoints.filter(endpoint => endpoint.id !== DEFAULT_ENDPOINT_ID);
+
+    [...this.clients.keys()].forEach(endpointId => {
+      if (endpointId === DEFAULT_ENDPOINT_ID) return;
+      const endpoint = added.find(item => item.id === endpointId);
+      if (!endpoint || endpoint.baseURL !== this.clients.get(endpointId).client.config.baseURL) {
+        this._removeClient(endpointId);
+      }
+    });
+
+    added.forEach(endpoint => {
+      if (!this.clients.has(endpoint.id)) {
+        this._addClient(endpoint.id, new OllamaClient(getOllamaConfig({ baseURL: endpoint.baseURL })));
+      }
+    });
+
+    this.endpoints = [this.defaultEndpoint, ...added];
+    if (!this.endpoints.some(endpoint => endpoint.id === this.preferredId)) {
+      this.preferredId = DEFAULT_ENDPOINT_ID;
+    }
+
+    this._emit();
+    this._emitCircuitState();
+  }
+
+  /**
+   * Endpoints in failover order, with their health
+   */
+  getEndpoints() {
+    return this.endpoints.map(endpoint => ({
+      ...endpoint,
+      ...(this.health.get(endpoint.id) || UNKNOWN_HEALTH),
+      isPreferred: endpoint.id === this.preferredId
+    }));
+  }
+
+  /**
+   * Set the endpoint tried first by chats without their own preference
+   */
+  setPreferred(endpointId) {
+    this.preferredId = this.endpoints.some(endpoint => endpoint.id === endpointId)
+      ? endpointId
+      : DEFAULT_ENDPOINT_ID;
+    this._emit();
+  }
+
+  /**
+   * Subscribe to endpoint list and health changes, returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit() {
+    const endpoints = this.getEndpoints();
+    this.listeners.forEach(listener => listener(endpoints));
+  }
+
+  /**
+   * Subscribe to the combined circuit state: closed while any endpoint
+   * accepts requests, open once all of them refuse
+   */
+  onCircuitStateChange(listener) {
+    this.circuitListeners.add(listener);
+    return () => this.circuitListeners.delete(listener);
+  }
+
+  _emitCircuitState() {
+    const states = [...this.clients.values()].map(({ client }) => client.circuitBreaker.getState());
+    let state = CIRCUIT_STATES.OPEN;
+    if (states.some(item => item.state === CIRCUIT_STATES.CLOSED)) {
+      state = CIRCUIT_STATES.CLOSED;
+    } else if (states.some(item => item.state === CIRCUIT_STATES.HALF_OPEN)) {
+      state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    if (state === this.circuitState) return;
+    this.circuitState = state;
+
+    const retryTimes = states.map(item => item.retryAt).filter(Boolean);
+    const snapshot = {
+      state,
+      failures: states.reduce((sum, item) => sum + item.failures, 0),
+      retryAt: retryTimes.length > 0 ? Math.min(...retryTimes) : null
+    };
+    this.circuitListeners.forEach(listener => listener(snapshot));
+  }
+
+  _setHealth(endpointId, updates) {
+    if (!this.clients.has(endpointId)) return;
+    this.health.set(endpointId, { ...(this.health.get(endpointId) || UNKNOWN_HEALTH), ...updates });
+    this._emit();
+  }
+
+  /**
+   * Get the client of an endpoint
+   */
+  getClient(endpointId = DEFAULT_ENDPOINT_ID) {
+    return (this.clients.get(endpointId) || this.clients.get(DEFAULT_ENDPOINT_ID)).client;
+  }
+
+  _isUsable(endpoint) {
+    const health = this.health.get(endpoint.id);
+    const circuit = this.getClient(endpoint.id).circuitBreaker.getState();
+    return health?.status !== ENDPOINT_STATUS.OFFLINE && circuit.state !== CIRCUIT_STATES.OPEN;
+  }
+
+  _hasModel(endpoint, modelName) {
+    const health = this.health.get(endpoint.id);
+    // Unchecked endpoints might have it
+    if (!modelName || !health || health.status !== ENDPOINT_STATUS.ONLINE) return true;
+    return health.models.some(model => model.name === modelName);
+  }
+
+  /**
+   * Endpoints to try for a request: the preferred one first, then the
+   * others in list order, healthy endpoints serving the model ahead of the rest
+   */
+  getCandidates(preferredId = this.preferredId, modelName = null) {
+    const ordered = [
+      ...this.endpoints.filter(endpoint => endpoint.id === preferredId),
+      ...this.endpoints.filter(endpoint => endpoint.id !== preferredId)
+    ];
+
+    const rank = (endpoint) => (this._isUsable(endpoint) ? 0 : 2) + (this._hasModel(endpoint, modelName) ? 0 : 1);
+    return ordered
+      .map((endpoint, index) => ({ endpoint, index }))
+      .sort((a, b) => rank(a.endpoint) - rank(b.endpoint) || a.index - b.index)
+      .map(({ endpoint }) => endpoint);
+  }
+
+  /**
+   * Endpoint used for model management (pull, delete, running models)
+   */
+  getActiveEndpoint(preferredId = this.preferredId) {
+    return this.getCandidates(preferredId)[0];
+  }
+
+  /**
+   * Check one endpoint and record its health and models
+   */
+  async check(endpointId) {
+    const startedAt = performance.now();
+    const result = await this.getClient(endpointId).testConnection();
+
+    this._setHealth(endpointId, {
+      status: result.success ? ENDPOINT_STATUS.ONLINE : ENDPOINT_STATUS.OFFLINE,
+      models: result.success ? result.models : this.health.get(endpointId)?.models || [],
+      error: result.success ? null : result.error,
+      latency: result.success ? Math.round(performance.now() - startedAt) : null,
+      checkedAt: new Date().toISOString()
+    });
+
+    return result;
+  }
+
+  /**
+   * Check all endpoints
+   */
+  async checkAll() {
+    await Promise.all(this.endpoints.map(endpoint => this.check(endpoint.id)));
+    return this.getEndpoints();
+  }
+
+  /**
+   * Models of all online endpoints, each listed once with the endpoints serving it
+   */
+  getModels() {
+    const models = new Map();
+
+    this.getEndpoints()
+      .filter(endpoint => endpoint.status === ENDPOINT_STATUS.ONLINE)
+      .forEach(endpoint => {
+        endpoint.models.forEach(model => {
+          const existing = models.get(model.name);
+          if (existing) {
+            existing.endpoints.push(endpoint.id);
+          } else {
+            models.set(model.name, { ...model, endpoints: [endpoint.id] });
+          }
+        });
+      });
+
+    return [...models.values()];
+  }
+
+  /**
+   * Run a request on the best endpoint, moving on to the next one when it
+   * fails, until one succeeds or all have failed
+   * @param {Function} operation - (client, endpoint) => result
+   * @param {Object} options - { preferredId, modelName, signal }
+   * @returns {{ result, endpoint: { id, name } }}
+   */
+  async run(operation, { preferredId, modelName = null, signal } = {}) {
+    let firstError = null;
+
+    for (const endpoint of this.getCandidates(preferredId || this.preferredId, modelName)) {
+      try {
+        const result = await operation(this.getClient(endpoint.id), endpoint);
+        return { result, endpoint: { id: endpoint.id, name: endpoint.name } };
+      } catch (error) {
+        // Cancelled by the user, not a failure of the endpoint
+        if (signal?.aborted) {
+          throw error;
+        }
+
+        if (isTransientError(error) || error.name === 'CircuitOpenError') {
+          this._setHealth(endpoint.id, {
+            status: ENDPOINT_STATUS.OFFLINE,
+            error: error.message,
+            checkedAt: new Date().toISOString()
+          });
+        }
+
+        console.warn(`Request to endpoint ${endpoint.name} failed, trying the next one:`, error);
+        firstError = firstError || error;
+      }
+    }
+
+    throw firstError;
+  }
+}
+
+// Create and export singleton instance
+export const endpointPool = new EndpointPool({
+  endpoints: endpointStorage.load(),
+  preferredId: appSettingsStorage.load().preferredEndpointId || DEFAULT_ENDPOINT_ID
+});
+export default endpointPool;
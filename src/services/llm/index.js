@@ -4,42 +4,182 @@
  */
 
 export { ollamaClient } from './ollamaClient.js';
-export { OLLAMA_CONFIG, MODEL_CONFIGS, getOllamaConfig, validateConfig } from './config.js';
+export {
+  OLLAMA_CONFIG,
+  OPENAI_COMPATIBLE_CONFIG,
+  MOCK_CONFIG,
+  LLM_PROVIDERS,
+  getOllamaConfig,
+  getOpenAICompatibleConfig,
+  getProviderName,
+  validateConfig
+} from './config.js';
+export { createProvider, OllamaProvider, OpenAICompatibleProvider, MockProvider } from './providers/index.js';
+export { CIRCUIT_STATES, CircuitOpenError, NetworkError, TimeoutError } from './resilience.js';
+export { extractStreamStats, combineStreamStats } from './streamDecoder.js';
+export { ModelMetadataService, parseModelInfo, createUnknownMetadata } from './modelMetadata.js';
+export {
+  THINKING_MODES,
+  TAG_THINKING_INSTRUCTIONS,
+  resolveThinkingMode,
+  composeSystemPrompt,
+  parseThinkingAndAnswer,
+  separateThinking
+} from './thinking.js';
+export {
+  CONTEXT_STRATEGIES,
+  DEFAULT_CONTEXT_STRATEGY,
+  DEFAULT_CONTEXT_WINDOW,
+  estimateTokens,
+  estimateMessageTokens,
+  resolveContextLength,
+  resolveResponseReserve,
+  buildContext
+} from './contextManager.js';
+export {
+  PARAM_DEFINITIONS,
+  PARAM_PLACEHOLDERS,
+  BUILT_IN_PRESETS,
+  normalizeParams,
+  validateParams,
+  toOllamaOptions,
+  resolveChatParams,
+  resolveRequestParams
+} from './params.js';
+export {
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_PERSONA,
+  createPersona,
+  validatePersona,
+  resolveSystemPrompt
+} from './personas.js';
+export {
+  DEFAULT_ENDPOINT_ID,
+  ENDPOINT_STATUS,
+  EndpointPool,
+  endpointPool,
+  createEndpoint,
+  validateEndpoint
+} from './endpoints.js';
+export {
+  KEEP_ALIVE_OPTIONS,
+  toKeepAliveValue,
+  toRunningModel,
+  formatExpiry
+} from './keepAlive.js';
+export { toPullProgress } from './pullProgress.js';
+export {
+  OUTPUT_FORMATS,
+  FIELD_TYPES,
+  toRequestFormat,
+  buildSchemaFromFields,
+  parseJsonSchema,
+  parseStructuredOutput,
+  validateJsonSchema,
+  evaluateStructuredOutput
+} from './structuredOutput.js';
+export { ToolRegistry, BUILT_IN_TOOLS, toolRegistry, evaluateExpression } from './tools/index.js';
+export { MockOllamaBackend, BUILT_IN_SCENARIOS, mockBackend } from './mock/index.js';
 
 // Main LLM service interface
-import { ollamaClient } from './ollamaClient.js';
-import { MODEL_CONFIGS } from './config.js';
+import { createProvider } from './providers/index.js';
+import { LLM_PROVIDERS, getProviderName } from './config.js';
+import { appSettingsStorage } from '../storage/index.js';
+import { ModelMetadataService } from './modelMetadata.js';
+import { createSummaryRequest, resolveContextLength, resolveResponseReserve } from './contextManager.js';
+import { toRunningModel } from './keepAlive.js';
+import { THINKING_MODES, resolveThinkingMode, separateThinking } from './thinking.js';
+import { combineStreamStats } from './streamDecoder.js';
+import { toolRegistry } from './tools/index.js';
+import { CIRCUIT_STATES } from './resilience.js';
+
+// Rounds of tool calls allowed before the model must answer
+const MAX_TOOL_ROUNDS = 5;
 
 /**
  * High-level LLM service that provides a unified interface
  * for different LLM operations
  */
 export class LLMService {
-  constructor() {
-    this.client = ollamaClient;
+  constructor(provider = createProvider()) {
+    this.provider = provider;
+    this.currentModel = null;
+    this.metadata = new ModelMetadataService(() => this.provider);
+    this.probe = null;
+    this._watchCircuit();
+  }
+
+  /**
+   * Switch to another provider by name
+   */
+  setProvider(name) {
+    this.provider = createProvider(name);
     this.currentModel = null;
+    this._watchCircuit();
+    return this.provider;
+  }
+
+  // Probe the server once the circuit half opens, the breaker closes or
+  // reopens from the result. One probe for every view listening
+  _watchCircuit() {
+    this.unwatchCircuit?.();
+    this.unwatchCircuit = this.provider.onCircuitStateChange(({ state }) => {
+      if (state !== CIRCUIT_STATES.HALF_OPEN || this.probe) return;
+
+      this.probe = this.healthCheck()
+        .catch((error) => {
+          console.warn('Health probe failed:', error);
+        })
+        .finally(() => {
+          this.probe = null;
+        });
+    });
+  }
+
+  /**
+   * Get the active provider name
+   */
+  getProviderName() {
+    return this.provider.name;
+  }
+
+  /**
+   * Subscribe to the provider's circuit breaker state changes
+   */
+  onCircuitStateChange(listener) {
+    return this.provider.onCircuitStateChange(listener);
+  }
+
+  /**
+   * Get the active provider's default model
+   */
+  getDefaultModel() {
+    return this.provider.getDefaultModel();
   }
 
   /**
    * Initialize the LLM service
    */
-  async initialize(modelName = null) {
+  async initialize(modelName = null, options = {}) {
     try {
       // Test connection first
-      const connectionTest = await this.client.testConnection();
+      const connectionTest = await this.provider.testConnection();
       if (!connectionTest.success) {
         throw new Error(connectionTest.message);
       }
 
-      // Set up default model
-      if (modelName) {
-        await this.setModel(modelName);
+      // Set up default model, servers without a configured default
+      // fall back to the first model they serve
+      const model = modelName || this.provider.getDefaultModel() || connectionTest.models[0]?.name;
+      if (model) {
+        await this.setModel(model, options);
       }
 
       return {
         success: true,
         message: 'LLM service initialized successfully',
-        availableModels: connectionTest.models
+        availableModels: connectionTest.models,
+        model: this.currentModel
       };
     } catch (error) {
       console.error('Failed to initialize LLM service:', error);
@@ -49,14 +189,19 @@ export class LLMService {
 
   /**
    * Set the current model to use
+   * Missing models are pulled, options.onProgress receives the pull progress
    */
-  async setModel(modelName) {
+  async setModel(modelName, options = {}) {
     try {
-      const isAvailable = await this.client.isModelAvailable(modelName);
+      const isAvailable = await this.provider.isModelAvailable(modelName);
       
       if (!isAvailable) {
+        if (!this.provider.supports.pull) {
+          throw new Error(`Model ${modelName} is not available on the ${this.provider.name} server`);
+        }
+
         // Try to pull the model
-        const pullResult = await this.client.pullModel(modelName);
+        const pullResult = await this.provider.pullModel(modelName, options.onProgress, options);
         
         if (!pullResult.success) {
           throw new Error(`Failed to pull model ${modelName}: ${pullResult.error}`);
@@ -80,7 +225,7 @@ export class LLMService {
         messages = [{ role: 'user', content: messages }];
       }
 
-      const response = await this.client.generateChatCompletion(messages, {
+      const response = await this.provider.generateChatCompletion(messages, {
         model: this.currentModel,
         ...options
       });
@@ -92,28 +237,326 @@ export class LLMService {
     }
   }
 
+  /**
+   * Send a chat message with a streaming response
+   * onChunk(delta, fullContent, thinking, answer, done) receives every update.
+   * With options.tools (true or a list of tool names) tool calls are run
+   * and their results sent back until the model answers, options.onToolCall
+   * receives the list of invocations whenever one starts or finishes.
+   * options.signal cancels the request with an AbortError
+   */
+  async streamMessage(messages, onChunk, options = {}) {
+    // Use native thinking when the model supports it, tags otherwise,
+    // none when the output must be JSON
+    const {
+      thinkingMode: requestedMode,
+      tools,
+      toolContext,
+      onToolCall,
+      ...requestOptions
+    } = options;
+    const metadata = await this.getModelMetadata(options.model);
+    const thinkingMode = requestedMode || resolveThinkingMode(metadata, options.format);
+
+    // Tool declarations are only sent to models trained to call them
+    const requestTools = tools && metadata.capabilities.tools
+      ? toolRegistry.toRequestTools(Array.isArray(tools) ? tools : null)
+      : [];
+
+    const conversation = [...messages];
+    const toolCalls = [];
+    let fullContent = '';
+    let fullThinking = '';
+    let stats = null;
+    let endpoint = null;
+    // Measured here as well, servers without timing fields still get TTFT
+    const startedAt = performance.now();
+    let firstTokenAt = null;
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      // The last round goes without tools so the model has to answer
+      const response = await this.sendMessage(conversation, {
+        ...requestOptions,
+        tools: round < MAX_TOOL_ROUNDS ? requestTools : undefined,
+        think: thinkingMode === THINKING_MODES.NATIVE ? true : undefined,
+        stream: true
+      });
+
+      if (!response.success || !response.stream) {
+        return response;
+      }
+      // Later tool rounds may fail over to another endpoint
+      endpoint = response.endpoint || endpoint;
+
+      let roundContent = '';
+      const requestedCalls = [];
+
+      for await (const chunk of response.stream()) {
+        const contentDelta = chunk.message?.content || '';
+        const thinkingDelta = chunk.message?.thinking || '';
+
+        if (chunk.message?.tool_calls?.length) {
+          requestedCalls.push(...chunk.message.tool_calls);
+        }
+
+        if (contentDelta || thinkingDelta) {
+          if (firstTokenAt === null) {
+            firstTokenAt = performance.now();
+          }
+          fullContent += contentDelta;
+          fullThinking += thinkingDelta;
+          roundContent += contentDelta;
+          
+          // Separate thinking and answer sections
+          const parsed = separateThinking(fullContent, fullThinking, thinkingMode);
+          
+          onChunk(contentDelta, fullContent, parsed.thinking, parsed.answer, chunk.done);
+        }
+        
+        if (chunk.done) {
+          stats = combineStreamStats(stats, chunk.stats || null);
+          break;
+        }
+      }
+
+      if (requestedCalls.length === 0) {
+        break;
+      }
+
+      // Run the requested tools and continue with their results
+      const calls = requestedCalls.map((call, index) => ({
+        id: call.id || `call_${round}_${index}`,
+        function: call.function
+      }));
+      conversation.push({ role: 'assistant', content: roundContent, tool_calls: calls });
+
+      for (const call of calls) {
+        const index = toolCalls.length;
+        toolCalls.push({
+          id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments,
+          status: 'running'
+        });
+        onToolCall?.([...toolCalls]);
+
+        const outcome = await toolRegistry.execute(call.function?.name, call.function?.arguments, toolContext);
+        toolCalls[index] = {
+          ...toolCalls[index],
+          status: outcome.success ? 'done' : 'error',
+          result: outcome.result,
+          error: outcome.error
+        };
+        onToolCall?.([...toolCalls]);
+
+        conversation.push({
+          role: 'tool',
+          tool_name: call.function?.name,
+          tool_call_id: call.id,
+          content: JSON.stringify(outcome.success ? outcome.result : { error: outcome.error })
+        });
+      }
+    }
+      
+    const finishedAt = performance.now();
+    if (stats) {
+      stats = {
+        ...stats,
+        timeToFirstToken: firstTokenAt !== null ? firstTokenAt - startedAt : null,
+        elapsed: finishedAt - startedAt
+      };
+
+      // Without server timings, estimate the rate from the streaming time
+      if (stats.tokensPerSecond === null && stats.evalCount && firstTokenAt !== null && finishedAt > firstTokenAt) {
+        stats.tokensPerSecond = stats.evalCount / ((finishedAt - firstTokenAt) / 1000);
+      }
+    }
+
+    const finalParsed = separateThinking(fullContent, fullThinking, thinkingMode);
+    return { 
+      success: true, 
+      content: fullContent,
+      thinking: finalParsed.thinking,
+      answer: finalParsed.answer,
+      thinkingMode,
+      toolCalls,
+      stats,
+      endpoint
+    };
+  }
+
+  /**
+   * Generate a completion for a single prompt, for short background tasks
+   * such as titling chats
+   */
+  async generateCompletion(prompt, options = {}) {
+    return await this.provider.generateCompletion(prompt, {
+      model: this.currentModel,
+      ...options,
+      stream: false
+    });
+  }
+
+  /**
+   * Extend a rolling conversation summary with older messages
+   * The messages are cut to fit the context window of options.model
+   */
+  async summarizeConversation(previousSummary, messages, options = {}) {
+    const model = options.model || this.currentModel;
+    const metadata = await this.getModelMetadata(model);
+    const contextLength = resolveContextLength(metadata, options.params);
+    const maxTokens = contextLength - resolveResponseReserve(contextLength, options.params);
+
+    const response = await this.sendMessage(createSummaryRequest(previousSummary, messages, maxTokens), {
+      ...options,
+      model,
+      stream: false,
+      params: { temperature: 0.2, ...options.params, num_ctx: contextLength }
+    });
+
+    // Thinking models may still prefix their reasoning
+    const summary = (response.message?.content || '')
+      .replace(/<think>[\s\S]*?<\/think>/g, '')
+      .trim();
+
+    return summary || previousSummary || '';
+  }
+
+  /**
+   * Embed texts, defaults to the provider's embedding model
+   */
+  async embed(texts, options = {}) {
+    const modelName = options.model || this.provider.getDefaultEmbeddingModel();
+    if (!modelName) {
+      throw new Error('No embedding model configured');
+    }
+
+    return await this.provider.embed(modelName, texts, options);
+  }
+
+  /**
+   * Get the model used for embeddings unless a collection picks its own
+   */
+  getDefaultEmbeddingModel() {
+    return this.provider.getDefaultEmbeddingModel();
+  }
+
   /**
    * Get available models
    */
   async getModels() {
-    return await this.client.getAvailableModels();
+    return await this.provider.getAvailableModels();
+  }
+
+  /**
+   * Pull a model, options.signal cancels the download
+   */
+  async pullModel(modelName, onProgress = null, options = {}) {
+    const result = await this.provider.pullModel(modelName, onProgress, options);
+    this.metadata.invalidate(modelName);
+    return result;
+  }
+
+  /**
+   * Delete a local model
+   */
+  async deleteModel(modelName) {
+    const result = await this.provider.deleteModel(modelName);
+    this.metadata.invalidate(modelName);
+    return result;
+  }
+
+  /**
+   * Get the models loaded in memory, empty when the provider cannot tell
+   */
+  async getRunningModels() {
+    if (!this.provider.supports.running) {
+      return [];
+    }
+
+    const models = await this.provider.getRunningModels();
+    return models.map(model => toRunningModel(model));
+  }
+
+  /**
+   * Load a model into memory, options.keepAlive sets how long it stays
+   */
+  async loadModel(modelName = this.currentModel, options = {}) {
+    return await this.provider.loadModel(modelName, options);
+  }
+
+  /**
+   * Unload a model from memory
+   */
+  async unloadModel(modelName) {
+    return await this.provider.unloadModel(modelName);
+  }
+
+  /**
+   * Get the Ollama endpoints with their health, empty when the provider
+   * talks to a single server
+   */
+  getEndpoints() {
+    return this.provider.supports.endpoints ? this.provider.pool.getEndpoints() : [];
+  }
+
+  /**
+   * Replace the added endpoints
+   */
+  setEndpoints(endpoints) {
+    if (this.provider.supports.endpoints) {
+      this.provider.pool.setEndpoints(endpoints);
+    }
+  }
+
+  /**
+   * Check the health and models of every endpoint
+   */
+  async checkEndpoints() {
+    return this.provider.supports.endpoints ? await this.provider.pool.checkAll() : [];
+  }
+
+  /**
+   * Set the endpoint requests go to first
+   */
+  setPreferredEndpoint(endpointId) {
+    if (this.provider.supports.endpoints) {
+      this.provider.pool.setPreferred(endpointId);
+    }
+  }
+
+  /**
+   * Subscribe to endpoint list and health changes, returns an unsubscribe function
+   */
+  onEndpointsChange(listener) {
+    return this.provider.supports.endpoints ? this.provider.pool.subscribe(listener) : () => {};
+  }
+
+  /**
+   * Whether the active provider supports a model management feature
+   */
+  supports(feature) {
+    return Boolean(this.provider.supports[feature]);
   }
 
   /**
-   * Get model configurations
+   * Get metadata (context length, parameters, capabilities) for a model,
+   * defaults to the current model
    */
-  getModelConfigs() {
-    return MODEL_CONFIGS;
+  async getModelMetadata(modelName = this.currentModel) {
+    return await this.metadata.getMetadata(modelName);
   }
 
   /**
    * Check service health
    */
   async healthCheck() {
-    return await this.client.testConnection();
+    return await this.provider.testConnection();
   }
 }
 
-// Create and export singleton instance
-export const llmService = new LLMService();
+// Create and export singleton instance, demo mode swaps in the mock backend
+export const llmService = new LLMService(createProvider(
+  appSettingsStorage.load().mockBackend ? LLM_PROVIDERS.MOCK : getProviderName()
+));
 export default llmService;
@@ -0,0 +1,65 @@
+/**
+ * Keep-Alive and Running Models
+ * How long Ollama keeps a model in memory after a request, and the
+ * loaded-model entries reported by /api/ps
+ */
+
+/**
+ * Choices for the keep_alive sent with each request, stored as strings
+ */
+export const KEEP_ALIVE_OPTIONS = [
+  { value: '', label: 'Server default (5 min)' },
+  { value: '30m', label: '30 minutes' },
+  { value: '2h', label: '2 hours' },
+  { value: '-1', label: 'Keep loaded' },
+  { value: '0', label: 'Unload after each answer' }
+];
+
+// Ollama reports pinned models (keep_alive -1) as expiring centuries from now
+const PINNED_THRESHOLD_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a stored keep-alive choice to the keep_alive request value,
+ * undefined leaves the server default
+ */
+export const toKeepAliveValue = (setting) => {
+  if (setting === undefined || setting === null || setting === '') {
+    return undefined;
+  }
+
+  const number = Number(setting);
+  return isNaN(number) ? setting : number;
+};
+
+/**
+ * Normalize a model entry of /api/ps
+ */
+export const toRunningModel = (entry, now = Date.now()) => {
+  const expiresAt = entry.expires_at ? new Date(entry.expires_at) : null;
+  const remaining = expiresAt ? expiresAt.getTime() - now : null;
+
+  return {
+    name: entry.name || entry.model,
+    size: entry.size || 0,
+    sizeVram: entry.size_vram || 0,
+    contextLength: entry.context_length || null,
+    parameterSize: entry.details?.parameter_size || null,
+    quantization: entry.details?.quantization_level || null,
+    expiresAt,
+    isPinned: remaining !== null && remaining > PINNED_THRESHOLD_MS
+  };
+};
+
+/**
+ * Describe when a running model is unloaded, e.g. "in 4 min"
+ */
+export const formatExpiry = (runningModel, now = Date.now()) => {
+  if (runningModel.isPinned) return 'kept loaded';
+  if (!runningModel.expiresAt) return '';
+
+  const seconds = Math.round((runningModel.expiresAt.getTime() - now) / 1000);
+  if (seconds <= 0) return 'unloading';
+  if (seconds < 60) return `unloads in ${seconds} s`;
+  if (seconds < 3600) return `unloads in ${Math.round(seconds / 60)} min`;
+  return `unloads in ${(seconds / 3600).toFixed(1)} h`;
+};
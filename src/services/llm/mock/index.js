@@ -0,0 +1,21 @@
+/**
+ * Mock Backend Entry Point
+ * Offline replacement for an Ollama server, used by the mock provider and
+ * the stand-in server script (scripts/mock-ollama.js)
+ */
+
+import { MockOllamaBackend } from './mockBackend.js';
+
+export { MockOllamaBackend, parseKeepAlive, streamEvents } from './mockBackend.js';
+export { createMockFetch } from './mockFetch.js';
+export {
+  BUILT_IN_SCENARIOS,
+  DEFAULT_SCENARIO,
+  embedText,
+  planChatResponse,
+  sampleFromSchema
+} from './scenarios.js';
+
+// Create and export singleton instance
+export const mockBackend = new MockOllamaBackend();
+export default mockBackend;
@@ -0,0 +1,314 @@
+/**
+ * Mock Ollama Backend
+ * In-memory stand-in for an Ollama server: installed and loaded models,
+ * scripted chat answers and simulated pulls. Shared by the in-browser mock
+ * fetch and the stand-in server script, so it must not depend on the browser
+ */
+
+import {
+  BUILT_IN_SCENARIOS,
+  DEFAULT_SCENARIO,
+  embedText,
+  getScenarioDirective,
+  hashText,
+  normalizeScenario,
+  planChatResponse,
+  planPullProgress
+} from './scenarios.js';
+
+// Ollama's default keep_alive
+const DEFAULT_KEEP_ALIVE_MS = 5 * 60 * 1000;
+const MOCK_MODEL_SIZE = 2.5e8;
+// Stands in for "loaded until unloaded"
+const FOREVER = new Date('2318-01-01T00:00:00Z').getTime();
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+/**
+ * Convert a keep_alive value (seconds, '10m', '1h', -1) to ms, null for forever
+ */
+export const parseKeepAlive = (keepAlive) => {
+  if (keepAlive === undefined || keepAlive === null || keepAlive === '') return DEFAULT_KEEP_ALIVE_MS;
+  if (typeof keepAlive === 'number') return keepAlive < 0 ? null : keepAlive * 1000;
+
+  const match = String(keepAlive).match(/^(-?\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+  if (!match) return DEFAULT_KEEP_ALIVE_MS;
+
+  const value = Number(match[1]);
+  return value < 0 ? null : value * DURATION_UNITS[match[2] || 's'];
+};
+
+/**
+ * Wait, resolving early when the signal aborts
+ */
+const sleep = (ms, signal) => new Promise(resolve => {
+  if (!ms || signal?.aborted) return resolve();
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+/**
+ * Play planned events with their delays
+ * Yields chunk objects, or { disconnect: true } where the connection drops;
+ * an event's onPlay runs when it is reached
+ */
+export async function* streamEvents(events, signal) {
+  for (const event of events) {
+    if (signal?.aborted) return;
+
+    if (event.delay !== undefined) {
+      await sleep(event.delay, signal);
+    } else if (event.disconnect) {
+      yield event;
+      return;
+    } else {
+      event.onPlay?.();
+      yield event.chunk;
+    }
+  }
+}
+
+const json = (body, status = 200) => ({ status, body });
+const fail = (error, status) => json({ error }, status);
+
+// Closing line of an answer whose scenario planned no chunks
+const emptyFinal = (model) => ({ model, created_at: new Date().toISOString(), done: true, done_reason: 'stop' });
+
+export class MockOllamaBackend {
+  /**
+   * @param {Object} options
+   * @param {Array} options.scenarios - scenarios served as models, see scenarios.js
+   */
+  constructor({ scenarios = BUILT_IN_SCENARIOS } = {}) {
+    this.scenarios = new Map();
+    this.installed = new Map();
+    this.running = new Map();
+
+    scenarios.forEach(scenario => this.addScenario(scenario));
+  }
+
+  /**
+   * Add or replace a scenario, installed unless it says otherwise
+   */
+  addScenario(scenario) {
+    const normalized = normalizeScenario(scenario);
+    this.scenarios.set(normalized.name, normalized);
+
+    if (normalized.installed) {
+      this._install(normalized.name);
+    } else {
+      this.installed.delete(normalized.name);
+    }
+  }
+
+  _install(name) {
+    this.installed.set(name, {
+      name,
+      model: name,
+      modified_at: new Date().toISOString(),
+      size: MOCK_MODEL_SIZE,
+      digest: hashText(name).toString(16).padStart(8, '0').repeat(8),
+      details: {
+        format: 'gguf',
+        family: 'mock',
+        parameter_size: '1B',
+        quantization_level: 'Q4_K_M'
+      }
+    });
+  }
+
+  _load(name, keepAlive) {
+    const duration = parseKeepAlive(keepAlive);
+    if (duration === 0) {
+      this.running.delete(name);
+      return;
+    }
+
+    this.running.set(name, {
+      ...this.installed.get(name),
+      size_vram: MOCK_MODEL_SIZE,
+      expires_at: new Date(duration === null ? FOREVER : Date.now() + duration).toISOString()
+    });
+  }
+
+  _getRunning() {
+    const now = Date.now();
+    [...this.running.entries()].forEach(([name, model]) => {
+      if (new Date(model.expires_at).getTime() <= now) {
+        this.running.delete(name);
+      }
+    });
+    return [...this.running.values()];
+  }
+
+  _getScenario(name) {
+    return this.scenarios.get(name) || this.scenarios.get(DEFAULT_SCENARIO) || normalizeScenario({ name });
+  }
+
+  /**
+   * Handle an API request
+   * @returns {{ status: number, body: Object }|{ status: number, events: Array }}
+   *   - a JSON body, or NDJSON events to play with streamEvents
+   */
+  handle(method, path, body = {}) {
+    const route = `${method.toUpperCase()} ${path.split('?')[0]}`;
+
+    switch (route) {
+      case 'GET /':
+        return json({ status: 'Ollama is running' });
+      case 'GET /api/version':
+        return json({ version: '0.0.0-mock' });
+      case 'GET /api/tags':
+        return json({ models: [...this.installed.values()] });
+      case 'GET /api/ps':
+        return json({ models: this._getRunning() });
+      case 'POST /api/show':
+        return this._show(body.model || body.name);
+      case 'POST /api/chat':
+        return this._chat(body);
+      case 'POST /api/generate':
+        return this._generate(body);
+      case 'POST /api/pull':
+        return this._pull(body.model || body.name, body.stream !== false);
+      case 'DELETE /api/delete':
+        return this._delete(body.model || body.name);
+      case 'POST /api/embed':
+        return this._embed(body);
+      default:
+        return fail(`mock backend has no route ${route}`, 404);
+    }
+  }
+
+  _show(name) {
+    const model = this.installed.get(name);
+    if (!model) return fail(`model '${name}' not found`, 404);
+
+    const scenario = this._getScenario(name);
+    return json({
+      license: 'Mock model, for demos and tests',
+      modelfile: `FROM ${name}`,
+      parameters: 'temperature 0.7\nstop "<|end|>"',
+      template: '{{ .Prompt }}',
+      details: model.details,
+      model_info: {
+        'general.architecture': 'mock',
+        'general.parameter_count': 1e9,
+        'mock.context_length': 8192
+      },
+      capabilities: scenario.capabilities
+    });
+  }
+
+  _chat(request) {
+    if (!this.installed.has(request.model)) {
+      return fail(`model '${request.model}' not found`, 404);
+    }
+
+    const directive = getScenarioDirective(request.messages);
+    const scenario = this._getScenario(directive && this.scenarios.has(directive) ? directive : request.model);
+    const plan = planChatResponse(scenario, request);
+    if (plan.error) return fail(plan.error, plan.status);
+
+    this._load(request.model, request.keep_alive);
+
+    if (request.stream === false) {
+      return json(this._collect(plan.events, request.model));
+    }
+    return { status: 200, events: plan.events };
+  }
+
+  /**
+   * Merge planned chunks into one non-streaming response
+   */
+  _collect(events, model) {
+    const chunks = events.filter(event => event.chunk).map(event => event.chunk);
+    const final = chunks[chunks.length - 1] || emptyFinal(model);
+    if (final.error) return final;
+
+    const message = { role: 'assistant', content: '' };
+    chunks.forEach(chunk => {
+      message.content += chunk.message?.content || '';
+      if (chunk.message?.thinking) {
+        message.thinking = (message.thinking || '') + chunk.message.thinking;
+      }
+      if (chunk.message?.tool_calls) {
+        message.tool_calls = chunk.message.tool_calls;
+      }
+    });
+
+    return { ...final, message };
+  }
+
+  _generate(request) {
+    if (!this.installed.has(request.model)) {
+      return fail(`model '${request.model}' not found`, 404);
+    }
+
+    this._load(request.model, request.keep_alive);
+    const doneReason = parseKeepAlive(request.keep_alive) === 0 ? 'unload' : 'load';
+
+    // Without a prompt Ollama only loads or unloads the model
+    if (!request.prompt) {
+      return json({ model: request.model, created_at: new Date().toISOString(), response: '', done: true, done_reason: doneReason });
+    }
+
+    const plan = planChatResponse(this._getScenario(request.model), {
+      ...request,
+      messages: [{ role: 'user', content: request.prompt }]
+    });
+    if (plan.error) return fail(plan.error, plan.status);
+
+    // /api/generate streams text in `response` instead of `message`
+    const events = plan.events.map(event => {
+      if (!event.chunk?.message) return event;
+      const { message, ...chunk } = event.chunk;
+      return { chunk: { ...chunk, response: message.content } };
+    });
+
+    if (request.stream === false) {
+      const chunks = events.filter(event => event.chunk).map(event => event.chunk);
+      return json({ ...(chunks[chunks.length - 1] || emptyFinal(request.model)), response: chunks.map(chunk => chunk.response || '').join('') });
+    }
+    return { status: 200, events };
+  }
+
+  _pull(name, stream) {
+    if (!name) return fail('model is required', 400);
+    if (!this.scenarios.has(name)) {
+      return fail('pull model manifest: file does not exist', 500);
+    }
+
+    const events = planPullProgress(name, MOCK_MODEL_SIZE);
+    // Installed once the stream reaches the final 'success' line
+    events[events.length - 1].onPlay = () => this._install(name);
+
+    if (!stream) {
+      this._install(name);
+      return json({ status: 'success' });
+    }
+    return { status: 200, events };
+  }
+
+  _delete(name) {
+    if (!this.installed.has(name)) return fail(`model '${name}' not found`, 404);
+
+    this.installed.delete(name);
+    this.running.delete(name);
+    return json({});
+  }
+
+  _embed(request) {
+    if (!this.installed.has(request.model)) {
+      return fail(`model '${request.model}' not found`, 404);
+    }
+
+    this._load(request.model, request.keep_alive);
+    const input = [].concat(request.input ?? '');
+    return json({ model: request.model, embeddings: input.map(text => embedText(String(text))) });
+  }
+}
+
+export default MockOllamaBackend;
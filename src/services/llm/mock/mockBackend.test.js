@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { MockOllamaBackend, createMockFetch } from './index.js';
+
+const BASE_URL = 'http://mock.local';
+
+// No delays, so scenarios play instantly
+const scenario = (name, steps) => ({ name, steps, firstTokenDelay: 0, tokenDelay: 0 });
+
+const createFetch = () => createMockFetch(new MockOllamaBackend({
+  scenarios: [
+    scenario('mock-chat', [{ content: 'Hello from {{model}}' }]),
+    scenario('mock-error', [{ error: 'runner crashed', status: 500 }]),
+    scenario('mock-silent', [{ disconnect: true }])
+  ]
+}));
+
+const chat = (fetch, body) => fetch(`${BASE_URL}/api/chat`, {
+  method: 'POST',
+  body: JSON.stringify({ messages: [{ role: 'user', content: 'Hi' }], ...body })
+});
+
+const readLines = async (response) => {
+  const text = await response.text();
+  return text.trim().split('\n').map(line => JSON.parse(line));
+};
+
+describe('MockOllamaBackend', () => {
+  it('streams a scripted answer as NDJSON', async () => {
+    const response = await chat(createFetch(), { model: 'mock-chat' });
+    const lines = await readLines(response);
+
+    expect(response.status).toBe(200);
+    expect(lines.map(line => line.message.content).join('')).toBe('Hello from mock-chat');
+    expect(lines[lines.length - 1]).toMatchObject({ done: true, done_reason: 'stop' });
+  });
+
+  it('fails with the scenario status before any output', async () => {
+    const response = await chat(createFetch(), { model: 'mock-error' });
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: 'runner crashed' });
+  });
+
+  it('answers a non-streaming request whose scenario plans no chunks', async () => {
+    const response = await chat(createFetch(), { model: 'mock-silent', stream: false });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({
+      model: 'mock-silent',
+      message: { role: 'assistant', content: '' },
+      done: true
+    });
+  });
+
+  it('reports unknown models as not found', async () => {
+    const response = await chat(createFetch(), { model: 'missing' });
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Mock Fetch
+ * A fetch function answering from a MockOllamaBackend in the page, so the
+ * Ollama client works unchanged without any server
+ */
+
+import { streamEvents } from './mockBackend.js';
+
+const abortError = (signal) => signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Create a fetch function backed by a mock backend
+ */
+export const createMockFetch = (backend) => async (url, { method = 'GET', body, signal } = {}) => {
+  if (signal?.aborted) {
+    throw abortError(signal);
+  }
+
+  const { pathname, search } = new URL(url);
+  const result = backend.handle(method, `${pathname}${search}`, body ? JSON.parse(body) : {});
+  const headers = { 'Content-Type': result.events ? 'application/x-ndjson' : 'application/json' };
+
+  if (!result.events) {
+    return new Response(JSON.stringify(result.body), { status: result.status, headers });
+  }
+
+  const encoder = new TextEncoder();
+  const events = streamEvents(result.events, signal);
+
+  const stream = new ReadableStream({
+    start(controller) {
+      signal?.addEventListener('abort', () => {
+        try {
+          controller.error(abortError(signal));
+        } catch {
+          // Already closed
+        }
+      }, { once: true });
+    },
+    async pull(controller) {
+      const { done, value } = await events.next();
+      if (signal?.aborted) return;
+
+      if (done) {
+        controller.close();
+      } else if (value.disconnect) {
+        // Same error a dropped connection gives in the browser
+        controller.error(new TypeError('network error'));
+      } else {
+        controller.enqueue(encoder.encode(`${JSON.stringify(value)}\n`));
+      }
+    },
+    cancel() {
+      events.return();
+    }
+  });
+
+  return new Response(stream, { status: result.status, headers });
+};
+
+export default createMockFetch;
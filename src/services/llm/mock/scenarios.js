@@ -0,0 +1,315 @@
+/**
+ * Mock Scenarios
+ * Scripted responses of the mock Ollama backend, one scenario per mock model.
+ * Scenarios are plain data so custom ones can be loaded from JSON
+ *
+ * Steps:
+ * - { content }: answer text, streamed word by word
+ * - { thinking }: reasoning, sent as message.thinking when the request asks
+ *   for native thinking, wrapped in <think> tags otherwise
+ * - { toolCall: { name, arguments } }: a tool call, skipped when the request sent no tools
+ * - { delay }: pause in ms
+ * - { error, status }: fail with an HTTP status before any output, with an error line after
+ * - { disconnect: true }: drop the connection mid-stream
+ * Texts may use {{message}} (last user message), {{model}} and {{toolResult}}.
+ * `afterTool` replaces `steps` once the conversation ends with a tool result
+ */
+
+export const DEFAULT_SCENARIO = 'mock-chat';
+
+// Pause before the first token and between tokens (ms)
+const DEFAULT_FIRST_TOKEN_DELAY = 300;
+const DEFAULT_TOKEN_DELAY = 25;
+
+// A message containing [mock:<scenario>] is answered by that scenario, whatever the model
+const SCENARIO_DIRECTIVE = /\[mock:([\w.:-]+)\]/;
+
+export const BUILT_IN_SCENARIOS = [
+  {
+    name: 'mock-chat',
+    description: 'Short markdown answer quoting the message',
+    capabilities: ['completion', 'vision'],
+    steps: [
+      { content: 'This is a **mock answer** from {{model}}.\n\nYou wrote:\n\n> {{message}}\n\nThe mock backend can also:\n\n- think out loud (`mock-thinking`, `mock-think-tags`)\n- call tools (`mock-tools`)\n- answer slowly, fail or disconnect (`mock-slow`, `mock-error`, `mock-disconnect`)\n\n```js\nconsole.log("Hello from the mock backend");\n```' }
+    ]
+  },
+  {
+    name: 'mock-thinking',
+    description: 'Native reasoning before the answer',
+    capabilities: ['completion', 'thinking'],
+    steps: [
+      { thinking: 'The user wrote "{{message}}". I should consider what they are asking, then answer briefly and clearly.' },
+      { content: 'After thinking it over: this answer followed a reasoning phase streamed separately from the content.' }
+    ]
+  },
+  {
+    name: 'mock-think-tags',
+    description: 'Reasoning inside <think> tags, like models without native thinking',
+    capabilities: ['completion'],
+    steps: [
+      { thinking: 'Reasoning about "{{message}}" inside think tags, the app has to split them from the answer.' },
+      { content: 'The reasoning above was sent inside <think> tags in the content.' }
+    ]
+  },
+  {
+    name: 'mock-tools',
+    description: 'Calls the calculator, then answers with its result',
+    capabilities: ['completion', 'tools'],
+    steps: [
+      { toolCall: { name: 'calculator', arguments: { expression: '6 * 7' } } },
+      { content: 'No tools were offered, so I cannot calculate anything.' }
+    ],
+    afterTool: [
+      { content: 'The calculator returned `{{toolResult}}`.' }
+    ]
+  },
+  {
+    name: 'mock-slow',
+    description: 'Slow first token and slow streaming',
+    capabilities: ['completion'],
+    firstTokenDelay: 4000,
+    tokenDelay: 250,
+    steps: [
+      { content: 'This answer takes its time, one word every quarter of a second, to show how streaming looks on a slow machine.' }
+    ]
+  },
+  {
+    name: 'mock-error',
+    description: 'Fails with a server error',
+    capabilities: ['completion'],
+    steps: [
+      { error: 'mock server error: the model runner crashed', status: 500 }
+    ]
+  },
+  {
+    name: 'mock-disconnect',
+    description: 'Drops the connection in the middle of the answer',
+    capabilities: ['completion'],
+    steps: [
+      { content: 'This answer starts normally but the connection will drop in the middle of' },
+      { disconnect: true }
+    ]
+  },
+  {
+    name: 'mock-embed',
+    description: 'Embedding model with deterministic vectors',
+    capabilities: ['embedding'],
+    steps: []
+  },
+  {
+    name: 'mock-library',
+    description: 'Not installed at first, for trying out model pulls',
+    capabilities: ['completion'],
+    installed: false,
+    steps: [
+      { content: 'This model was pulled from the mock library.' }
+    ]
+  }
+];
+
+/**
+ * Fill defaults of a scenario
+ */
+export const normalizeScenario = (scenario) => ({
+  capabilities: ['completion'],
+  firstTokenDelay: DEFAULT_FIRST_TOKEN_DELAY,
+  tokenDelay: DEFAULT_TOKEN_DELAY,
+  installed: true,
+  steps: [],
+  afterTool: null,
+  ...scenario
+});
+
+/**
+ * Name of the scenario a message asks for with [mock:<name>], null otherwise
+ */
+export const getScenarioDirective = (messages = []) => {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  return lastUser?.content?.match(SCENARIO_DIRECTIVE)?.[1] || null;
+};
+
+const fillTemplate = (text, variables) => {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => variables[key] ?? match);
+};
+
+// Words with their trailing whitespace, roughly one token each
+const tokenize = (text) => text.match(/\s*\S+\s*/g) || [];
+
+/**
+ * Sample value for a structured output request ('json' or a JSON Schema)
+ */
+export const sampleFromSchema = (schema, message = '') => {
+  if (schema === 'json' || !schema || typeof schema !== 'object') {
+    return { answer: message || 'mock', source: 'mock backend' };
+  }
+
+  if (schema.enum) return schema.enum[0];
+  if (schema.const !== undefined) return schema.const;
+
+  const type = [].concat(schema.type || 'object')[0];
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property]) => [key, sampleFromSchema(property, message)])
+      );
+    case 'array':
+      return [sampleFromSchema(schema.items || { type: 'string' }, message)];
+    case 'string':
+      return message || 'example';
+    case 'number':
+      return 4.2;
+    case 'integer':
+      return 42;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Plan the response to a /api/chat request
+ * @returns {{ status: number, error: string }|{ events: Array }} - an HTTP
+ *   error, or the stream as { chunk }, { delay } and { disconnect } events
+ */
+export const planChatResponse = (scenario, request) => {
+  const messages = request.messages || [];
+  const lastMessage = messages[messages.length - 1];
+  const isAfterTool = lastMessage?.role === 'tool';
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+
+  const variables = {
+    message: (lastUser?.content || '').replace(SCENARIO_DIRECTIVE, '').trim(),
+    model: request.model,
+    toolResult: isAfterTool ? lastMessage.content : ''
+  };
+  const steps = isAfterTool && scenario.afterTool ? scenario.afterTool : scenario.steps;
+  const isNativeThinking = request.think === true && scenario.capabilities.includes('thinking');
+  const hasTools = request.tools?.length > 0;
+
+  const events = [{ delay: scenario.firstTokenDelay }];
+  let evalCount = 0;
+
+  const toChunk = (message) => ({
+    chunk: {
+      model: request.model,
+      created_at: new Date().toISOString(),
+      message: { role: 'assistant', content: '', ...message },
+      done: false
+    }
+  });
+
+  const streamText = (text, field) => {
+    tokenize(text).forEach(token => {
+      events.push(toChunk({ [field]: token }), { delay: scenario.tokenDelay });
+      evalCount += 1;
+    });
+  };
+
+  // Structured output requests get a sample value instead of the scripted text
+  const plannedSteps = request.format && !isAfterTool
+    ? [...steps.filter(step => step.error || step.disconnect || step.delay), { json: true }]
+    : steps;
+
+  for (const step of plannedSteps) {
+    if (step.delay) {
+      events.push({ delay: step.delay });
+    } else if (step.json) {
+      streamText(JSON.stringify(sampleFromSchema(request.format, variables.message), null, 2), 'content');
+    } else if (step.thinking !== undefined) {
+      const text = fillTemplate(step.thinking, variables);
+      if (isNativeThinking) {
+        streamText(text, 'thinking');
+      } else {
+        streamText(`<think>${text}</think>\n\n`, 'content');
+      }
+    } else if (step.content !== undefined) {
+      streamText(fillTemplate(step.content, variables), 'content');
+    } else if (step.toolCall) {
+      if (!hasTools) continue;
+      events.push(toChunk({ tool_calls: [{ function: step.toolCall }] }));
+      // The app runs the tool and sends a new request with its result
+      break;
+    } else if (step.error) {
+      if (evalCount === 0) {
+        return { status: step.status || 500, error: fillTemplate(step.error, variables) };
+      }
+      events.push({ chunk: { error: fillTemplate(step.error, variables) } });
+      return { events };
+    } else if (step.disconnect) {
+      events.push({ disconnect: true });
+      return { events };
+    }
+  }
+
+  const promptEvalCount = Math.ceil(JSON.stringify(messages).length / 4);
+  events.push({
+    chunk: {
+      model: request.model,
+      created_at: new Date().toISOString(),
+      message: { role: 'assistant', content: '' },
+      done: true,
+      done_reason: 'stop',
+      total_duration: (scenario.firstTokenDelay + evalCount * scenario.tokenDelay) * 1e6,
+      load_duration: 0,
+      prompt_eval_count: promptEvalCount,
+      prompt_eval_duration: scenario.firstTokenDelay * 1e6,
+      eval_count: evalCount,
+      eval_duration: Math.max(evalCount * scenario.tokenDelay, 1) * 1e6
+    }
+  });
+
+  return { events };
+};
+
+/**
+ * Plan the progress stream of a /api/pull request
+ */
+export const planPullProgress = (modelName, size) => {
+  const digest = `sha256:${hashText(modelName).toString(16).padStart(8, '0').repeat(8)}`;
+  const events = [{ chunk: { status: 'pulling manifest' } }, { delay: 300 }];
+
+  for (let step = 1; step <= 10; step++) {
+    events.push(
+      { chunk: { status: `pulling ${digest.slice(7, 19)}`, digest, total: size, completed: Math.round(size * step / 10) } },
+      { delay: 200 }
+    );
+  }
+
+  events.push(
+    { chunk: { status: 'verifying sha256 digest' } },
+    { delay: 200 },
+    { chunk: { status: 'writing manifest' } },
+    { chunk: { status: 'success' } }
+  );
+
+  return events;
+};
+
+/**
+ * 32-bit FNV-1a hash
+ */
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Deterministic embedding: words are hashed into buckets, so texts sharing
+ * words get similar vectors
+ */
+export const embedText = (text, dimensions = 64) => {
+  const vector = new Array(dimensions).fill(0);
+
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+    const hash = hashText(word);
+    vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
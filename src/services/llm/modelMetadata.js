@@ -0,0 +1,181 @@
+/**
+ * Model Metadata Service
+ * Reads model facts (context length, parameters, capabilities, ...) from the
+ * provider's model information endpoint and caches them per model
+ */
+
+/**
+ * Metadata used when the provider cannot describe a model
+ */
+export const createUnknownMetadata = (modelName) => ({
+  name: modelName,
+  family: null,
+  architecture: null,
+  parameterCount: null,
+  parameterSize: null,
+  quantization: null,
+  contextLength: null,
+  defaultParams: {},
+  template: null,
+  capabilities: {
+    completion: true,
+    vision: false,
+    tools: false,
+    thinking: false,
+    embedding: false
+  },
+  isKnown: false
+});
+
+/**
+ * Parse a single Modelfile parameter value
+ */
+const parseParameterValue = (value) => {
+  const trimmed = value.trim();
+
+  if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+
+  const number = Number(trimmed);
+  return trimmed !== '' && !isNaN(number) ? number : trimmed;
+};
+
+/**
+ * Parse the `parameters` text of /api/show, e.g.
+ * 'temperature 0.6\nstop "<|im_end|>"\nstop "<|im_start|>"'
+ * Repeated keys (stop) become arrays
+ */
+export const parseModelParameters = (parameters = '') => {
+  return parameters.split('\n').reduce((params, line) => {
+    const match = line.trim().match(/^(\S+)\s+(.+)$/);
+    if (!match) return params;
+
+    const [, key, rawValue] = match;
+    const value = parseParameterValue(rawValue);
+
+    if (key === 'stop') {
+      params.stop = [...(params.stop || []), value];
+    } else {
+      params[key] = value;
+    }
+
+    return params;
+  }, {});
+};
+
+/**
+ * Detect capabilities, preferring the list reported by newer Ollama versions
+ */
+const detectCapabilities = (info, modelInfo) => {
+  if (Array.isArray(info.capabilities)) {
+    return {
+      completion: info.capabilities.includes('completion'),
+      vision: info.capabilities.includes('vision'),
+      tools: info.capabilities.includes('tools'),
+      thinking: info.capabilities.includes('thinking'),
+      embedding: info.capabilities.includes('embedding')
+    };
+  }
+
+  // Older servers: infer from the template and model info keys
+  const template = info.template || '';
+  const keys = Object.keys(modelInfo);
+
+  return {
+    completion: true,
+    vision: Boolean(info.projector_info) || keys.some(key => key.includes('.vision.')),
+    tools: template.includes('.Tools'),
+    thinking: template.includes('.Think'),
+    embedding: false
+  };
+};
+
+/**
+ * Convert an /api/show response to model metadata
+ */
+export const parseModelInfo = (modelName, info) => {
+  const modelInfo = info.model_info || {};
+  const details = info.details || {};
+  const architecture = modelInfo['general.architecture'] || details.family || null;
+
+  return {
+    name: modelName,
+    family: details.family || architecture,
+    architecture,
+    parameterCount: modelInfo['general.parameter_count'] || null,
+    parameterSize: details.parameter_size || null,
+    quantization: details.quantization_level || null,
+    contextLength: (architecture && modelInfo[`${architecture}.context_length`]) || null,
+    defaultParams: parseModelParameters(info.parameters),
+    template: info.template || null,
+    capabilities: detectCapabilities(info, modelInfo),
+    isKnown: true
+  };
+};
+
+export class ModelMetadataService {
+  /**
+   * @param {Function} getProvider - returns the active provider
+   */
+  constructor(getProvider) {
+    this.getProvider = getProvider;
+    this.cache = new Map();
+  }
+
+  _cacheKey(modelName) {
+    return `${this.getProvider().name}:${modelName}`;
+  }
+
+  /**
+   * Get metadata for a model, fetched once and cached
+   */
+  async getMetadata(modelName) {
+    if (!modelName) {
+      return createUnknownMetadata(modelName);
+    }
+
+    const key = this._cacheKey(modelName);
+    if (!this.cache.has(key)) {
+      // Cache the promise so concurrent callers share one request
+      this.cache.set(key, this._fetchMetadata(modelName));
+    }
+
+    return await this.cache.get(key);
+  }
+
+  async _fetchMetadata(modelName) {
+    const provider = this.getProvider();
+
+    if (!provider.supports.modelInfo) {
+      return createUnknownMetadata(modelName);
+    }
+
+    try {
+      const info = await provider.getModelInfo(modelName);
+      return parseModelInfo(modelName, info);
+    } catch (error) {
+      console.error('Error loading model metadata:', error);
+      // Do not keep failures, the next call retries
+      this.cache.delete(this._cacheKey(modelName));
+      return createUnknownMetadata(modelName);
+    }
+  }
+
+  /**
+   * Drop cached metadata for one model, or all models
+   */
+  invalidate(modelName = null) {
+    if (modelName) {
+      this.cache.delete(this._cacheKey(modelName));
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+export default ModelMetadataService;
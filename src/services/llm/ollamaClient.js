@@ -3,11 +3,101 @@
  * Handles communication with Ollama server for LLM operations
  */
 
-import { getOllamaConfig, MODEL_CONFIGS } from './config.js';
+import { getOllamaConfig } from './config.js';
+import { decodeNDJSONStream } from './streamDecoder.js';
+import { toOllamaOptions } from './params.js';
+import {
+  CircuitBreaker,
+  NetworkError,
+  TimeoutError,
+  isTransientError,
+  linkSignals,
+  withRetry,
+  withStreamTimeouts
+} from './resilience.js';
+
+export class OllamaClient {
+  constructor(config = getOllamaConfig()) {
+    this.config = config;
+    this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker);
+  }
 
-class OllamaClient {
-  constructor() {
-    this.config = getOllamaConfig();
+  /**
+   * Subscribe to circuit breaker state changes
+   */
+  onCircuitStateChange(listener) {
+    return this.circuitBreaker.subscribe(listener);
+  }
+
+  /**
+   * Send a request to the Ollama server
+   * - timeout: abort if the response headers take longer (ms)
+   * - retry: retry transient failures with exponential backoff, only for idempotent requests
+   * - probe: allowed through an open circuit, used by connection tests
+   */
+  async _fetch(path, { method = 'GET', body, signal, timeout, retry = false, probe = false } = {}) {
+    if (!probe) {
+      this.circuitBreaker.assertRequestAllowed();
+    }
+
+    const attempt = async () => {
+      const controller = new AbortController();
+      const timer = timeout
+        ? setTimeout(() => controller.abort(new TimeoutError(`Request to ${path} timed out after ${Math.round(timeout / 1000)}s`, 'request')), timeout)
+        : null;
+
+      try {
+        // config.fetch replaces the network, used by the mock backend
+        return await (this.config.fetch || fetch)(`${this.config.baseURL}${path}`, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: linkSignals(signal, controller.signal)
+        });
+      } catch (error) {
+        // Surface our own timeout rather than the generic abort
+        if (controller.signal.aborted && !signal?.aborted) {
+          throw controller.signal.reason;
+        }
+        // fetch only rejects with a TypeError when the server is unreachable
+        if (error?.name === 'TypeError') {
+          throw new NetworkError(error);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    try {
+      const response = retry
+        ? await withRetry(attempt, { ...this.config.retry, signal })
+        : await attempt();
+      this.circuitBreaker.recordSuccess();
+      return response;
+    } catch (error) {
+      if (isTransientError(error)) {
+        this.circuitBreaker.recordFailure();
+      } else {
+        this.circuitBreaker.releaseProbe();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stream NDJSON from a response, enforcing the given time limits
+   */
+  _streamWithTimeouts(response, controller, timeouts) {
+    return withStreamTimeouts(decodeNDJSONStream(response.body), {
+      ...timeouts,
+      onTimeout: (error) => {
+        this.circuitBreaker.recordFailure();
+        controller.abort(error);
+      }
+    });
   }
 
   /**
@@ -15,12 +105,9 @@ class OllamaClient {
    */
   async testConnection() {
     try {
-      const response = await fetch(`${this.config.baseURL}/api/tags`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        signal: AbortSignal.timeout(5000) // 5 second timeout for connection test
+      const response = await this._fetch('/api/tags', {
+        timeout: this.config.connectionTimeout,
+        probe: true
       });
 
       if (!response.ok) {
@@ -47,7 +134,10 @@ class OllamaClient {
    */
   async getAvailableModels() {
     try {
-      const response = await fetch(`${this.config.baseURL}/api/tags`);
+      const response = await this._fetch('/api/tags', {
+        timeout: this.config.timeout,
+        retry: true
+      });
       
       if (!response.ok) {
         throw new Error(`Failed to fetch models: ${response.status}`);
@@ -57,7 +147,7 @@ class OllamaClient {
       return data.models || [];
     } catch (error) {
       console.error('Error fetching models:', error);
-      throw new Error('Failed to fetch available models');
+      throw new Error(`Failed to fetch available models: ${error.message}`);
     }
   }
 
@@ -76,58 +166,148 @@ class OllamaClient {
 
   /**
    * Pull a model if it's not available
+   * Pass options.signal to cancel the download
    */
-  async pullModel(modelName, onProgress = null) {
+  async pullModel(modelName, onProgress = null, options = {}) {
     try {
-      const response = await fetch(`${this.config.baseURL}/api/pull`, {
+      const controller = new AbortController();
+      const response = await this._fetch('/api/pull', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ name: modelName })
+        body: { name: modelName },
+        signal: linkSignals(options.signal, controller.signal),
+        timeout: this.config.timeout
       });
 
       if (!response.ok) {
         throw new Error(`Failed to pull model: ${response.status}`);
       }
 
-      // Handle streaming response for progress updates
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n').filter(line => line.trim());
-
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-            if (onProgress) {
-              onProgress(data);
-            }
-          } catch (e) {
-            // Skip invalid JSON lines
-          }
+      // Handle streaming response for progress updates, downloads can take
+      // arbitrarily long so only stalls are limited
+      const progress = this._streamWithTimeouts(response, controller, {
+        firstToken: this.config.streamTimeouts.pullIdle,
+        idle: this.config.streamTimeouts.pullIdle
+      });
+
+      for await (const data of progress) {
+        if (onProgress) {
+          onProgress(data);
         }
       }
 
       return { success: true, message: `Model ${modelName} pulled successfully` };
     } catch (error) {
+      if (options.signal?.aborted) {
+        return { success: false, cancelled: true, error: `Pull of ${modelName} was cancelled` };
+      }
+
       console.error('Error pulling model:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Delete a local model
+   */
+  async deleteModel(modelName) {
+    try {
+      const response = await this._fetch('/api/delete', {
+        method: 'DELETE',
+        body: { model: modelName },
+        timeout: this.config.timeout
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to delete model: ${response.status}`);
+      }
+
+      return { success: true, message: `Model ${modelName} deleted successfully` };
+    } catch (error) {
+      console.error('Error deleting model:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the models loaded in memory
+   */
+  async getRunningModels() {
+    try {
+      const response = await this._fetch('/api/ps', {
+        timeout: this.config.timeout,
+        retry: true
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch running models: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.models || [];
+    } catch (error) {
+      console.error('Error fetching running models:', error);
+      throw new Error(`Failed to fetch running models: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a model into memory without generating anything
+   * keepAlive: how long it stays loaded, -1 until unloaded
+   */
+  async loadModel(modelName, { keepAlive } = {}) {
+    try {
+      const body = { model: modelName };
+      if (keepAlive !== undefined) {
+        body.keep_alive = keepAlive;
+      }
+
+      const response = await this._fetch('/api/generate', {
+        method: 'POST',
+        body,
+        // Loading a large model can take a while
+        timeout: this.config.streamTimeouts.firstToken
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Failed to load model: ${response.status}`);
+      }
+
+      return { success: true, message: `Model ${modelName} loaded` };
+    } catch (error) {
+      console.error('Error loading model:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Unload a model from memory right away
+   */
+  async unloadModel(modelName) {
+    try {
+      const response = await this._fetch('/api/generate', {
+        method: 'POST',
+        body: { model: modelName, keep_alive: 0 },
+        timeout: this.config.timeout
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to unload model: ${response.status}`);
+      }
+
+      return { success: true, message: `Model ${modelName} unloaded` };
+    } catch (error) {
+      console.error('Error unloading model:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Generate chat completion using Ollama
    */
   async generateChatCompletion(messages, options = {}) {
     try {
       const modelName = options.model || this.config.defaultModel;
-      const modelConfig = MODEL_CONFIGS[modelName] || {};
       
       // Ensure model is available
       const isAvailable = await this.isModelAvailable(modelName);
@@ -135,54 +315,41 @@ class OllamaClient {
         throw new Error(`Model ${modelName} is not available. Please pull it first.`);
       }
 
-      // Add system message for thinking process if not present
-      const systemMessage = {
-        role: 'system',
-        content: `You are a helpful AI assistant who helps the user with their questions.
-        User can ask you anything and you will respond with a helpful answer. When responding, you must thoroughly think through the answer and provide a detailed response.
-        The first you can thinking about the answer with a detailed manner, once you have the answer, you can respond with answer in a tag called <answer>. Make sure to add final response in this answer tag.
-
-        Example:
-        User: What is the capital of France?
-        Assistant: <think>
-        The capital of France is Paris.
-        </think>
-        <answer>
-        The capital of France is Paris.
-        </answer>
-
-        User: Who is the president of the United States?
-        Assistant: <think>
-        The president of the United States is Joe Biden.
-        </think>
-        <answer>
-        The president of the United States is Joe Biden.
-        </answer>
-        `
-      };
-
-      // Check if system message already exists, if not add it
-      const hasSystemMessage = messages.some(msg => msg.role === 'system');
-      const processedMessages = hasSystemMessage ? messages : [systemMessage, ...messages];
-
       const requestBody = {
         model: modelName,
-        messages: processedMessages,
+        messages,
         stream: options.stream !== false,
-        options: {
+        options: toOllamaOptions({
           ...this.config.defaultParams,
-          ...modelConfig.params,
           ...options.params
-        }
+        })
       };
 
-      const response = await fetch(`${this.config.baseURL}/api/chat`, {
+      // Native thinking streams reasoning in message.thinking
+      if (options.think !== undefined) {
+        requestBody.think = options.think;
+      }
+
+      // Tool calls come back in message.tool_calls
+      if (options.tools?.length) {
+        requestBody.tools = options.tools;
+      }
+
+      // 'json' or a JSON Schema the output must follow
+      if (options.format) {
+        requestBody.format = options.format;
+      }
+
+      // How long the model stays loaded afterwards, -1 forever, 0 unloads
+      if (options.keepAlive !== undefined) {
+        requestBody.keep_alive = options.keepAlive;
+      }
+
+      const { controller, timeouts, ...requestOptions } = this._getGenerationRequestOptions(requestBody.stream, options);
+      const response = await this._fetch('/api/chat', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: options.signal
+        body: requestBody,
+        ...requestOptions
       });
 
       if (!response.ok) {
@@ -190,7 +357,7 @@ class OllamaClient {
       }
 
       if (requestBody.stream) {
-        return this._handleStreamingResponse(response);
+        return this._handleStreamingResponse(response, controller, timeouts);
       } else {
         const data = await response.json();
         return {
@@ -210,35 +377,27 @@ class OllamaClient {
   /**
    * Handle streaming response from Ollama
    */
-  async _handleStreamingResponse(response) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
+  async _handleStreamingResponse(response, controller, timeouts) {
     return {
       success: true,
-      stream: async function* () {
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n').filter(line => line.trim());
-
-            for (const line of lines) {
-              try {
-                const data = JSON.parse(line);
-                yield data;
-              } catch (e) {
-                // Skip invalid JSON lines
-                console.warn('Invalid JSON in stream:', line);
-              }
-            }
-          }
-        } finally {
-          reader.releaseLock();
-        }
-      }
+      stream: () => this._streamWithTimeouts(response, controller, timeouts)
+    };
+  }
+
+  /**
+   * Build request options for a generation call
+   * Streaming requests wait up to the first-token limit for headers, then the
+   * stream limits take over; per-call `timeouts` override the configured ones
+   */
+  _getGenerationRequestOptions(stream, options) {
+    const timeouts = { ...this.config.streamTimeouts, ...options.timeouts };
+    const controller = new AbortController();
+
+    return {
+      controller,
+      timeouts,
+      signal: linkSignals(options.signal, controller.signal),
+      timeout: stream ? timeouts.firstToken : timeouts.total
     };
   }
 
@@ -253,19 +412,26 @@ class OllamaClient {
         model: modelName,
         prompt: prompt,
         stream: options.stream !== false,
-        options: {
+        options: toOllamaOptions({
           ...this.config.defaultParams,
           ...options.params
-        }
+        })
       };
 
-      const response = await fetch(`${this.config.baseURL}/api/generate`, {
+      // false skips the reasoning of thinking models
+      if (options.think !== undefined) {
+        requestBody.think = options.think;
+      }
+
+      if (options.keepAlive !== undefined) {
+        requestBody.keep_alive = options.keepAlive;
+      }
+
+      const { controller, timeouts, ...requestOptions } = this._getGenerationRequestOptions(requestBody.stream, options);
+      const response = await this._fetch('/api/generate', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: options.signal
+        body: requestBody,
+        ...requestOptions
       });
 
       if (!response.ok) {
@@ -273,7 +439,7 @@ class OllamaClient {
       }
 
       if (requestBody.stream) {
-        return this._handleStreamingResponse(response);
+        return this._handleStreamingResponse(response, controller, timeouts);
       } else {
         const data = await response.json();
         return {
@@ -290,17 +456,43 @@ class OllamaClient {
     }
   }
 
+  /**
+   * Embed one or more texts, returns one vector per input
+   */
+  async embed(modelName, input, options = {}) {
+    try {
+      const response = await this._fetch('/api/embed', {
+        method: 'POST',
+        body: { model: modelName, input },
+        signal: options.signal,
+        // The first call loads the embedding model into memory
+        timeout: this.config.streamTimeouts.firstToken,
+        retry: true
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Failed to embed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.embeddings;
+    } catch (error) {
+      console.error('Error embedding text:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get model information
    */
   async getModelInfo(modelName) {
     try {
-      const response = await fetch(`${this.config.baseURL}/api/show`, {
+      const response = await this._fetch('/api/show', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ name: modelName })
+        body: { name: modelName },
+        timeout: this.config.timeout,
+        retry: true
       });
 
       if (!response.ok) {
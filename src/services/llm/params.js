@@ -0,0 +1,261 @@
+/**
+ * Generation Parameters
+ * Definitions, validation and presets for the options sent to Ollama
+ */
+
+/**
+ * Editable parameters, keyed by their Ollama option name
+ * type: 'range' (slider), 'integer' (optional number), 'select' or 'list'
+ */
+export const PARAM_DEFINITIONS = [
+  {
+    key: 'temperature',
+    label: 'Temperature',
+    type: 'range',
+    min: 0,
+    max: 2,
+    step: 0.05,
+    description: 'Higher values make answers more varied'
+  },
+  {
+    key: 'top_p',
+    label: 'Top P',
+    type: 'range',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: 'Sample from the smallest token set whose probability exceeds this'
+  },
+  {
+    key: 'top_k',
+    label: 'Top K',
+    type: 'range',
+    min: 0,
+    max: 200,
+    step: 1,
+    description: 'Sample from the K most likely tokens, 0 disables'
+  },
+  {
+    key: 'repeat_penalty',
+    label: 'Repeat penalty',
+    type: 'range',
+    min: 0.5,
+    max: 2,
+    step: 0.05,
+    description: 'Penalize repeated tokens'
+  },
+  {
+    key: 'num_predict',
+    label: 'Max tokens',
+    type: 'range',
+    min: -1,
+    max: 16384,
+    step: 1,
+    description: 'Maximum response length, -1 for no limit'
+  },
+  {
+    key: 'num_ctx',
+    label: 'Context window',
+    type: 'range',
+    min: 512,
+    max: 131072,
+    step: 512,
+    description: 'Tokens of context the model keeps in memory'
+  },
+  {
+    key: 'seed',
+    label: 'Seed',
+    type: 'integer',
+    min: 0,
+    description: 'Fixed seed for reproducible answers, empty for random'
+  },
+  {
+    key: 'mirostat',
+    label: 'Mirostat',
+    type: 'select',
+    options: [
+      { value: 0, label: 'Off' },
+      { value: 1, label: 'Mirostat' },
+      { value: 2, label: 'Mirostat 2.0' }
+    ],
+    description: 'Adaptive sampling that targets a constant perplexity'
+  },
+  {
+    key: 'mirostat_tau',
+    label: 'Mirostat tau',
+    type: 'range',
+    min: 0,
+    max: 10,
+    step: 0.1,
+    description: 'Target perplexity, lower is more focused',
+    dependsOn: 'mirostat'
+  },
+  {
+    key: 'mirostat_eta',
+    label: 'Mirostat eta',
+    type: 'range',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    description: 'Mirostat learning rate',
+    dependsOn: 'mirostat'
+  },
+  {
+    key: 'stop',
+    label: 'Stop sequences',
+    type: 'list',
+    description: 'One per line, generation stops when one is produced'
+  }
+];
+
+/**
+ * Common names that Ollama knows under another name
+ */
+export const PARAM_ALIASES = {
+  max_tokens: 'num_predict',
+  context_length: 'num_ctx'
+};
+
+/**
+ * Values shown for parameters that are not set
+ */
+export const PARAM_PLACEHOLDERS = {
+  temperature: 0.7,
+  top_p: 0.9,
+  top_k: 40,
+  repeat_penalty: 1.1,
+  num_predict: 2048,
+  num_ctx: 8192,
+  mirostat: 0,
+  mirostat_tau: 5,
+  mirostat_eta: 0.1
+};
+
+/**
+ * Presets shipped with the app, user presets are kept in storage
+ */
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'precise',
+    name: 'Precise',
+    builtIn: true,
+    params: { temperature: 0.2, top_p: 0.8, top_k: 20, repeat_penalty: 1.1 }
+  },
+  {
+    id: 'creative',
+    name: 'Creative',
+    builtIn: true,
+    params: { temperature: 1.0, top_p: 0.95, top_k: 80, repeat_penalty: 1.05 }
+  },
+  {
+    id: 'code',
+    name: 'Code',
+    builtIn: true,
+    params: { temperature: 0.1, top_p: 0.9, top_k: 40, repeat_penalty: 1.0, num_predict: 4096 }
+  }
+];
+
+const DEFINITIONS_BY_KEY = Object.fromEntries(PARAM_DEFINITIONS.map(definition => [definition.key, definition]));
+
+/**
+ * Rename aliased parameters to their Ollama names
+ */
+export const normalizeParams = (params = {}) => {
+  return Object.entries(params).reduce((normalized, [key, value]) => {
+    normalized[PARAM_ALIASES[key] || key] = value;
+    return normalized;
+  }, {});
+};
+
+/**
+ * Validate parameters against their definitions
+ * @returns {{ isValid: boolean, errors: Object<string, string> }}
+ */
+export const validateParams = (params = {}) => {
+  const errors = {};
+
+  Object.entries(normalizeParams(params)).forEach(([key, value]) => {
+    const definition = DEFINITIONS_BY_KEY[key];
+    if (!definition || value === undefined || value === null || value === '') return;
+
+    if (definition.type === 'list') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        errors[key] = `${definition.label} must be a list of text values`;
+      }
+      return;
+    }
+
+    if (definition.type === 'select') {
+      if (!definition.options.some(option => option.value === value)) {
+        errors[key] = `${definition.label} has an unsupported value`;
+      }
+      return;
+    }
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      errors[key] = `${definition.label} must be a number`;
+    } else if (definition.type === 'integer' && !Number.isInteger(value)) {
+      errors[key] = `${definition.label} must be a whole number`;
+    } else if (definition.min !== undefined && value < definition.min) {
+      errors[key] = `${definition.label} must be at least ${definition.min}`;
+    } else if (definition.max !== undefined && value > definition.max) {
+      errors[key] = `${definition.label} must be at most ${definition.max}`;
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Convert parameters to the `options` object of an Ollama request,
+ * dropping unset values and empty list entries
+ */
+export const toOllamaOptions = (params = {}) => {
+  return Object.entries(normalizeParams(params)).reduce((options, [key, value]) => {
+    if (value === undefined || value === null || value === '') return options;
+
+    if (Array.isArray(value)) {
+      const items = value.filter(item => item !== '');
+      if (items.length > 0) {
+        options[key] = items;
+      }
+      return options;
+    }
+
+    options[key] = value;
+    return options;
+  }, {});
+};
+
+/**
+ * Parameters of a chat: the model's own defaults (from its Modelfile),
+ * its preset and its own overrides, in increasing priority
+ */
+export const resolveChatParams = (presets, presetId, overrides = {}, modelDefaults = {}) => {
+  const preset = presets.find(item => item.id === presetId);
+  const defaults = Object.fromEntries(
+    Object.entries(normalizeParams(modelDefaults)).filter(([key]) => DEFINITIONS_BY_KEY[key])
+  );
+
+  return {
+    ...defaults,
+    ...(preset?.params || {}),
+    ...overrides
+  };
+};
+
+/**
+ * Parameters of a chat as sent with a request: values the parameter panel
+ * flags as invalid are left out, so the model default applies instead
+ */
+export const resolveRequestParams = (presets, presetId, overrides = {}, modelDefaults = {}) => {
+  const params = resolveChatParams(presets, presetId, overrides, modelDefaults);
+  const { errors } = validateParams(params);
+
+  return Object.fromEntries(
+    Object.entries(params).filter(([key]) => !errors[PARAM_ALIASES[key] || key])
+  );
+};
@@ -0,0 +1,66 @@
+/**
+ * Personas
+ * A persona bundles a system prompt with the model and parameter preset a
+ * new chat starts with
+ */
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant. Answer clearly and accurately, and say so when you are not sure about something.';
+
+/**
+ * Persona shipped with the app, user personas are kept in storage
+ */
+export const DEFAULT_PERSONA = {
+  id: 'assistant',
+  name: 'Assistant',
+  avatar: '🤖',
+  systemPrompt: DEFAULT_SYSTEM_PROMPT,
+  model: null,
+  presetId: null,
+  builtIn: true
+};
+
+/**
+ * Create an empty persona for the editor
+ */
+export const createPersona = () => ({
+  id: `persona-${Date.now()}`,
+  name: '',
+  avatar: '💬',
+  systemPrompt: '',
+  model: null,
+  presetId: null,
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Validate a persona before saving
+ * @returns {{ isValid: boolean, errors: Object<string, string> }}
+ */
+export const validatePersona = (persona) => {
+  const errors = {};
+
+  if (!persona.name?.trim()) {
+    errors.name = 'Name is required';
+  }
+
+  if (!persona.systemPrompt?.trim()) {
+    errors.systemPrompt = 'System prompt is required';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * System prompt of a chat: its own prompt, or its persona's
+ */
+export const resolveSystemPrompt = (personas, chat) => {
+  if (typeof chat?.systemPrompt === 'string') {
+    return chat.systemPrompt;
+  }
+
+  const persona = personas.find(item => item.id === chat?.personaId) || DEFAULT_PERSONA;
+  return persona.systemPrompt;
+};
@@ -0,0 +1,54 @@
+/**
+ * LLM Providers Entry Point
+ *
+ * Every provider exposes the same interface to LLMService:
+ * - name, supports: { pull, delete, modelInfo, embed, running, endpoints }
+ * - pool: EndpointPool of the servers requests fail over between, when supports.endpoints
+ * - getDefaultModel(), getDefaultEmbeddingModel()
+ * - onCircuitStateChange(listener) -> unsubscribe
+ * - testConnection() -> { success, models, message, error }
+ * - getAvailableModels() -> [{ name, size, details }]
+ * - isModelAvailable(modelName)
+ * - pullModel(modelName, onProgress, { signal }) -> { success, message, error, cancelled }
+ * - deleteModel(modelName) -> { success, message, error }
+ * - generateChatCompletion(messages, options) -> { success, stream, endpoint? } or { success, message, endpoint? }
+ *   options: { model, params, stream, signal, think, tools, format, keepAlive, endpointId }
+ *   endpoint ({ id, name }) names the server that answered
+ *   with format 'json' or a JSON Schema
+ * - generateCompletion(prompt, options) -> { success, response, endpoint? }, not streamed
+ *   options: { model, params, signal, think, keepAlive, endpointId }
+ * - getModelInfo(modelName)
+ * - getRunningModels() -> raw /api/ps entries
+ * - loadModel(modelName, { keepAlive }), unloadModel(modelName) -> { success, message, error }
+ * - embed(modelName, input, { signal, endpointId }) -> one vector per input text
+ *
+ * Streamed chunks always use Ollama's /api/chat format:
+ * { message: { role, content, thinking?, tool_calls? }, done }
+ * with tool_calls as [{ id?, function: { name, arguments } }]
+ */
+
+import { LLM_PROVIDERS, getProviderName } from '../config.js';
+import { OllamaProvider } from './ollamaProvider.js';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+export { OllamaProvider, OpenAICompatibleProvider, MockProvider };
+
+const PROVIDER_FACTORIES = {
+  [LLM_PROVIDERS.OLLAMA]: () => new OllamaProvider(),
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: () => new OpenAICompatibleProvider(),
+  [LLM_PROVIDERS.MOCK]: () => new MockProvider()
+};
+
+/**
+ * Create a provider by name, defaults to the configured provider
+ */
+export const createProvider = (name = getProviderName()) => {
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return factory();
+};
@@ -0,0 +1,28 @@
+/**
+ * Mock Provider
+ * The Ollama provider talking to the in-page mock backend instead of a
+ * server, for demos and for trying the app without a GPU
+ */
+
+import { OllamaProvider } from './ollamaProvider.js';
+import { EndpointPool } from '../endpoints.js';
+import { OllamaClient } from '../ollamaClient.js';
+import { LLM_PROVIDERS, MOCK_CONFIG, getOllamaConfig } from '../config.js';
+import { mockBackend, createMockFetch } from '../mock/index.js';
+
+export class MockProvider extends OllamaProvider {
+  constructor(backend = mockBackend) {
+    const client = new OllamaClient(getOllamaConfig({
+      ...MOCK_CONFIG,
+      fetch: createMockFetch(backend)
+    }));
+
+    super(new EndpointPool({ defaultClient: client }));
+    this.name = LLM_PROVIDERS.MOCK;
+    this.backend = backend;
+    // A single simulated server
+    this.supports = { ...this.supports, endpoints: false };
+  }
+}
+
+export default MockProvider;
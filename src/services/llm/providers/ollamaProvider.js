@@ -0,0 +1,187 @@
+/**
+ * Ollama Provider
+ * Adapts the Ollama client to the common provider interface, spreading
+ * requests over the configured Ollama endpoints
+ */
+
+import { endpointPool, ENDPOINT_STATUS } from '../endpoints.js';
+import { LLM_PROVIDERS } from '../config.js';
+
+export class OllamaProvider {
+  constructor(pool = endpointPool) {
+    this.name = LLM_PROVIDERS.OLLAMA;
+    this.pool = pool;
+    this.supports = {
+      pull: true,
+      delete: true,
+      modelInfo: true,
+      embed: true,
+      running: true,
+      endpoints: true
+    };
+  }
+
+  /**
+   * Client of the endpoint used for model management
+   */
+  get client() {
+    return this.pool.getClient(this.pool.getActiveEndpoint().id);
+  }
+
+  /**
+   * Get the default model for this provider
+   */
+  getDefaultModel() {
+    return this.pool.getClient().config.defaultModel;
+  }
+
+  /**
+   * Get the model used for embeddings
+   */
+  getDefaultEmbeddingModel() {
+    return this.pool.getClient().config.embeddingModel;
+  }
+
+  /**
+   * Subscribe to circuit breaker state changes, open only once every
+   * endpoint is refusing requests
+   */
+  onCircuitStateChange(listener) {
+    return this.pool.onCircuitStateChange(listener);
+  }
+
+  /**
+   * Test connection to the Ollama endpoints, connected while any is online
+   */
+  async testConnection() {
+    const endpoints = await this.pool.checkAll();
+    const online = endpoints.filter(endpoint => endpoint.status === ENDPOINT_STATUS.ONLINE);
+
+    if (online.length === 0) {
+      return {
+        success: false,
+        error: endpoints[0]?.error,
+        message: 'Failed to connect to Ollama server'
+      };
+    }
+
+    return {
+      success: true,
+      models: this.pool.getModels(),
+      message: online.length === endpoints.length
+        ? 'Connected to Ollama successfully'
+        : `Connected to ${online.length} of ${endpoints.length} Ollama endpoints`
+    };
+  }
+
+  /**
+   * Get available models of all online endpoints
+   */
+  async getAvailableModels() {
+    const endpoints = await this.pool.checkAll();
+    if (!endpoints.some(endpoint => endpoint.status === ENDPOINT_STATUS.ONLINE)) {
+      throw new Error(`Failed to fetch available models: ${endpoints[0]?.error}`);
+    }
+
+    return this.pool.getModels();
+  }
+
+  /**
+   * Check if a specific model is available on any endpoint
+   */
+  async isModelAvailable(modelName) {
+    try {
+      const models = await this.getAvailableModels();
+      return models.some(model => model.name === modelName);
+    } catch (error) {
+      console.error('Error checking model availability:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Pull a model from the Ollama library
+   */
+  async pullModel(modelName, onProgress = null, options = {}) {
+    return await this.client.pullModel(modelName, onProgress, options);
+  }
+
+  /**
+   * Delete a local model
+   */
+  async deleteModel(modelName) {
+    return await this.client.deleteModel(modelName);
+  }
+
+  /**
+   * Get the models loaded in memory
+   */
+  async getRunningModels() {
+    return await this.client.getRunningModels();
+  }
+
+  /**
+   * Load a model into memory ahead of the first request
+   */
+  async loadModel(modelName, options = {}) {
+    return await this.client.loadModel(modelName, options);
+  }
+
+  /**
+   * Unload a model from memory
+   */
+  async unloadModel(modelName) {
+    return await this.client.unloadModel(modelName);
+  }
+
+  /**
+   * Generate chat completion, chunks are already in Ollama's format
+   * The result names the endpoint that served it
+   */
+  async generateChatCompletion(messages, options = {}) {
+    const { result, endpoint } = await this.pool.run(
+      client => client.generateChatCompletion(messages, options),
+      { preferredId: options.endpointId, modelName: options.model, signal: options.signal }
+    );
+
+    return { ...result, endpoint };
+  }
+
+  /**
+   * Generate a completion for a single prompt
+   */
+  async generateCompletion(prompt, options = {}) {
+    const { result, endpoint } = await this.pool.run(
+      client => client.generateCompletion(prompt, options),
+      { preferredId: options.endpointId, modelName: options.model, signal: options.signal }
+    );
+
+    return { ...result, endpoint };
+  }
+
+  /**
+   * Embed texts with an embedding model
+   */
+  async embed(modelName, input, options = {}) {
+    const { result } = await this.pool.run(
+      client => client.embed(modelName, input, options),
+      { preferredId: options.endpointId, modelName, signal: options.signal }
+    );
+
+    return result;
+  }
+
+  /**
+   * Get model information
+   */
+  async getModelInfo(modelName) {
+    const { result } = await this.pool.run(
+      client => client.getModelInfo(modelName),
+      { modelName }
+    );
+
+    return result;
+  }
+}
+
+export default OllamaProvider;
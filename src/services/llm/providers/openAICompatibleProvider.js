@@ -0,0 +1,536 @@
+/**
+ * OpenAI-compatible Provider
+ * Talks to servers implementing the OpenAI /v1/chat/completions protocol
+ * (llama.cpp server, LM Studio, ...) and normalizes their responses to
+ * the Ollama chunk format used throughout the app
+ */
+
+import { getOpenAICompatibleConfig, LLM_PROVIDERS } from '../config.js';
+import { readLines, extractStreamStats } from '../streamDecoder.js';
+
+// Request fields forwarded from generation params, llama.cpp and LM Studio
+// also accept top_k and repeat_penalty as extensions
+const SUPPORTED_PARAMS = [
+  'temperature',
+  'top_p',
+  'top_k',
+  'max_tokens',
+  'stop',
+  'seed',
+  'presence_penalty',
+  'frequency_penalty',
+  'repeat_penalty'
+];
+
+export class OpenAICompatibleProvider {
+  constructor(config = getOpenAICompatibleConfig()) {
+    this.name = LLM_PROVIDERS.OPENAI_COMPATIBLE;
+    this.config = config;
+    this.supports = {
+      pull: false,
+      delete: false,
+      modelInfo: false,
+      embed: true,
+      running: false,
+      endpoints: false
+    };
+  }
+
+  /**
+   * Get the default model for this provider
+   */
+  getDefaultModel() {
+    return this.config.defaultModel;
+  }
+
+  /**
+   * Get the model used for embeddings
+   */
+  getDefaultEmbeddingModel() {
+    return this.config.embeddingModel;
+  }
+
+  /**
+   * No circuit breaker for this provider, the state never changes
+   */
+  onCircuitStateChange() {
+    return () => {};
+  }
+
+  /**
+   * Build request headers
+   */
+  _getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Build an error from a failed response, using the server's message when present
+   */
+  async _createResponseError(response, prefix) {
+    let detail = response.statusText;
+
+    try {
+      const data = await response.json();
+      detail = data.error?.message || data.error || detail;
+    } catch {
+      // Body is not JSON, keep the status text
+    }
+
+    return new Error(`${prefix}: ${response.status} ${detail}`.trim());
+  }
+
+  /**
+   * Normalize an OpenAI model entry to the shape returned by Ollama's /api/tags
+   */
+  _normalizeModel(model) {
+    return {
+      name: model.id,
+      model: model.id,
+      modified_at: model.created ? new Date(model.created * 1000).toISOString() : null,
+      size: 0,
+      details: {
+        owned_by: model.owned_by
+      }
+    };
+  }
+
+  /**
+   * Test connection to the server
+   */
+  async testConnection() {
+    try {
+      const response = await fetch(`${this.config.baseURL}${this.config.endpoints.models}`, {
+        method: 'GET',
+        headers: this._getHeaders(),
+        signal: AbortSignal.timeout(5000) // 5 second timeout for connection test
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        success: true,
+        models: (data.data || []).map(model => this._normalizeModel(model)),
+        message: 'Connected to OpenAI-compatible server successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to connect to OpenAI-compatible server'
+      };
+    }
+  }
+
+  /**
+   * Get available models
+   */
+  async getAvailableModels() {
+    try {
+      const response = await fetch(`${this.config.baseURL}${this.config.endpoints.models}`, {
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw await this._createResponseError(response, 'Failed to fetch models');
+      }
+
+      const data = await response.json();
+      return (data.data || []).map(model => this._normalizeModel(model));
+    } catch (error) {
+      console.error('Error fetching models:', error);
+      throw new Error('Failed to fetch available models');
+    }
+  }
+
+  /**
+   * Check if a specific model is available
+   */
+  async isModelAvailable(modelName) {
+    try {
+      const models = await this.getAvailableModels();
+      return models.some(model => model.name === modelName);
+    } catch (error) {
+      console.error('Error checking model availability:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Pulling is not part of the OpenAI protocol
+   */
+  async pullModel(modelName) {
+    return {
+      success: false,
+      error: `Model ${modelName} must be loaded on the server, pulling is not supported by OpenAI-compatible providers`
+    };
+  }
+
+  /**
+   * Deleting is not part of the OpenAI protocol
+   */
+  async deleteModel(modelName) {
+    return {
+      success: false,
+      error: `Model ${modelName} must be removed on the server, deleting is not supported by OpenAI-compatible providers`
+    };
+  }
+
+  /**
+   * Loaded models are not part of the OpenAI protocol
+   */
+  async getRunningModels() {
+    throw new Error('Running models are not reported by OpenAI-compatible providers');
+  }
+
+  /**
+   * The server decides which models are in memory
+   */
+  async loadModel(modelName) {
+    return {
+      success: false,
+      error: `Model ${modelName} is loaded by the server, preloading is not supported by OpenAI-compatible providers`
+    };
+  }
+
+  /**
+   * The server decides which models are in memory
+   */
+  async unloadModel(modelName) {
+    return {
+      success: false,
+      error: `Model ${modelName} is unloaded by the server, unloading is not supported by OpenAI-compatible providers`
+    };
+  }
+
+  /**
+   * Model details are not part of the OpenAI protocol
+   */
+  async getModelInfo(modelName) {
+    throw new Error(`Model information for ${modelName} is not available from OpenAI-compatible providers`);
+  }
+
+  /**
+   * Embed texts, returns one vector per input in input order
+   */
+  async embed(modelName, input, options = {}) {
+    try {
+      const response = await fetch(`${this.config.baseURL}${this.config.endpoints.embeddings}`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify({ model: modelName, input }),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        throw await this._createResponseError(response, 'Failed to embed');
+      }
+
+      const data = await response.json();
+      return [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } catch (error) {
+      console.error('Error embedding text:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert an Ollama-style message to the OpenAI format: images become
+   * image_url content parts, tool calls carry their arguments as a JSON
+   * string and tool results reference their call
+   */
+  _toRequestMessage(message) {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        content: message.content,
+        tool_call_id: message.tool_call_id
+      };
+    }
+
+    const requestMessage = { role: message.role, content: message.content };
+    if (message.images?.length) {
+      requestMessage.content = [
+        { type: 'text', text: message.content },
+        ...message.images.map(image => ({
+          type: 'image_url',
+          // Ollama-style images are bare base64, the data URL type is sniffed by servers
+          image_url: { url: `data:image/jpeg;base64,${image}` }
+        }))
+      ];
+    }
+
+    if (message.tool_calls?.length) {
+      requestMessage.tool_calls = message.tool_calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.function.name,
+          arguments: JSON.stringify(call.function.arguments || {})
+        }
+      }));
+    }
+
+    return requestMessage;
+  }
+
+  /**
+   * Convert accumulated OpenAI tool call deltas to Ollama-style tool calls
+   */
+  _toToolCalls(partialCalls) {
+    return partialCalls.filter(Boolean).map(call => {
+      let args = call.arguments;
+      try {
+        args = call.arguments ? JSON.parse(call.arguments) : {};
+      } catch {
+        // Left as a string, the tool registry reports invalid JSON
+      }
+
+      return {
+        id: call.id,
+        function: {
+          name: call.name,
+          arguments: args
+        }
+      };
+    });
+  }
+
+  /**
+   * Convert Ollama's `format` ('json' or a JSON Schema) to response_format
+   */
+  _toResponseFormat(format) {
+    if (format === 'json') {
+      return { type: 'json_object' };
+    }
+
+    return {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: format }
+    };
+  }
+
+  /**
+   * Generate chat completion
+   */
+  async generateChatCompletion(messages, options = {}) {
+    try {
+      const modelName = options.model || this.config.defaultModel;
+      const params = {
+        ...this.config.defaultParams,
+        ...options.params
+      };
+
+      // Generation params use Ollama's names, -1 means no length limit
+      if (params.num_predict !== undefined) {
+        params.max_tokens = params.num_predict > 0 ? params.num_predict : undefined;
+      }
+
+      const requestBody = {
+        model: modelName,
+        messages: messages.map(message => this._toRequestMessage(message)),
+        stream: options.stream !== false
+      };
+
+      if (options.tools?.length) {
+        requestBody.tools = options.tools;
+      }
+
+      if (options.format) {
+        requestBody.response_format = this._toResponseFormat(options.format);
+      }
+
+      SUPPORTED_PARAMS.forEach(key => {
+        if (params[key] !== undefined) {
+          requestBody[key] = params[key];
+        }
+      });
+
+      if (requestBody.stream) {
+        requestBody.stream_options = { include_usage: true };
+      }
+
+      const response = await fetch(`${this.config.baseURL}${this.config.endpoints.chat}`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        throw await this._createResponseError(response, 'OpenAI-compatible API error');
+      }
+
+      if (requestBody.stream) {
+        return this._handleStreamingResponse(response, modelName);
+      } else {
+        const data = await response.json();
+        const choice = data.choices?.[0] || {};
+        const message = {
+          role: choice.message?.role || 'assistant',
+          content: choice.message?.content || ''
+        };
+
+        if (choice.message?.tool_calls?.length) {
+          message.tool_calls = this._toToolCalls(choice.message.tool_calls.map(call => ({
+            id: call.id,
+            name: call.function?.name,
+            arguments: call.function?.arguments
+          })));
+        }
+
+        return {
+          success: true,
+          message,
+          model: data.model || modelName,
+          created_at: data.created ? new Date(data.created * 1000).toISOString() : new Date().toISOString(),
+          done: true
+        };
+      }
+    } catch (error) {
+      console.error('Error generating chat completion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a completion for a single prompt, without streaming
+   * Sent as a chat message, many servers no longer serve /v1/completions
+   */
+  async generateCompletion(prompt, options = {}) {
+    const { think: _think, keepAlive: _keepAlive, ...chatOptions } = options;
+    const result = await this.generateChatCompletion([{ role: 'user', content: prompt }], {
+      ...chatOptions,
+      stream: false
+    });
+
+    return {
+      success: true,
+      response: result.message.content,
+      model: result.model,
+      created_at: result.created_at,
+      done: true
+    };
+  }
+
+  /**
+   * Convert an SSE event payload to an Ollama-style chunk
+   */
+  _toChunk(data, modelName) {
+    if (data.error) {
+      throw new Error(`OpenAI-compatible stream error: ${data.error.message || data.error}`);
+    }
+
+    const choice = data.choices?.[0];
+    const chunk = {
+      model: data.model || modelName,
+      created_at: data.created ? new Date(data.created * 1000).toISOString() : new Date().toISOString(),
+      message: {
+        role: 'assistant',
+        content: choice?.delta?.content || ''
+      },
+      done: false
+    };
+
+    // llama.cpp and LM Studio stream reasoning separately from the answer
+    if (choice?.delta?.reasoning_content) {
+      chunk.message.thinking = choice.delta.reasoning_content;
+    }
+
+    if (data.usage) {
+      chunk.prompt_eval_count = data.usage.prompt_tokens;
+      chunk.eval_count = data.usage.completion_tokens;
+    }
+
+    if (choice?.finish_reason) {
+      chunk.done_reason = choice.finish_reason;
+    }
+
+    return chunk;
+  }
+
+  /**
+   * Handle Server-Sent Events streaming response
+   */
+  async _handleStreamingResponse(response, modelName) {
+    const toChunk = (data) => this._toChunk(data, modelName);
+    const toToolCalls = (partialCalls) => this._toToolCalls(partialCalls);
+
+    return {
+      success: true,
+      stream: async function* () {
+        let doneReason = null;
+        let usage = {};
+        // Tool calls arrive in fragments keyed by index, arguments as partial JSON
+        const partialCalls = [];
+
+        const doneChunk = () => {
+          const chunk = {
+            model: modelName,
+            message: { role: 'assistant', content: '' },
+            done: true,
+            done_reason: doneReason || 'stop',
+            ...usage
+          };
+          if (partialCalls.length > 0) {
+            chunk.message.tool_calls = toToolCalls(partialCalls);
+          }
+          chunk.stats = extractStreamStats(chunk);
+          return chunk;
+        };
+
+        for await (const rawLine of readLines(response.body)) {
+          const line = rawLine.trim();
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') {
+            yield doneChunk();
+            return;
+          }
+
+          let data;
+          try {
+            data = JSON.parse(payload);
+          } catch {
+            console.warn('Invalid JSON in stream:', payload);
+            continue;
+          }
+
+          (data.choices?.[0]?.delta?.tool_calls || []).forEach(delta => {
+            const index = delta.index ?? partialCalls.length;
+            const call = partialCalls[index] || (partialCalls[index] = { id: null, name: '', arguments: '' });
+            call.id = delta.id || call.id || `call_${index}`;
+            call.name += delta.function?.name || '';
+            call.arguments += delta.function?.arguments || '';
+          });
+
+          const chunk = toChunk(data);
+          doneReason = chunk.done_reason || doneReason;
+          if (chunk.eval_count !== undefined) {
+            usage = { prompt_eval_count: chunk.prompt_eval_count, eval_count: chunk.eval_count };
+          }
+          yield chunk;
+        }
+
+        // Server closed the stream without a [DONE] marker
+        yield doneChunk();
+      }
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,19 @@
+/**
+ * Model Pull Progress
+ * Progress lines of a model download, normalized for display
+ */
+
+/**
+ * Normalize an Ollama pull progress line
+ */
+export const toPullProgress = (modelName, data) => {
+  const hasTotal = Boolean(data.total);
+
+  return {
+    model: modelName,
+    status: data.status || 'pulling',
+    completed: data.completed || 0,
+    total: data.total || 0,
+    percent: hasTotal ? Math.round(((data.completed || 0) / data.total) * 100) : null
+  };
+};
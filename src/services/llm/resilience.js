@@ -0,0 +1,280 @@
+/**
+ * Request Resilience Utilities
+ * Timeouts, retry with exponential backoff and a circuit breaker
+ * for talking to LLM servers that may hang or go away
+ */
+
+/**
+ * Raised when a request or stream exceeds one of its time limits
+ */
+export class TimeoutError extends Error {
+  constructor(message, phase) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.phase = phase;
+  }
+}
+
+/**
+ * Raised when the circuit breaker refuses a request
+ */
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super('LLM server is unavailable, requests are paused until it recovers');
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Raised when the server cannot be reached, wrapping the TypeError fetch
+ * rejects with so it is not mistaken for a programming error
+ */
+export class NetworkError extends Error {
+  constructor(cause) {
+    super(cause?.message || 'Network request failed', { cause });
+    this.name = 'NetworkError';
+  }
+}
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Combine several abort signals into one, ignoring missing ones
+ */
+export const linkSignals = (...signals) => {
+  const activeSignals = signals.filter(Boolean);
+  if (activeSignals.length <= 1) {
+    return activeSignals[0];
+  }
+  return AbortSignal.any(activeSignals);
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ */
+export const sleep = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Whether an error means the server could not be reached in time
+ * (network failure or timeout) as opposed to a user abort, an HTTP error
+ * or a bug
+ */
+export const isTransientError = (error) => {
+  return error?.name === 'TimeoutError' || error?.name === 'NetworkError';
+};
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff
+ */
+export const withRetry = async (operation, {
+  maxAttempts = 3,
+  baseDelay = 500,
+  maxDelay = 8000,
+  signal,
+  shouldRetry = isTransientError
+} = {}) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      lastError = error;
+
+      if (attempt === maxAttempts || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // Full jitter keeps several tabs from retrying in lockstep
+      const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+      await sleep(Math.random() * delay, signal);
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * Circuit breaker that opens after repeated failures and lets a
+ * single probe through once the reset timeout has elapsed
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 3, resetTimeout = 15000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.retryAt = null;
+    this.listeners = new Set();
+    this.resetTimer = null;
+    // Half open lets one request through until it succeeds or fails
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Current state snapshot
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.retryAt
+    };
+  }
+
+  /**
+   * Subscribe to state changes, returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    const snapshot = this.getState();
+    this.listeners.forEach(listener => listener(snapshot));
+  }
+
+  /**
+   * Throw if requests are currently refused, claims the probe when half open
+   */
+  assertRequestAllowed() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      throw new CircuitOpenError(this.retryAt);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.probeInFlight) {
+        throw new CircuitOpenError(this.retryAt);
+      }
+      this.probeInFlight = true;
+    }
+  }
+
+  /**
+   * Free the probe of a request that ended without telling whether the
+   * server is healthy, e.g. a cancelled one
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.probeInFlight = false;
+    clearTimeout(this.resetTimer);
+    this.failures = 0;
+    this.retryAt = null;
+    this._setState(CIRCUIT_STATES.CLOSED);
+  }
+
+  /**
+   * Record a failed request, opening the circuit past the threshold
+   */
+  recordFailure() {
+    this.probeInFlight = false;
+    this.failures += 1;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this._open();
+    }
+  }
+
+  _open() {
+    clearTimeout(this.resetTimer);
+    this.retryAt = Date.now() + this.resetTimeout;
+    this._setState(CIRCUIT_STATES.OPEN);
+
+    this.resetTimer = setTimeout(() => {
+      this._setState(CIRCUIT_STATES.HALF_OPEN);
+    }, this.resetTimeout);
+  }
+}
+
+const toSeconds = (ms) => Math.ceil(ms / 1000);
+
+const STREAM_TIMEOUT_MESSAGES = {
+  'first token': (limit) => `No response from the model after ${toSeconds(limit)}s`,
+  idle: (limit) => `Stream stalled, no data received for ${toSeconds(limit)}s`,
+  total: (limit, total) => `Response exceeded the ${toSeconds(total)}s time limit`
+};
+
+/**
+ * Wrap an async iterable with time limits:
+ * - firstToken: time allowed until the first item
+ * - idle: time allowed between two items
+ * - total: time allowed for the whole stream
+ * onTimeout is called before the TimeoutError is thrown so the
+ * caller can abort the underlying request
+ */
+export async function* withStreamTimeouts(iterable, { firstToken, idle, total, onTimeout } = {}) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const startedAt = Date.now();
+  let received = false;
+
+  try {
+    while (true) {
+      const phaseLimit = received ? idle : firstToken;
+      const phase = received ? 'idle' : 'first token';
+      const remaining = total ? total - (Date.now() - startedAt) : Infinity;
+      const limit = Math.min(phaseLimit || Infinity, remaining);
+
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        if (limit === Infinity) return;
+
+        timer = setTimeout(() => {
+          const timedOutPhase = limit === remaining ? 'total' : phase;
+          reject(new TimeoutError(STREAM_TIMEOUT_MESSAGES[timedOutPhase](limit, total), timedOutPhase));
+        }, Math.max(limit, 0));
+      });
+
+      let result;
+      try {
+        result = await Promise.race([iterator.next(), timeout]);
+      } catch (error) {
+        if (error instanceof TimeoutError) {
+          onTimeout?.(error);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (result.done) return;
+
+      received = true;
+      yield result.value;
+    }
+  } finally {
+    await iterator.return?.();
+  }
+}
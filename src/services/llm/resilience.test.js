@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { OllamaClient } from './ollamaClient.js';
+import { getOllamaConfig } from './config.js';
+import { readLines } from './streamDecoder.js';
+import { NetworkError, TimeoutError, isTransientError } from './resilience.js';
+
+const createClient = (fetch) => new OllamaClient(getOllamaConfig({ baseURL: 'http://ollama.test', fetch }));
+
+describe('isTransientError', () => {
+  it('counts unreachable servers and timeouts, not bugs', () => {
+    expect(isTransientError(new NetworkError(new TypeError('Failed to fetch')))).toBe(true);
+    expect(isTransientError(new TimeoutError('too slow', 'request'))).toBe(true);
+    expect(isTransientError(new TypeError("Cannot read properties of null (reading 'getReader')"))).toBe(false);
+  });
+});
+
+describe('OllamaClient._fetch', () => {
+  it('wraps a fetch rejection in a NetworkError counted by the circuit breaker', async () => {
+    const client = createClient(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    await expect(client._fetch('/api/tags')).rejects.toMatchObject({ name: 'NetworkError', message: 'Failed to fetch' });
+    expect(client.circuitBreaker.getState().failures).toBe(1);
+  });
+
+  it('leaves errors thrown after the response arrived out of the circuit breaker', async () => {
+    const client = createClient(async () => new Response(null, { status: 200 }));
+
+    const response = await client._fetch('/api/tags');
+    expect(() => response.body.getReader()).toThrow(TypeError);
+    expect(client.circuitBreaker.getState().failures).toBe(0);
+  });
+});
+
+describe('readLines', () => {
+  it('turns a connection dropped mid-stream into a NetworkError', async () => {
+    let pulls = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        pulls += 1;
+        if (pulls === 1) {
+          controller.enqueue(new TextEncoder().encode('{"done":false}\n'));
+        } else {
+          controller.error(new TypeError('network error'));
+        }
+      }
+    });
+
+    const lines = [];
+    await expect((async () => {
+      for await (const line of readLines(body)) {
+        lines.push(line);
+      }
+    })()).rejects.toBeInstanceOf(NetworkError);
+    expect(lines).toEqual(['{"done":false}']);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Streaming Response Decoder
+ * Turns a fetch response body into complete lines and parsed NDJSON objects,
+ * buffering partial lines and multi-byte characters across network chunks
+ */
+
+import { NetworkError } from './resilience.js';
+
+/**
+ * Read the next chunk of a body, a connection dropped mid-stream becomes a NetworkError
+ */
+const readChunk = async (reader) => {
+  try {
+    return await reader.read();
+  } catch (error) {
+    throw error?.name === 'TypeError' ? new NetworkError(error) : error;
+  }
+};
+
+/**
+ * Read a response body line by line
+ */
+export async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await readChunk(reader);
+      if (done) break;
+
+      // stream: true keeps incomplete UTF-8 sequences for the next chunk
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        yield line;
+      }
+    }
+
+    // Flush whatever the server sent without a trailing newline
+    buffer += decoder.decode();
+    if (buffer) {
+      yield buffer;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Convert the final chunk's timing fields (nanoseconds) into a stats object
+ */
+export const extractStreamStats = (chunk) => {
+  const stats = {
+    totalDuration: chunk.total_duration ?? null,
+    loadDuration: chunk.load_duration ?? null,
+    promptEvalCount: chunk.prompt_eval_count ?? null,
+    promptEvalDuration: chunk.prompt_eval_duration ?? null,
+    evalCount: chunk.eval_count ?? null,
+    evalDuration: chunk.eval_duration ?? null,
+    doneReason: chunk.done_reason ?? null
+  };
+
+  stats.tokensPerSecond = stats.evalCount && stats.evalDuration
+    ? stats.evalCount / (stats.evalDuration / 1e9)
+    : null;
+
+  return stats;
+};
+
+const COUNTED_STATS = ['totalDuration', 'loadDuration', 'promptEvalCount', 'promptEvalDuration', 'evalCount', 'evalDuration'];
+
+/**
+ * Add the stats of another request to a running total, used when tool
+ * calls split one answer over several requests
+ */
+export const combineStreamStats = (total, stats) => {
+  if (!total) return stats;
+  if (!stats) return total;
+
+  const combined = { doneReason: stats.doneReason };
+  COUNTED_STATS.forEach(key => {
+    combined[key] = total[key] === null && stats[key] === null
+      ? null
+      : (total[key] || 0) + (stats[key] || 0);
+  });
+
+  combined.tokensPerSecond = combined.evalCount && combined.evalDuration
+    ? combined.evalCount / (combined.evalDuration / 1e9)
+    : null;
+
+  return combined;
+};
+
+/**
+ * Decode a newline-delimited JSON stream
+ * The final chunk (done: true) gets a `stats` field with its statistics
+ */
+export async function* decodeNDJSONStream(body) {
+  for await (const rawLine of readLines(body)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch {
+      console.warn('Invalid JSON in stream:', line);
+      continue;
+    }
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    if (data.done) {
+      data.stats = extractStreamStats(data);
+    }
+
+    yield data;
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * Structured Output
+ * Builds the `format` of a request from a chat's output settings and
+ * validates the returned JSON against its schema in the browser
+ */
+
+export const OUTPUT_FORMATS = {
+  // Any valid JSON
+  JSON: 'json',
+  // JSON matching a JSON Schema
+  SCHEMA: 'schema'
+};
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Field types offered by the schema builder
+ */
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'string[]', 'number[]'];
+
+/**
+ * Value of the `format` request option for a chat's output format
+ * ('json', a JSON Schema, or undefined for free text)
+ */
+export const toRequestFormat = (outputFormat) => {
+  if (outputFormat?.type === OUTPUT_FORMATS.JSON) {
+    return 'json';
+  }
+
+  if (outputFormat?.type === OUTPUT_FORMATS.SCHEMA && outputFormat.schema) {
+    return outputFormat.schema;
+  }
+
+  return undefined;
+};
+
+/**
+ * Build an object schema from builder fields ({ name, type, description, required })
+ */
+export const buildSchemaFromFields = (fields) => {
+  const properties = {};
+  const required = [];
+
+  fields.forEach(field => {
+    const name = field.name.trim();
+    if (!name) return;
+
+    const property = field.type.endsWith('[]')
+      ? { type: 'array', items: { type: field.type.slice(0, -2) } }
+      : { type: field.type };
+    if (field.description?.trim()) {
+      property.description = field.description.trim();
+    }
+
+    properties[name] = property;
+    if (field.required) {
+      required.push(name);
+    }
+  });
+
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  };
+};
+
+/**
+ * Parse a pasted JSON Schema
+ * @returns {{ schema: Object|null, error: string|null }}
+ */
+export const parseJsonSchema = (text) => {
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (error) {
+    return { schema: null, error: `Invalid JSON: ${error.message}` };
+  }
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return { schema: null, error: 'A schema must be a JSON object' };
+  }
+
+  const types = [].concat(schema.type ?? []);
+  const unknownType = types.find(type => !SCHEMA_TYPES.includes(type));
+  if (unknownType !== undefined) {
+    return { schema: null, error: `Unknown type "${unknownType}"` };
+  }
+
+  if (schema.properties !== undefined && (typeof schema.properties !== 'object' || Array.isArray(schema.properties))) {
+    return { schema: null, error: '"properties" must be an object' };
+  }
+
+  const circularRef = findCircularRef(schema);
+  if (circularRef) {
+    return { schema: null, error: `"${circularRef}" refers back to itself` };
+  }
+
+  return { schema, error: null };
+};
+
+/**
+ * Parse model output as JSON, tolerating a surrounding code fence
+ * @returns {{ value: *, error: string|null }}
+ */
+export const parseStructuredOutput = (content = '') => {
+  const text = content.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  if (!text) {
+    return { value: undefined, error: 'The response is empty' };
+  }
+
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (error) {
+    return { value: undefined, error: `The response is not valid JSON: ${error.message}` };
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return typeOf(value) === type;
+};
+
+/**
+ * Resolve a local reference such as #/$defs/address
+ */
+const resolveRef = (ref, root) => {
+  if (!ref.startsWith('#')) return null;
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' ? node[key] : undefined;
+  }, root) ?? null;
+};
+
+const isSchemaObject = (node) => Boolean(node) && typeof node === 'object' && !Array.isArray(node);
+
+const getCombinedSchemas = (schema) => [schema.allOf, schema.anyOf, schema.oneOf]
+  .filter(Array.isArray)
+  .flat()
+  .filter(isSchemaObject);
+
+/**
+ * Subschemas nested in a schema, whichever part of the value they apply to
+ */
+const getSubschemas = (schema) => [
+  ...Object.values(isSchemaObject(schema.properties) ? schema.properties : {}),
+  ...Object.values(isSchemaObject(schema.$defs) ? schema.$defs : {}),
+  ...Object.values(isSchemaObject(schema.definitions) ? schema.definitions : {}),
+  ...[].concat(schema.items ?? []),
+  schema.additionalProperties,
+  ...getCombinedSchemas(schema)
+].filter(isSchemaObject);
+
+/**
+ * First $ref that leads back to itself without going into a property or
+ * item, such as {"$ref": "#"}, null when there is none
+ */
+const findCircularRef = (root) => {
+  const visiting = new Set();
+  const done = new Set();
+
+  // Follows the schemas applied to the same value: $ref targets and combinators
+  const visit = (schema, lastRef) => {
+    if (visiting.has(schema)) return lastRef;
+    if (done.has(schema)) return null;
+
+    visiting.add(schema);
+    const target = typeof schema.$ref === 'string' ? resolveRef(schema.$ref, root) : null;
+    const circularRef = (isSchemaObject(target) && visit(target, schema.$ref))
+      || getCombinedSchemas(schema).reduce((found, subschema) => found || visit(subschema, lastRef), null);
+    visiting.delete(schema);
+    done.add(schema);
+    return circularRef;
+  };
+
+  const pending = [root];
+  const seen = new Set();
+  while (pending.length > 0) {
+    const schema = pending.pop();
+    if (seen.has(schema)) continue;
+    seen.add(schema);
+
+    const circularRef = visit(schema, null);
+    if (circularRef) return circularRef;
+    pending.push(...getSubschemas(schema));
+  }
+  return null;
+};
+
+/**
+ * @param {Set<Object>} refs - $ref targets being resolved for this value,
+ *   a target met again means the schema refers back to itself
+ */
+const validateNode = (value, schema, path, root, errors, refs = new Set()) => {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'No value is allowed here' });
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (!target) {
+      errors.push({ path, message: `Cannot resolve ${schema.$ref}` });
+      return;
+    }
+    if (refs.has(target)) {
+      errors.push({ path, message: `${schema.$ref} refers back to itself` });
+      return;
+    }
+    validateNode(value, target, path, root, errors, new Set(refs).add(target));
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `Expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      // Further keywords would only repeat the type mismatch
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path, message: `Must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `Must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push({ path, message: `Must match ${schema.pattern}` });
+        }
+      } catch {
+        // Patterns JavaScript cannot compile are not checked
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `Must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `Must be at most ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `Must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `Must be less than ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `Must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `Must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map(item => JSON.stringify(item)));
+      if (seen.size < value.length) {
+        errors.push({ path, message: 'Items must be unique' });
+      }
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}/${index}`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path, message: `Missing required property "${key}"` });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, item]) => {
+      const childPath = `${path}/${key}`;
+      if (key in properties) {
+        validateNode(item, properties[key], childPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: `Unexpected property "${key}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(item, schema.additionalProperties, childPath, root, errors);
+      }
+    });
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(subschema => validateNode(value, subschema, path, root, errors, refs));
+  }
+
+  const matchCount = (subschemas) => subschemas.filter(subschema => {
+    const subErrors = [];
+    validateNode(value, subschema, path, root, subErrors, refs);
+    return subErrors.length === 0;
+  }).length;
+
+  if (Array.isArray(schema.anyOf) && matchCount(schema.anyOf) === 0) {
+    errors.push({ path, message: 'Does not match any of the allowed schemas' });
+  }
+
+  if (Array.isArray(schema.oneOf) && matchCount(schema.oneOf) !== 1) {
+    errors.push({ path, message: 'Must match exactly one of the allowed schemas' });
+  }
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the keywords used for data extraction: type, enum, const,
+ * properties, required, additionalProperties, items, string, number and
+ * array bounds, allOf/anyOf/oneOf and local $ref. Others are ignored
+ * @returns {Array<{ path: string, message: string }>} - path is a JSON pointer, '' for the root
+ */
+export const validateJsonSchema = (value, schema) => {
+  const errors = [];
+  validateNode(value, schema, '', schema, errors);
+  return errors;
+};
+
+/**
+ * Parse and validate a structured response
+ * @returns {{ value: *, parseError: string|null, errors: Array }}
+ */
+export const evaluateStructuredOutput = (content, schema = null) => {
+  const { value, error } = parseStructuredOutput(content);
+  if (error) {
+    return { value, parseError: error, errors: [] };
+  }
+
+  return {
+    value,
+    parseError: null,
+    errors: schema ? validateJsonSchema(value, schema) : []
+  };
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseJsonSchema, validateJsonSchema } from './structuredOutput.js';
+
+const TREE_SCHEMA = {
+  $defs: {
+    node: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        children: { type: 'array', items: { $ref: '#/$defs/node' } }
+      },
+      required: ['name']
+    }
+  },
+  $ref: '#/$defs/node'
+};
+
+describe('validateJsonSchema', () => {
+  it('reports a $ref to the root instead of recursing', () => {
+    expect(validateJsonSchema({ a: 1 }, { $ref: '#' })).toEqual([
+      { path: '', message: '# refers back to itself' }
+    ]);
+  });
+
+  it('reports a $ref cycle through $defs and combinators', () => {
+    const schema = {
+      $defs: {
+        a: { allOf: [{ $ref: '#/$defs/b' }] },
+        b: { $ref: '#/$defs/a' }
+      },
+      $ref: '#/$defs/a'
+    };
+
+    expect(validateJsonSchema('value', schema).map(error => error.message)).toContain('#/$defs/a refers back to itself');
+  });
+
+  it('follows recursive schemas into nested values', () => {
+    expect(validateJsonSchema({ name: 'root', children: [{ name: 'leaf', children: [] }] }, TREE_SCHEMA)).toEqual([]);
+    expect(validateJsonSchema({ name: 'root', children: [{ children: [] }] }, TREE_SCHEMA)).toEqual([
+      { path: '/children/0', message: 'Missing required property "name"' }
+    ]);
+  });
+});
+
+describe('parseJsonSchema', () => {
+  it('rejects a schema that refers back to itself', () => {
+    expect(parseJsonSchema('{"$ref": "#"}')).toEqual({ schema: null, error: '"#" refers back to itself' });
+    expect(parseJsonSchema('{"$defs": {"a": {"$ref": "#/$defs/a"}}, "type": "object"}').error)
+      .toBe('"#/$defs/a" refers back to itself');
+  });
+
+  it('accepts recursive schemas that go into a property or item', () => {
+    expect(parseJsonSchema(JSON.stringify(TREE_SCHEMA))).toEqual({ schema: TREE_SCHEMA, error: null });
+  });
+});
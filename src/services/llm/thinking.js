@@ -0,0 +1,183 @@
+/**
+ * Thinking Output Handling
+ * Separates the model's reasoning from its answer, either from Ollama's
+ * native `thinking` stream field or from <think>/<answer> tags
+ */
+
+export const THINKING_MODES = {
+  // Model supports Ollama's `think` option and streams message.thinking
+  NATIVE: 'native',
+  // Model is prompted to wrap its output in <think>/<answer> tags
+  TAGS: 'tags',
+  // Output is constrained to JSON, so the model cannot be asked for tags
+  NONE: 'none'
+};
+
+/**
+ * Choose the thinking mode for a model from its metadata and the
+ * request's output format
+ */
+export const resolveThinkingMode = (metadata, format) => {
+  if (metadata?.capabilities?.thinking) {
+    return THINKING_MODES.NATIVE;
+  }
+
+  return format ? THINKING_MODES.NONE : THINKING_MODES.TAGS;
+};
+
+/**
+ * Instructions appended to the system prompt of models without native
+ * thinking, asking them to tag their reasoning and answer
+ */
+export const TAG_THINKING_INSTRUCTIONS = `Before answering, think the question through inside <think></think> tags. Then write your final response inside <answer></answer> tags. Everything the user should read belongs in the answer tag.
+
+Example:
+User: What is the capital of France?
+Assistant: <think>
+The user asks for the capital of France, which is Paris.
+</think>
+<answer>
+The capital of France is Paris.
+</answer>`;
+
+/**
+ * Add the output format instructions the thinking mode needs to a system prompt
+ */
+export const composeSystemPrompt = (systemPrompt = '', mode) => {
+  if (mode !== THINKING_MODES.TAGS) {
+    return systemPrompt;
+  }
+
+  return systemPrompt
+    ? `${systemPrompt}\n\n${TAG_THINKING_INSTRUCTIONS}`
+    : TAG_THINKING_INSTRUCTIONS;
+};
+
+/**
+ * Parse thinking and answer sections from tagged content
+ * Falls back to keyword heuristics when the model ignored the tags
+ */
+export const parseThinkingAndAnswer = (content) => {
+  // First, check if we have any structured tags at all
+  const hasThinkingTag = content.includes('<think>');
+  const hasAnswerTag = content.includes('<answer>');
+  
+  // If we have structured format, parse it properly
+  if (hasThinkingTag || hasAnswerTag) {
+    const thinkingMatch = content.match(/<think>([\s\S]*?)<\/think>/);
+    const answerMatch = content.match(/<answer>([\s\S]*?)<\/answer>/);
+    
+    // For partial content (streaming), handle incomplete tags
+    const partialThinking = content.match(/<think>([\s\S]*?)(?:<\/think>|$)/);
+    const partialAnswer = content.match(/<answer>([\s\S]*?)(?:<\/answer>|$)/);
+    
+    const result = {
+      thinking: (thinkingMatch ? thinkingMatch[1] : (partialThinking ? partialThinking[1] : '')).trim(),
+      answer: (answerMatch ? answerMatch[1] : (partialAnswer ? partialAnswer[1] : '')).trim()
+    };
+    
+    return result;
+  }
+  
+  // No structured format detected - be conservative about what we show as answer
+  const trimmedContent = content.trim();
+  
+  // For unstructured content, we need to be careful:
+  // - During streaming, early content might be thinking process
+  // - Only show as answer when it looks like a complete final response
+  
+  // If content is very short, likely still building up - put in thinking
+  if (trimmedContent.length < 20) {
+    return {
+      thinking: trimmedContent,
+      answer: ''
+    };
+  }
+  
+  // For unstructured content, we need balanced logic:
+  // - During streaming, early content is usually thinking
+  // - Final complete responses should show as answers
+  // - Use content analysis to determine the right classification
+  
+  const lowerContent = trimmedContent.toLowerCase();
+  
+  // Thinking indicators - content that suggests reasoning process
+  const thinkingIndicators = [
+    'let me think',
+    'i need to',
+    'let me consider',
+    'i should',
+    'first,',
+    'step 1',
+    'step by step',
+    'let me work',
+    'thinking about',
+    'analyzing',
+    'considering'
+  ];
+  
+  // Answer indicators - content that suggests final response
+  const answerIndicators = [
+    'final answer',
+    'equals',
+    'is equal to', 
+    'the result is',
+    'therefore',
+    'in conclusion',
+    'finally',
+    '=',
+    'is:',
+    'answer:'
+  ];
+  
+  const hasThinkingIndicators = thinkingIndicators.some(indicator => 
+    lowerContent.includes(indicator)
+  );
+  
+  const hasAnswerIndicators = answerIndicators.some(indicator => 
+    lowerContent.includes(indicator)
+  );
+  
+  // Decision logic:
+  // 1. If has answer indicators → definitely answer
+  // 2. If has thinking indicators but no answer indicators → thinking  
+  // 3. If very short (< 20 chars) → likely still building, put in thinking
+  // 4. If longer and no clear indicators → check if it looks complete
+  
+  if (hasAnswerIndicators) {
+    const result = { thinking: '', answer: trimmedContent };
+    return result;
+  }
+  
+  if (hasThinkingIndicators) {
+    const result = { thinking: trimmedContent, answer: '' };
+    return result;
+  }
+  
+  // For content without clear indicators, be conservative during streaming
+  // Short content likely still building → thinking
+  // Longer content that looks complete → answer
+  if (trimmedContent.length < 30) {
+    const result = { thinking: trimmedContent, answer: '' };
+    return result;
+  }
+  
+  // Longer content without thinking indicators → probably final answer
+  const result = { thinking: '', answer: trimmedContent };
+  return result;
+};
+
+/**
+ * Split accumulated stream output into thinking and answer
+ * Native reasoning arrives separately, tagged output has to be parsed
+ */
+export const separateThinking = (content, nativeThinking, mode) => {
+  if (mode !== THINKING_MODES.TAGS || nativeThinking) {
+    return {
+      thinking: nativeThinking.trim(),
+      answer: content.trim()
+    };
+  }
+
+  return parseThinkingAndAnswer(content);
+};
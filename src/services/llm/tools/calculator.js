@@ -0,0 +1,204 @@
+/**
+ * Calculator Tool
+ * Evaluates arithmetic with a small recursive descent parser, never eval()
+ */
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+/**
+ * Split an expression into number, name, operator and parenthesis tokens
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+
+    if (!match) {
+      if (expression.slice(start).trim() === '') break;
+      throw new Error(`Unexpected character "${expression.slice(start).trim()[0]}"`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Evaluate an arithmetic expression
+ * Supports + - * / % ^, parentheses, constants (pi, e) and common Math functions
+ */
+export const evaluateExpression = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[position++].value;
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[position++].value;
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  // unary := ('-' | '+') unary | power
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      position++;
+      return -parseUnary();
+    }
+    if (isOperator('+')) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary ('^' unary)?, right associative
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      position++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function '(' args ')' | '(' expression ')'
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (token.value in CONSTANTS) {
+        return CONSTANTS[token.value];
+      }
+
+      const fn = FUNCTIONS[token.value];
+      if (!fn) {
+        throw new Error(`Unknown name "${token.value}"`);
+      }
+
+      expect('(');
+      const args = [parseExpression()];
+      while (isOperator(',')) {
+        position++;
+        args.push(parseExpression());
+      }
+      expect(')');
+      return fn(...args);
+    }
+
+    if (isOperator('(')) {
+      position++;
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Expression is empty');
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+
+  if (!isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+
+  return result;
+};
+
+export const calculatorTool = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and functions such as sqrt, abs, round, sin, cos, log (base 10), ln, min and max.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(12.5 * 4) / sqrt(16)"'
+      }
+    },
+    required: ['expression']
+  },
+  handler: ({ expression }) => ({
+    expression,
+    result: evaluateExpression(expression)
+  })
+};
+
+export default calculatorTool;
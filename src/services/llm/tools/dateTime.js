@@ -0,0 +1,41 @@
+/**
+ * Date and Time Tool
+ * Gives the model the current date and time, which it cannot know otherwise
+ */
+
+export const dateTimeTool = {
+  name: 'get_current_datetime',
+  description: 'Get the current date, time, weekday and time zone of the user.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'Optional IANA time zone, e.g. "Europe/Paris". Defaults to the user\'s time zone.'
+      }
+    }
+  },
+  handler: ({ timeZone }) => {
+    const now = new Date();
+    const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    let formatted;
+    try {
+      formatted = now.toLocaleString('en-US', {
+        timeZone: zone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      });
+    } catch {
+      throw new Error(`Unknown time zone: ${zone}`);
+    }
+
+    return {
+      iso: now.toISOString(),
+      local: formatted,
+      timeZone: zone
+    };
+  }
+};
+
+export default dateTimeTool;
@@ -0,0 +1,24 @@
+/**
+ * LLM Tools Entry Point
+ * Exports the registry class and a shared registry holding the built-in tools
+ */
+
+import { ToolRegistry } from './registry.js';
+import { calculatorTool } from './calculator.js';
+import { dateTimeTool } from './dateTime.js';
+import { searchChatsTool } from './searchChats.js';
+import { readAttachmentTool } from './readAttachment.js';
+
+export { ToolRegistry, parseToolArguments, validateToolArguments } from './registry.js';
+export { evaluateExpression } from './calculator.js';
+
+export const BUILT_IN_TOOLS = [
+  calculatorTool,
+  dateTimeTool,
+  searchChatsTool,
+  readAttachmentTool
+];
+
+export const toolRegistry = new ToolRegistry(BUILT_IN_TOOLS);
+
+export default toolRegistry;
@@ -0,0 +1,51 @@
+/**
+ * Attachment Reader Tool
+ * Reads files attached to the conversation on request, so large files do
+ * not have to be sent with every message
+ */
+
+const MAX_CHUNK_LENGTH = 8000;
+
+export const readAttachmentTool = {
+  name: 'read_attachment',
+  description: 'Read the text of a file the user attached to this conversation. Long files are returned in parts, use offset to read further.',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'File name of the attachment'
+      },
+      offset: {
+        type: 'integer',
+        description: 'Character offset to start reading from, defaults to 0'
+      }
+    },
+    required: ['name']
+  },
+  handler: ({ name, offset = 0 }, context = {}) => {
+    const attachments = (context.attachments || []).filter(attachment => typeof attachment.text === 'string');
+    if (attachments.length === 0) {
+      throw new Error('No readable files are attached to this conversation');
+    }
+
+    const attachment = attachments.find(item => item.name === name)
+      || attachments.find(item => item.name.toLowerCase() === name.toLowerCase());
+    if (!attachment) {
+      throw new Error(`No attachment named "${name}". Attached files: ${attachments.map(item => item.name).join(', ')}`);
+    }
+
+    const start = Math.max(0, offset);
+    const end = Math.min(attachment.text.length, start + MAX_CHUNK_LENGTH);
+
+    return {
+      name: attachment.name,
+      offset: start,
+      totalLength: attachment.text.length,
+      text: attachment.text.slice(start, end),
+      nextOffset: end < attachment.text.length ? end : null
+    };
+  }
+};
+
+export default readAttachmentTool;
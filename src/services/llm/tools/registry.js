@@ -0,0 +1,153 @@
+/**
+ * Tool Registry
+ * Tools declare a JSON schema for their arguments and a JS handler that
+ * runs in the browser when the model calls them
+ */
+
+// JSON schema types checked before a handler runs
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !isNaN(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * Models sometimes send arguments as a JSON string instead of an object
+ */
+export const parseToolArguments = (args) => {
+  if (typeof args !== 'string') {
+    return args || {};
+  }
+
+  try {
+    return args.trim() ? JSON.parse(args) : {};
+  } catch {
+    throw new Error('Tool arguments are not valid JSON');
+  }
+};
+
+/**
+ * Check arguments against the top level of a tool's parameter schema
+ */
+export const validateToolArguments = (schema = {}, args) => {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach(key => {
+    if (args[key] === undefined || args[key] === null) {
+      errors.push(`${key} is required`);
+    }
+  });
+
+  Object.entries(args).forEach(([key, value]) => {
+    const property = properties[key];
+    if (!property || value === undefined || value === null) return;
+
+    const check = TYPE_CHECKS[property.type];
+    if (check && !check(value)) {
+      errors.push(`${key} must be of type ${property.type}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${key} must be one of ${property.enum.join(', ')}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Register a tool { name, description, parameters, handler }
+   */
+  register(tool) {
+    if (!tool?.name || !/^[a-zA-Z0-9_-]+$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} has no handler`);
+    }
+
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+
+    return () => this.unregister(tool.name);
+  }
+
+  /**
+   * Remove a tool
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Get a tool by name
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * List registered tools
+   */
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * Tool declarations for the `tools` field of a chat request, in the
+   * format shared by Ollama and OpenAI
+   */
+  toRequestTools(names = null) {
+    return this.list()
+      .filter(tool => !names || names.includes(tool.name))
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+  }
+
+  /**
+   * Run a tool call, errors are returned rather than thrown so they can
+   * be reported back to the model
+   * @returns {{ success: boolean, result?: any, error?: string }}
+   */
+  async execute(name, rawArgs, context = {}) {
+    const tool = this.get(name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      const args = parseToolArguments(rawArgs);
+      const validation = validateToolArguments(tool.parameters, args);
+      if (!validation.isValid) {
+        return { success: false, error: `Invalid arguments: ${validation.errors.join(', ')}` };
+      }
+
+      const result = await tool.handler(args, context);
+      return { success: true, result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default ToolRegistry;
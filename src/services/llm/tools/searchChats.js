@@ -0,0 +1,74 @@
+/**
+ * Chat Search Tool
+ * Lets the model look up what was said in the user's earlier conversations
+ */
+
+import { chatHistoryStorage, chatMessagesStorage } from '../../storage/index.js';
+
+const MAX_RESULTS = 5;
+const EXCERPT_RADIUS = 150;
+
+/**
+ * Cut a window of text around the first match
+ */
+const createExcerpt = (content, index, length) => {
+  const start = Math.max(0, index - EXCERPT_RADIUS);
+  const end = Math.min(content.length, index + length + EXCERPT_RADIUS);
+  return `${start > 0 ? '...' : ''}${content.slice(start, end)}${end < content.length ? '...' : ''}`;
+};
+
+export const searchChatsTool = {
+  name: 'search_chats',
+  description: 'Search the user\'s past conversations for a word or phrase. Returns matching message excerpts with the chat title and date.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Text to look for, matched case-insensitively'
+      },
+      limit: {
+        type: 'integer',
+        description: `Maximum number of results, up to ${MAX_RESULTS}`
+      }
+    },
+    required: ['query']
+  },
+  handler: ({ query, limit = MAX_RESULTS }, context = {}) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      throw new Error('Query is empty');
+    }
+
+    const maxResults = Math.min(Math.max(limit, 1), MAX_RESULTS);
+    const chats = chatHistoryStorage.load();
+    const messagesByChat = chatMessagesStorage.loadAll();
+    const results = [];
+
+    for (const chat of chats) {
+      // The current conversation is already in the model's context
+      if (chat.id === context.chatId) continue;
+
+      for (const message of messagesByChat[chat.id] || []) {
+        const content = message.content || '';
+        const index = content.toLowerCase().indexOf(needle);
+        if (index === -1) continue;
+
+        results.push({
+          chat: chat.title,
+          date: chat.lastMessageAt || chat.createdAt || null,
+          role: message.type === 'user' ? 'user' : 'assistant',
+          excerpt: createExcerpt(content, index, needle.length)
+        });
+
+        if (results.length >= maxResults) {
+          return { query, results };
+        }
+      }
+    }
+
+    return { query, results };
+  }
+};
+
+export default searchChatsTool;
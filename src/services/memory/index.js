@@ -0,0 +1,19 @@
+/**
+ * Memory Services Entry Point
+ * Exports the long-term memory service and its helpers
+ */
+
+export { MemoryService, memoryService } from './memoryService.js';
+export {
+  DEFAULT_MEMORY_LIMIT,
+  MEMORY_MAX_LENGTH,
+  EXTRACTION_SCHEMA,
+  createMemory,
+  validateMemory,
+  selectRelevantMemories,
+  appendMemories,
+  createExtractionRequest,
+  parseExtractedFacts
+} from './memories.js';
+
+export { default } from './memoryService.js';
@@ -0,0 +1,176 @@
+/**
+ * Memory Helpers
+ * Prompts for extracting facts about the user, and selection and formatting
+ * of the facts sent with a request
+ */
+
+// Facts sent with a request, all of them while there are no more than this
+export const DEFAULT_MEMORY_LIMIT = 8;
+
+export const MEMORY_MAX_LENGTH = 200;
+
+// Known facts listed in the extraction prompt so they are not extracted again
+const KNOWN_FACTS_IN_PROMPT = 40;
+
+// Characters of each message facts are extracted from
+const EXCERPT_LENGTH = 2000;
+
+// Common words that say nothing about relevance
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'have', 'has',
+  'was', 'were', 'what', 'when', 'where', 'which', 'who', 'how', 'can', 'could', 'would', 'should',
+  'about', 'from', 'they', 'them', 'their', 'there', 'here', 'into', 'some', 'any', 'all', 'user',
+  'likes', 'uses', 'wants', 'does', 'did', 'its', 'also', 'just', 'like', 'use', 'want'
+]);
+
+/**
+ * JSON Schema of the extraction answer
+ */
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    facts: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['facts']
+};
+
+const EXTRACTION_INSTRUCTIONS = `You maintain a memory of durable facts about the user, used to personalize future conversations.
+Read the latest exchange and list new facts worth remembering: preferences, ongoing projects, names of people, pets or places, their job, tools and languages they use.
+Rules:
+- Only facts the user stated or clearly implied about themselves, never facts about the world or the assistant
+- Skip passing details, questions, requests for the current task and anything already known
+- Each fact is one short sentence in the third person, starting with "The user", in the language of the conversation
+- Answer with JSON: {"facts": [...]}, an empty list when there is nothing new`;
+
+/**
+ * Create an empty memory
+ */
+export const createMemory = ({ text, sourceChatId = null }) => ({
+  id: `memory-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  text: text.trim(),
+  sourceChatId,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Validate a memory before saving
+ * @returns {{ isValid: boolean, errors: Object<string, string> }}
+ */
+export const validateMemory = (memory) => {
+  const errors = {};
+  const text = memory.text?.trim();
+
+  if (!text) {
+    errors.text = 'The memory is empty';
+  } else if (text.length > MEMORY_MAX_LENGTH) {
+    errors.text = `Keep memories under ${MEMORY_MAX_LENGTH} characters`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Lowercase words of a text that carry meaning
+ */
+const toKeywords = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+};
+
+/**
+ * Normalized text, to spot facts that are already known
+ */
+export const normalizeMemoryText = (text) => {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+};
+
+/**
+ * Pick the memories most relevant to a message: all of them while there
+ * are few, otherwise those sharing the most words with it, newest first on ties
+ */
+export const selectRelevantMemories = (memories, query, limit = DEFAULT_MEMORY_LIMIT) => {
+  const newestFirst = [...memories].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  if (newestFirst.length <= limit) {
+    return newestFirst;
+  }
+
+  const queryWords = toKeywords(query);
+  return newestFirst
+    .map((memory, index) => {
+      const words = toKeywords(memory.text);
+      const overlap = [...words].filter(word => queryWords.has(word)).length;
+      return { memory, index, overlap };
+    })
+    .sort((a, b) => b.overlap - a.overlap || a.index - b.index)
+    .slice(0, limit)
+    .map(({ memory }) => memory);
+};
+
+/**
+ * Add the remembered facts to a system prompt
+ */
+export const appendMemories = (systemPrompt, memories) => {
+  if (memories.length === 0) {
+    return systemPrompt;
+  }
+
+  const facts = memories.map(memory => `- ${memory.text}`).join('\n');
+  const memoryContext = `What you remember about the user from earlier conversations, use it when it helps and do not mention it otherwise:\n${facts}`;
+
+  return systemPrompt ? `${systemPrompt}\n\n${memoryContext}` : memoryContext;
+};
+
+const toExcerpt = (text) => {
+  const trimmed = (text || '').trim();
+  return trimmed.length > EXCERPT_LENGTH ? `${trimmed.substring(0, EXCERPT_LENGTH)}...` : trimmed;
+};
+
+/**
+ * Build the request extracting new facts from an exchange
+ * @param {Array} exchange - UI messages ({ type, content })
+ * @param {Array} knownMemories - memories the model should not repeat
+ */
+export const createExtractionRequest = (exchange, knownMemories = []) => {
+  const known = knownMemories
+    .slice(-KNOWN_FACTS_IN_PROMPT)
+    .map(memory => `- ${memory.text}`)
+    .join('\n');
+  const transcript = exchange
+    .map(message => `${message.type === 'user' ? 'User' : 'Assistant'}: ${toExcerpt(message.content)}`)
+    .join('\n\n');
+
+  return [
+    { role: 'system', content: EXTRACTION_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `Already known:\n${known || '(nothing yet)'}\n\nLatest exchange:\n${transcript}`
+    }
+  ];
+};
+
+/**
+ * Read the facts of an extraction answer, ignoring anything malformed
+ */
+export const parseExtractedFacts = (text) => {
+  const answer = (text || '').replace(/<think>[\s\S]*?<\/think>/g, '');
+  const json = answer.slice(answer.indexOf('{'), answer.lastIndexOf('}') + 1);
+
+  try {
+    const facts = JSON.parse(json).facts;
+    return Array.isArray(facts)
+      ? facts
+        .filter(fact => typeof fact === 'string')
+        .map(fact => fact.trim())
+        .filter(fact => fact && fact.length <= MEMORY_MAX_LENGTH)
+      : [];
+  } catch {
+    return [];
+  }
+};
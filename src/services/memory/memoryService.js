@@ -0,0 +1,154 @@
+/**
+ * Memory Service
+ * Long-term memory of facts about the user: learns them from finished
+ * exchanges and provides the relevant ones to new requests
+ */
+
+import { llmService } from '../llm/index.js';
+import { memoryStorage } from '../storage/index.js';
+import {
+  DEFAULT_MEMORY_LIMIT,
+  EXTRACTION_SCHEMA,
+  createExtractionRequest,
+  createMemory,
+  normalizeMemoryText,
+  parseExtractedFacts,
+  selectRelevantMemories,
+  validateMemory
+} from './memories.js';
+
+// User messages shorter than this rarely say anything lasting
+const MIN_WORDS_TO_EXTRACT = 4;
+
+export class MemoryService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - storage with load, saveMemory and deleteMemory
+   * @param {Function} options.complete - (messages, options) => non-streamed chat response
+   */
+  constructor({
+    store = memoryStorage,
+    complete = (messages, options) => llmService.sendMessage(messages, { ...options, stream: false })
+  } = {}) {
+    this.store = store;
+    this.complete = complete;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to memory changes, returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit() {
+    const memories = this.getMemories();
+    this.listeners.forEach(listener => listener(memories));
+  }
+
+  /**
+   * All memories, oldest first
+   */
+  getMemories() {
+    return this.store.load();
+  }
+
+  /**
+   * Memories to send with a message, see selectRelevantMemories
+   */
+  getRelevant(query, limit = DEFAULT_MEMORY_LIMIT) {
+    return selectRelevantMemories(this.getMemories(), query, limit);
+  }
+
+  /**
+   * Create or update a memory
+   */
+  saveMemory(memory) {
+    const validation = validateMemory(memory);
+    if (!validation.isValid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    const savedMemory = memory.id
+      ? { ...memory, text: memory.text.trim(), updatedAt: new Date().toISOString() }
+      : createMemory(memory);
+
+    if (!this.store.saveMemory(savedMemory)) {
+      throw new Error('Failed to save memory');
+    }
+
+    this._emit();
+    return savedMemory;
+  }
+
+  /**
+   * Forget a memory
+   */
+  deleteMemory(memoryId) {
+    const success = this.store.deleteMemory(memoryId);
+    if (success) {
+      this._emit();
+    }
+    return success;
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    const success = this.store.save([]);
+    if (success) {
+      this._emit();
+    }
+    return success;
+  }
+
+  /**
+   * Learn new facts from a finished exchange of a chat
+   * @param {number} chatId - chat the facts are linked to
+   * @param {Array} exchange - the user message and the answer, UI messages
+   * @param {Object} options - { model, keepAlive, endpointId, signal }
+   * @returns {Array} the memories added
+   */
+  async learn(chatId, exchange, options = {}) {
+    const userText = exchange.find(message => message.type === 'user')?.content || '';
+    if (userText.trim().split(/\s+/).length < MIN_WORDS_TO_EXTRACT) {
+      return [];
+    }
+
+    const known = this.getMemories();
+    const metadata = await llmService.getModelMetadata(options.model);
+    const response = await this.complete(createExtractionRequest(exchange, known), {
+      ...options,
+      format: EXTRACTION_SCHEMA,
+      // Reasoning would only delay a short answer like this
+      think: metadata.capabilities.thinking ? false : undefined,
+      params: { temperature: 0.1, num_predict: 300 }
+    });
+
+    const knownTexts = new Set(known.map(memory => normalizeMemoryText(memory.text)));
+    const added = [];
+
+    parseExtractedFacts(response.message?.content).forEach(text => {
+      const normalized = normalizeMemoryText(text);
+      if (knownTexts.has(normalized)) return;
+
+      knownTexts.add(normalized);
+      const memory = createMemory({ text, sourceChatId: chatId });
+      if (this.store.saveMemory(memory)) {
+        added.push(memory);
+      }
+    });
+
+    if (added.length > 0) {
+      this._emit();
+    }
+    return added;
+  }
+}
+
+// Create and export singleton instance
+export const memoryService = new MemoryService();
+export default memoryService;
@@ -0,0 +1,99 @@
+/**
+ * Slash Commands
+ * Built-in commands typed in the chat input, and the suggestions of the
+ * autocomplete menu shown while typing them
+ */
+
+// Most suggestions shown at once
+export const MAX_SUGGESTIONS = 8;
+
+/**
+ * Commands handled by the chat view, args describes what follows the name
+ */
+export const BUILT_IN_COMMANDS = [
+  { name: 'new', description: 'Start a new chat' },
+  { name: 'model', args: '<name>', description: 'Switch to another model', requiresArgs: true },
+  { name: 'system', args: '[prompt]', description: 'Set the system prompt, or open it without one' },
+  { name: 'clear', description: 'Delete the messages of this chat' },
+  { name: 'export', description: 'Download this chat as Markdown' },
+  { name: 'summarize', description: 'Ask for a summary of the conversation so far' }
+];
+
+// Message sent by /summarize
+export const SUMMARIZE_PROMPT = 'Summarize our conversation so far: the main topics, what was decided and any open questions.';
+
+export const BUILT_IN_COMMAND_NAMES = BUILT_IN_COMMANDS.map(command => command.name);
+
+const COMMAND_PATTERN = /^\/([a-z0-9][a-z0-9-]*)(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Read a slash command from the input
+ * @returns {{ type: 'command'|'template', name: string, args: string, command?: Object, template?: Object }|null}
+ *   null when the input is a plain message, unknown names included
+ */
+export const parseCommand = (input, templates = []) => {
+  const match = input.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const args = match[2]?.trim() || '';
+
+  const command = BUILT_IN_COMMANDS.find(item => item.name === name);
+  if (command) {
+    return { type: 'command', name, args, command };
+  }
+
+  const template = templates.find(item => item.name === name);
+  if (template) {
+    return { type: 'template', name, args, template };
+  }
+
+  return null;
+};
+
+/**
+ * Suggestions for what is being typed: commands and templates while the
+ * name is typed, installed models after /model
+ */
+export const getCommandSuggestions = (input, { templates = [], models = [] } = {}) => {
+  const nameMatch = input.match(/^\/([a-z0-9-]*)$/i);
+  if (nameMatch) {
+    const partial = nameMatch[1].toLowerCase();
+    const commands = BUILT_IN_COMMANDS
+      .filter(command => command.name.startsWith(partial))
+      .map(command => ({
+        id: `command:${command.name}`,
+        type: 'command',
+        name: command.name,
+        args: command.args,
+        description: command.description,
+        command
+      }));
+    const userTemplates = templates
+      .filter(template => template.name.startsWith(partial))
+      .map(template => ({
+        id: `template:${template.id}`,
+        type: 'template',
+        name: template.name,
+        description: template.description || template.content,
+        template
+      }));
+
+    return [...commands, ...userTemplates].slice(0, MAX_SUGGESTIONS);
+  }
+
+  const modelMatch = input.match(/^\/model\s+(\S*)$/i);
+  if (modelMatch) {
+    const partial = modelMatch[1].toLowerCase();
+    return models
+      .filter(model => model.toLowerCase().includes(partial))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(model => ({
+        id: `model:${model}`,
+        type: 'model',
+        name: model
+      }));
+  }
+
+  return [];
+};
@@ -0,0 +1,24 @@
+/**
+ * Prompt Services Entry Point
+ * Exports the slash commands and prompt templates of the chat input
+ */
+
+export {
+  MAX_SUGGESTIONS,
+  BUILT_IN_COMMANDS,
+  BUILT_IN_COMMAND_NAMES,
+  SUMMARIZE_PROMPT,
+  parseCommand,
+  getCommandSuggestions
+} from './commands.js';
+
+export {
+  TEMPLATE_EXPORT_VERSION,
+  TEMPLATE_NAME_PATTERN,
+  createTemplate,
+  validateTemplate,
+  getTemplateVariables,
+  fillTemplate,
+  exportTemplates,
+  parseTemplateImport
+} from './templates.js';
@@ -0,0 +1,107 @@
+/**
+ * Prompt Templates
+ * Saved prompts inserted from the chat input as /name, with {{variables}}
+ * filled in before sending
+ */
+
+// Version of the shared library format
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// Template names are typed after the slash
+export const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Create an empty template for the editor
+ */
+export const createTemplate = () => ({
+  id: `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: '',
+  description: '',
+  content: '',
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Validate a template before saving
+ * @param {Object} template
+ * @param {Object} options - templates: saved templates, reservedNames: built-in commands
+ * @returns {{ isValid: boolean, errors: Object<string, string> }}
+ */
+export const validateTemplate = (template, { templates = [], reservedNames = [] } = {}) => {
+  const errors = {};
+  const name = template.name?.trim().toLowerCase() || '';
+
+  if (!name) {
+    errors.name = 'Name is required';
+  } else if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    errors.name = 'Use lowercase letters, numbers and dashes only';
+  } else if (reservedNames.includes(name)) {
+    errors.name = `/${name} is a built-in command`;
+  } else if (templates.some(item => item.id !== template.id && item.name === name)) {
+    errors.name = `/${name} is already used by another template`;
+  }
+
+  if (!template.content?.trim()) {
+    errors.content = 'Prompt is required';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Variable names of a template, in order of first use
+ */
+export const getTemplateVariables = (content = '') => {
+  const names = [...content.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  return [...new Set(names)];
+};
+
+/**
+ * Replace every {{variable}} with its value
+ */
+export const fillTemplate = (content, values = {}) => {
+  return content.replace(VARIABLE_PATTERN, (match, name) => values[name] ?? match);
+};
+
+/**
+ * Serialize templates for sharing
+ */
+export const exportTemplates = (templates) => {
+  return JSON.stringify({
+    version: TEMPLATE_EXPORT_VERSION,
+    templates: templates.map(({ name, description, content }) => ({ name, description, content }))
+  }, null, 2);
+};
+
+/**
+ * Read templates shared with exportTemplates, or a plain array of them
+ * @returns {Object[]} Templates with new ids, not yet validated
+ * @throws {Error} When the JSON is not a template library
+ */
+export const parseTemplateImport = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const items = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(items)) {
+    throw new Error('The file does not contain prompt templates');
+  }
+
+  return items
+    .filter(item => typeof item?.name === 'string' && typeof item?.content === 'string')
+    .map(item => ({
+      ...createTemplate(),
+      name: item.name.trim().toLowerCase(),
+      description: typeof item.description === 'string' ? item.description : '',
+      content: item.content
+    }));
+};
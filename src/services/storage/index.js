@@ -7,6 +7,11 @@ export {
   chatHistoryStorage,
   chatMessagesStorage,
   appSettingsStorage,
+  presetStorage,
+  personaStorage,
+  endpointStorage,
+  memoryStorage,
+  promptTemplateStorage,
   storageUtils
 } from './localStorage.js';
 
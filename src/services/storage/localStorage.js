@@ -6,7 +6,12 @@
 const STORAGE_KEYS = {
   CHAT_HISTORY: 'personalChatbot_chatHistory',
   CHAT_MESSAGES: 'personalChatbot_chatMessages',
-  APP_SETTINGS: 'personalChatbot_settings'
+  APP_SETTINGS: 'personalChatbot_settings',
+  PARAMETER_PRESETS: 'personalChatbot_parameterPresets',
+  PERSONAS: 'personalChatbot_personas',
+  ENDPOINTS: 'personalChatbot_endpoints',
+  MEMORIES: 'personalChatbot_memories',
+  PROMPT_TEMPLATES: 'personalChatbot_promptTemplates'
 };
 
 /**
@@ -192,6 +197,12 @@ export const appSettingsStorage = {
     return safeJSONParse(stored, {
       selectedChatId: null,
       theme: 'auto',
+      // keep_alive sent with each request, see KEEP_ALIVE_OPTIONS
+      keepAlive: '',
+      // Ollama endpoint requests go to first, see EndpointPool
+      preferredEndpointId: 'default',
+      // Demo mode: answer from the built-in mock backend, see MockProvider
+      mockBackend: false,
       lastActiveTimestamp: Date.now()
     });
   },
@@ -206,6 +217,218 @@ export const appSettingsStorage = {
   }
 };
 
+/**
+ * Parameter Presets Management
+ * Only user presets are stored, built-in presets live in the LLM service
+ */
+export const presetStorage = {
+  /**
+   * Save user presets
+   */
+  save: (presets) => {
+    return safeJSONStringify(STORAGE_KEYS.PARAMETER_PRESETS, presets);
+  },
+
+  /**
+   * Load user presets
+   */
+  load: () => {
+    const stored = localStorage.getItem(STORAGE_KEYS.PARAMETER_PRESETS);
+    return safeJSONParse(stored, []);
+  },
+
+  /**
+   * Add or replace a preset
+   */
+  savePreset: (preset) => {
+    const currentPresets = presetStorage.load();
+    const exists = currentPresets.some(item => item.id === preset.id);
+    const updatedPresets = exists
+      ? currentPresets.map(item => item.id === preset.id ? preset : item)
+      : [...currentPresets, preset];
+    return presetStorage.save(updatedPresets);
+  },
+
+  /**
+   * Delete a preset
+   */
+  deletePreset: (presetId) => {
+    const currentPresets = presetStorage.load();
+    return presetStorage.save(currentPresets.filter(item => item.id !== presetId));
+  }
+};
+
+/**
+ * Persona storage operations
+ */
+export const personaStorage = {
+  /**
+   * Save user personas
+   */
+  save: (personas) => {
+    return safeJSONStringify(STORAGE_KEYS.PERSONAS, personas);
+  },
+
+  /**
+   * Load user personas
+   */
+  load: () => {
+    const stored = localStorage.getItem(STORAGE_KEYS.PERSONAS);
+    return safeJSONParse(stored, []);
+  },
+
+  /**
+   * Add or replace a persona
+   */
+  savePersona: (persona) => {
+    const currentPersonas = personaStorage.load();
+    const exists = currentPersonas.some(item => item.id === persona.id);
+    const updatedPersonas = exists
+      ? currentPersonas.map(item => item.id === persona.id ? persona : item)
+      : [...currentPersonas, persona];
+    return personaStorage.save(updatedPersonas);
+  },
+
+  /**
+   * Delete a persona, chats following its prompt keep a copy of it
+   */
+  deletePersona: (personaId) => {
+    const currentPersonas = personaStorage.load();
+    const persona = currentPersonas.find(item => item.id === personaId);
+    if (persona) {
+      chatHistoryStorage.save(chatHistoryStorage.load().map(chat =>
+        chat.personaId === personaId && typeof chat.systemPrompt !== 'string'
+          ? { ...chat, systemPrompt: persona.systemPrompt }
+          : chat
+      ));
+    }
+    return personaStorage.save(currentPersonas.filter(item => item.id !== personaId));
+  }
+};
+
+/**
+ * Ollama Endpoints Management
+ * Only added endpoints are stored, the configured one is always present
+ */
+export const endpointStorage = {
+  /**
+   * Save added endpoints
+   */
+  save: (endpoints) => {
+    return safeJSONStringify(STORAGE_KEYS.ENDPOINTS, endpoints);
+  },
+
+  /**
+   * Load added endpoints
+   */
+  load: () => {
+    const stored = localStorage.getItem(STORAGE_KEYS.ENDPOINTS);
+    return safeJSONParse(stored, []);
+  },
+
+  /**
+   * Add or replace an endpoint
+   */
+  saveEndpoint: (endpoint) => {
+    const currentEndpoints = endpointStorage.load();
+    const exists = currentEndpoints.some(item => item.id === endpoint.id);
+    const updatedEndpoints = exists
+      ? currentEndpoints.map(item => item.id === endpoint.id ? endpoint : item)
+      : [...currentEndpoints, endpoint];
+    return endpointStorage.save(updatedEndpoints);
+  },
+
+  /**
+   * Delete an endpoint
+   */
+  deleteEndpoint: (endpointId) => {
+    const currentEndpoints = endpointStorage.load();
+    return endpointStorage.save(currentEndpoints.filter(item => item.id !== endpointId));
+  }
+};
+
+/**
+ * Long-term Memory Management
+ * Facts about the user remembered across chats
+ */
+export const memoryStorage = {
+  /**
+   * Save all memories
+   */
+  save: (memories) => {
+    return safeJSONStringify(STORAGE_KEYS.MEMORIES, memories);
+  },
+
+  /**
+   * Load all memories
+   */
+  load: () => {
+    const stored = localStorage.getItem(STORAGE_KEYS.MEMORIES);
+    return safeJSONParse(stored, []);
+  },
+
+  /**
+   * Add or replace a memory
+   */
+  saveMemory: (memory) => {
+    const currentMemories = memoryStorage.load();
+    const exists = currentMemories.some(item => item.id === memory.id);
+    const updatedMemories = exists
+      ? currentMemories.map(item => item.id === memory.id ? memory : item)
+      : [...currentMemories, memory];
+    return memoryStorage.save(updatedMemories);
+  },
+
+  /**
+   * Delete a memory
+   */
+  deleteMemory: (memoryId) => {
+    const currentMemories = memoryStorage.load();
+    return memoryStorage.save(currentMemories.filter(item => item.id !== memoryId));
+  }
+};
+
+/**
+ * Prompt Library Management
+ * Templates inserted from the chat input with a slash command
+ */
+export const promptTemplateStorage = {
+  /**
+   * Save all prompt templates
+   */
+  save: (templates) => {
+    return safeJSONStringify(STORAGE_KEYS.PROMPT_TEMPLATES, templates);
+  },
+
+  /**
+   * Load all prompt templates
+   */
+  load: () => {
+    const stored = localStorage.getItem(STORAGE_KEYS.PROMPT_TEMPLATES);
+    return safeJSONParse(stored, []);
+  },
+
+  /**
+   * Add or replace a prompt template
+   */
+  saveTemplate: (template) => {
+    const currentTemplates = promptTemplateStorage.load();
+    const exists = currentTemplates.some(item => item.id === template.id);
+    const updatedTemplates = exists
+      ? currentTemplates.map(item => item.id === template.id ? template : item)
+      : [...currentTemplates, template];
+    return promptTemplateStorage.save(updatedTemplates);
+  },
+
+  /**
+   * Delete a prompt template
+   */
+  deleteTemplate: (templateId) => {
+    const currentTemplates = promptTemplateStorage.load();
+    return promptTemplateStorage.save(currentTemplates.filter(item => item.id !== templateId));
+  }
+};
+
 /**
  * Storage utilities
  */
@@ -218,16 +441,26 @@ export const storageUtils = {
       const chatHistorySize = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY)?.length || 0;
       const chatMessagesSize = localStorage.getItem(STORAGE_KEYS.CHAT_MESSAGES)?.length || 0;
       const settingsSize = localStorage.getItem(STORAGE_KEYS.APP_SETTINGS)?.length || 0;
+      const presetsSize = localStorage.getItem(STORAGE_KEYS.PARAMETER_PRESETS)?.length || 0;
+      const personasSize = localStorage.getItem(STORAGE_KEYS.PERSONAS)?.length || 0;
+      const endpointsSize = localStorage.getItem(STORAGE_KEYS.ENDPOINTS)?.length || 0;
+      const memoriesSize = localStorage.getItem(STORAGE_KEYS.MEMORIES)?.length || 0;
+      const promptTemplatesSize = localStorage.getItem(STORAGE_KEYS.PROMPT_TEMPLATES)?.length || 0;
       
       return {
         chatHistory: chatHistorySize,
         chatMessages: chatMessagesSize,
         settings: settingsSize,
-        total: chatHistorySize + chatMessagesSize + settingsSize
+        presets: presetsSize,
+        personas: personasSize,
+        endpoints: endpointsSize,
+        memories: memoriesSize,
+        promptTemplates: promptTemplatesSize,
+        total: chatHistorySize + chatMessagesSize + settingsSize + presetsSize + personasSize + endpointsSize + memoriesSize + promptTemplatesSize
       };
     } catch (error) {
       console.error('Failed to get storage info:', error);
-      return { chatHistory: 0, chatMessages: 0, settings: 0, total: 0 };
+      return { chatHistory: 0, chatMessages: 0, settings: 0, presets: 0, personas: 0, endpoints: 0, memories: 0, promptTemplates: 0, total: 0 };
     }
   },
 
@@ -240,7 +473,7 @@ export const storageUtils = {
       localStorage.setItem(test, test);
       localStorage.removeItem(test);
       return true;
-    } catch (error) {
+    } catch {
       return false;
     }
   },
@@ -269,6 +502,11 @@ export const storageUtils = {
         chatHistory: chatHistoryStorage.load(),
         chatMessages: chatMessagesStorage.loadAll(),
         settings: appSettingsStorage.load(),
+        presets: presetStorage.load(),
+        personas: personaStorage.load(),
+        endpoints: endpointStorage.load(),
+        memories: memoryStorage.load(),
+        promptTemplates: promptTemplateStorage.load(),
         exportTimestamp: Date.now()
       };
       return JSON.stringify(data, null, 2);
@@ -296,6 +534,26 @@ export const storageUtils = {
       if (data.settings) {
         appSettingsStorage.save(data.settings);
       }
+
+      if (data.presets) {
+        presetStorage.save(data.presets);
+      }
+
+      if (data.personas) {
+        personaStorage.save(data.personas);
+      }
+
+      if (data.endpoints) {
+        endpointStorage.save(data.endpoints);
+      }
+
+      if (data.memories) {
+        memoryStorage.save(data.memories);
+      }
+
+      if (data.promptTemplates) {
+        promptTemplateStorage.save(data.promptTemplates);
+      }
       
       return true;
     } catch (error) {
@@ -309,5 +567,10 @@ export default {
   chatHistoryStorage,
   chatMessagesStorage,
   appSettingsStorage,
+  presetStorage,
+  personaStorage,
+  endpointStorage,
+  memoryStorage,
+  promptTemplateStorage,
   storageUtils
 };
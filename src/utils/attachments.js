@@ -0,0 +1,218 @@
+/**
+ * Attachment Helpers
+ * Read files picked, pasted or dropped into the chat input into message
+ * attachments that can be stored with the chat
+ */
+
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+// Longest side of an image after downscaling, vision encoders work at
+// similar resolutions so larger images only cost storage
+export const MAX_IMAGE_DIMENSION = 1024;
+
+export const MAX_ATTACHMENTS = 4;
+
+// Extracted text kept per document, larger files are cut to fit storage
+export const MAX_DOCUMENT_CHARS = 200000;
+
+const JPEG_QUALITY = 0.85;
+
+// Text formats recognized by extension, browsers often report no MIME type for them
+const TEXT_EXTENSIONS = [
+  'txt', 'md', 'markdown', 'rst', 'log', 'csv', 'tsv',
+  'json', 'yaml', 'yml', 'toml', 'ini', 'xml', 'html', 'css', 'scss',
+  'js', 'jsx', 'mjs', 'ts', 'tsx', 'py', 'rb', 'php', 'java', 'kt', 'swift',
+  'c', 'h', 'cpp', 'hpp', 'cs', 'go', 'rs', 'sh', 'sql', 'r', 'lua'
+];
+
+/**
+ * File types accepted by the document and attachment pickers
+ */
+export const ACCEPTED_DOCUMENT_TYPES = ['application/pdf', ...TEXT_EXTENSIONS.map(extension => `.${extension}`)].join(',');
+export const ACCEPTED_FILE_TYPES = `image/*,${ACCEPTED_DOCUMENT_TYPES}`;
+
+const getExtension = (fileName = '') => {
+  const index = fileName.lastIndexOf('.');
+  return index === -1 ? '' : fileName.slice(index + 1).toLowerCase();
+};
+
+const createAttachmentId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Formats kept lossless so transparency survives
+const LOSSLESS_TYPES = ['image/png', 'image/gif'];
+
+/**
+ * Check whether a file is an image the browser can decode
+ */
+export const isImageFile = (file) => {
+  return Boolean(file?.type?.startsWith('image/'));
+};
+
+/**
+ * Check whether a file is a PDF
+ */
+export const isPdfFile = (file) => {
+  return file?.type === 'application/pdf' || getExtension(file?.name) === 'pdf';
+};
+
+/**
+ * Check whether a file is a document whose text can be extracted
+ */
+export const isDocumentFile = (file) => {
+  return isPdfFile(file)
+    || Boolean(file?.type?.startsWith('text/'))
+    || TEXT_EXTENSIONS.includes(getExtension(file?.name));
+};
+
+/**
+ * Load a file into an image element
+ */
+const loadImage = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} is not a readable image`));
+    };
+    image.src = url;
+  });
+};
+
+/**
+ * Read an image file, downscaled so its longest side is at most maxDimension
+ * @returns {Promise<{ id, type, name, mimeType, dataUrl, width, height, size }>}
+ */
+export const readImageFile = async (file, { maxDimension = MAX_IMAGE_DIMENSION } = {}) => {
+  if (!isImageFile(file)) {
+    throw new Error(`${file.name} is not an image`);
+  }
+
+  const image = await loadImage(file);
+  const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.round(image.naturalWidth * scale);
+  const height = Math.round(image.naturalHeight * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  const mimeType = LOSSLESS_TYPES.includes(file.type) ? 'image/png' : 'image/jpeg';
+  const dataUrl = canvas.toDataURL(mimeType, JPEG_QUALITY);
+
+  return {
+    id: createAttachmentId(),
+    type: 'image',
+    name: file.name || 'pasted-image',
+    mimeType,
+    dataUrl,
+    width,
+    height,
+    // Approximate decoded size of the base64 payload
+    size: Math.round((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75)
+  };
+};
+
+/**
+ * Image attachments of a message
+ */
+export const getImageAttachments = (message) => {
+  return (message.attachments || []).filter(attachment => attachment.type === 'image');
+};
+
+/**
+ * Extract the text of a PDF page by page, pdf.js is loaded on first use
+ */
+const extractPdfText = async (file) => {
+  const pdfjs = await import('pdfjs-dist');
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => `${item.str}${item.hasEOL ? '\n' : ''}`)
+        .join('')
+        .trim();
+      pages.push(text);
+    }
+  } finally {
+    pdf.destroy();
+  }
+
+  return {
+    text: pages.map((text, index) => `[Page ${index + 1}]\n${text}`).join('\n\n'),
+    pageCount: pdf.numPages,
+    hasText: pages.some(Boolean)
+  };
+};
+
+/**
+ * Read a text, code or PDF file into a document attachment
+ * @returns {Promise<{ id, type, name, mimeType, size, text, truncated, pageCount? }>}
+ */
+export const readDocumentFile = async (file) => {
+  if (!isDocumentFile(file)) {
+    throw new Error(`${file.name} is not a supported document`);
+  }
+
+  let text;
+  let pageCount = null;
+
+  if (isPdfFile(file)) {
+    const pdf = await extractPdfText(file);
+    if (!pdf.hasText) {
+      throw new Error(`${file.name} has no extractable text, it may be a scanned document`);
+    }
+    text = pdf.text;
+    pageCount = pdf.pageCount;
+  } else {
+    text = await file.text();
+    if (text.includes('\u0000')) {
+      throw new Error(`${file.name} looks like a binary file`);
+    }
+  }
+
+  return {
+    id: createAttachmentId(),
+    type: 'document',
+    name: file.name,
+    mimeType: file.type || 'text/plain',
+    size: file.size,
+    text: text.slice(0, MAX_DOCUMENT_CHARS),
+    truncated: text.length > MAX_DOCUMENT_CHARS,
+    ...(pageCount !== null && { pageCount })
+  };
+};
+
+/**
+ * Read any supported file into an attachment
+ */
+export const readAttachmentFile = (file) => {
+  if (isImageFile(file)) {
+    return readImageFile(file);
+  }
+
+  if (isDocumentFile(file)) {
+    return readDocumentFile(file);
+  }
+
+  return Promise.reject(new Error(`${file.name} is not a supported file type`));
+};
+
+/**
+ * Document attachments of a message
+ */
+export const getDocumentAttachments = (message) => {
+  return (message.attachments || []).filter(attachment => attachment.type === 'document');
+};
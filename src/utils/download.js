@@ -0,0 +1,31 @@
+/**
+ * File Downloads
+ * Save generated text as a file from the browser
+ */
+
+/**
+ * Download text as a file, e.g. downloadFile('chat.md', markdown, 'text/markdown')
+ */
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * File name safe version of a title, e.g. "Trip: Rome?" -> "trip-rome"
+ */
+export const toFileName = (title, fallback = 'download') => {
+  const name = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+
+  return name || fallback;
+};
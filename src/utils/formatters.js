@@ -0,0 +1,73 @@
+/**
+ * Display Formatters
+ * Shared helpers for presenting sizes, dates and numbers in the UI
+ */
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Format a byte count, e.g. 9276198565 -> "8.6 GB"
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes || bytes < 0) return '0 B';
+
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), BYTE_UNITS.length - 1);
+  const value = bytes / 1024 ** exponent;
+
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${BYTE_UNITS[exponent]}`;
+};
+
+/**
+ * Format a duration in milliseconds, e.g. 850 -> "850 ms", 12400 -> "12.4 s"
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || isNaN(ms)) return '';
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+
+  const minutes = Math.floor(ms / 60000);
+  return `${minutes} min ${Math.round((ms % 60000) / 1000)} s`;
+};
+
+/**
+ * Format a date for compact display
+ */
+export const formatDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+
+  return date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const RELATIVE_TIME_UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+const relativeTimeFormat = new Intl.RelativeTimeFormat([], { numeric: 'auto' });
+
+/**
+ * Format a past date relative to now, e.g. "Just now", "5 minutes ago", "yesterday"
+ */
+export const formatRelativeTime = (value, now = Date.now()) => {
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (!value || isNaN(date.getTime())) {
+    return '';
+  }
+
+  const elapsed = now - date.getTime();
+  const unit = RELATIVE_TIME_UNITS.find(([, ms]) => elapsed >= ms);
+  if (!unit) {
+    return 'Just now';
+  }
+
+  return relativeTimeFormat.format(-Math.floor(elapsed / unit[1]), unit[0]);
+};
@@ -1,19 +1,73 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import ChatHistoryList from "../../components/chat/ChatHistoryList/ChatHistoryList";
 import UserMenu from "../../components/chat/UserMenu/UserMenu";
 import MessageList from "../../components/chat/MessageList/MessageList";
 import ChatInput from "../../components/chat/ChatInput/ChatInput";
 import ThinkingBox from "../../components/chat/ThinkingBox/ThinkingBox";
+import ModelSelector from "../../components/chat/ModelSelector/ModelSelector";
+import ContextIndicator from "../../components/chat/ContextIndicator/ContextIndicator";
+import RunningModelsPanel from "../../components/chat/RunningModelsPanel/RunningModelsPanel";
+import ParameterPanel from "../../components/chat/ParameterPanel/ParameterPanel";
+import PersonaPicker from "../../components/chat/PersonaPicker/PersonaPicker";
+import SystemPromptPanel from "../../components/chat/SystemPromptPanel/SystemPromptPanel";
+import StructuredOutputPanel from "../../components/chat/StructuredOutputPanel/StructuredOutputPanel";
+import KnowledgeSelector from "../../components/chat/KnowledgeSelector/KnowledgeSelector";
+import EndpointSelector from "../../components/chat/EndpointSelector/EndpointSelector";
+import EndpointStatusList from "../../components/chat/EndpointStatusList/EndpointStatusList";
+import CitationViewer from "../../components/chat/CitationViewer/CitationViewer";
+import ComparePanel from "../../components/chat/ComparePanel/ComparePanel";
+import ComparisonView from "../../components/chat/ComparisonView/ComparisonView";
+import {
+  llmService,
+  DEFAULT_CONTEXT_STRATEGY,
+  DEFAULT_PERSONA,
+  OUTPUT_FORMATS,
+  PARAM_PLACEHOLDERS,
+  resolveRequestParams,
+  resolveSystemPrompt,
+  toKeepAliveValue,
+  toRequestFormat,
+} from "../../services/llm/index.js";
+import { knowledgeBase, formatRetrievedContext } from "../../services/knowledge/index.js";
+import {
+  addVariant,
+  createFallbackTitle,
+  describeChat,
+  formatChatMarkdown,
+  selectVariant,
+  truncateLine,
+} from "../../services/chat/index.js";
+import { memoryService, appendMemories } from "../../services/memory/index.js";
+import { SUMMARIZE_PROMPT } from "../../services/prompts/index.js";
+import { getDocumentAttachments } from "../../utils/attachments";
+import { downloadFile, toFileName } from "../../utils/download";
 import { useLLM } from "../../hooks/useLLM";
+import { useParameterPresets } from "../../hooks/useParameterPresets";
+import { usePersonas } from "../../hooks/usePersonas";
+import { useKnowledgeBase } from "../../hooks/useKnowledgeBase";
+import { useEndpoints } from "../../hooks/useEndpoints";
+import { useGenerations } from "../../hooks/useGenerations";
+import { useComparison } from "../../hooks/useComparison";
+import { usePromptTemplates } from "../../hooks/usePromptTemplates";
 import { useChatPersistence } from "../../hooks/useChatPersistence";
 import "./ChatInterfaceView.css";
 
-const ChatInterfaceView = ({ onNavigateToProfile }) => {
+const ChatInterfaceView = ({ onNavigateToProfile, onNavigateToModels, onNavigateToPersonas, onNavigateToKnowledge, onNavigateToEndpoints, onNavigateToPrompts }) => {
   const [selectedChat, setSelectedChat] = useState(null);
   const [messages, setMessages] = useState([]);
   const [chatHistory, setChatHistory] = useState([]);
   const [currentThinking, setCurrentThinking] = useState("");
   const [showThinking, setShowThinking] = useState(false);
+  // Toolbar panel shown below the toolbar: 'systemPrompt', 'parameters', 'outputFormat' or 'compare'
+  const [openPanel, setOpenPanel] = useState(null);
+  const [openCitation, setOpenCitation] = useState(null);
+  // keep_alive choice sent with every request, see KEEP_ALIVE_OPTIONS
+  const [keepAlive, setKeepAlive] = useState("");
+  // Settings chosen before the first message, applied to the new chat
+  const [draftChatSettings, setDraftChatSettings] = useState({});
+  // Models compared side by side, compare mode is on with two or more
+  const [compareModels, setCompareModels] = useState([]);
+  const isCompareMode = compareModels.length >= 2;
 
   // Utility function to clean any remaining thinking tags from content
   const cleanContentForMainChat = (content) => {
@@ -58,8 +112,9 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
       .replace(/<\/?strategy>/gi, '')
       // Remove any remaining XML-like tags (generic cleanup)
       .replace(/<[^>]*>/g, '')
-      // Clean up extra whitespace
-      .replace(/\s+/g, ' ')
+      // Clean up extra whitespace, keeping line breaks from native reasoning
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
       .trim();
     
     return cleaned;
@@ -71,11 +126,43 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
     isLoading,
     error: llmError,
     currentModel,
+    availableModels,
     connectionStatus,
-    sendMessageStream,
+    pullProgress,
+    modelMetadata,
+    runningModels,
+    memoryAction,
+    canManageMemory,
+    refreshRunningModels,
+    preloadModel,
+    unloadModel,
+    changeModel,
+    estimateContext,
+    prepareContext,
     clearError,
   } = useLLM();
 
+  const hasRestoredModelRef = useRef(false);
+
+  const { presets, savePreset, deletePreset } = useParameterPresets();
+  const { personas } = usePersonas();
+  const { templates } = usePromptTemplates();
+  const { collections } = useKnowledgeBase();
+  const { endpoints } = useEndpoints();
+  // Only worth showing once there is somewhere to fail over to
+  const hasEndpoints = endpoints.length > 1;
+  const {
+    generationStatus,
+    startGeneration,
+    cancelGeneration,
+    getGeneration,
+    subscribeToGenerations,
+  } = useGenerations();
+  // Responses keep generating in the background when another chat is opened
+  const isGenerating = Boolean(selectedChat && generationStatus[selectedChat]);
+  const { comparison, startComparison, cancelComparison, clearComparison } = useComparison();
+  const canChangeAnswers = isInitialized && !isGenerating && !comparison;
+
   // Initialize chat persistence hook
   const {
     isLoaded: isStorageLoaded,
@@ -84,6 +171,7 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
     saveChatHistory,
     loadChatMessages,
     saveChatMessages,
+    updateChatInHistory,
     updateSetting,
     loadSettings,
     deleteChatFromHistory,
@@ -98,6 +186,7 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
 
       // Load settings to restore selected chat
       const settings = loadSettings();
+      setKeepAlive(settings.keepAlive || "");
       if (settings.selectedChatId) {
         setSelectedChat(settings.selectedChatId);
         // Load messages for the selected chat
@@ -128,21 +217,386 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
     }
   }, [selectedChat, isStorageLoaded, updateSetting]);
 
+  // Mirror generated tokens into the open chat, and chat updates into the list
+  useEffect(() => {
+    return subscribeToGenerations((event) => {
+      if (event.type === "message" && event.chatId === selectedChat) {
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === event.messageId ? { ...msg, ...event.updates } : msg
+          )
+        );
+      } else if (event.type === "thinking" && event.chatId === selectedChat) {
+        setCurrentThinking(event.thinking);
+      } else if (event.type === "chat") {
+        setChatHistory((prev) =>
+          prev.map((chat) =>
+            chat.id === event.chatId ? { ...chat, ...event.updates } : chat
+          )
+        );
+      } else if (event.type === "done") {
+        // A finished answer may have loaded a model or changed its expiry
+        refreshRunningModels();
+      }
+    });
+  }, [selectedChat, subscribeToGenerations, refreshRunningModels]);
+
+  // Hide the thinking box a moment after the open chat's answer is complete
+  useEffect(() => {
+    if (isGenerating) return;
+
+    const timer = setTimeout(() => {
+      setShowThinking(false);
+      setCurrentThinking("");
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [isGenerating]);
+
+  const currentChat = selectedChat
+    ? chatHistory.find((chat) => chat.id === selectedChat)
+    : draftChatSettings;
+  const contextStrategy = currentChat?.contextStrategy || DEFAULT_CONTEXT_STRATEGY;
+  const chatPersona = personas.find((persona) => persona.id === currentChat?.personaId) || DEFAULT_PERSONA;
+  // Chats use and add to the long-term memory unless it is turned off for them
+  const isMemoryEnabled = currentChat?.memoryEnabled !== false;
+  const systemPrompt = resolveSystemPrompt(personas, currentChat);
+  const outputFormat = currentChat?.outputFormat || null;
+  const chatParams = useMemo(
+    () => resolveRequestParams(presets, currentChat?.presetId, currentChat?.params, modelMetadata.defaultParams),
+    [presets, currentChat?.presetId, currentChat?.params, modelMetadata.defaultParams]
+  );
+
+  const modelNames = useMemo(() => availableModels.map((model) => model.name), [availableModels]);
+
+  // Messages that can be sent back to the model as history
+  const getConversationHistory = (chatMessages) => {
+    return chatMessages.filter((msg) => !msg.isError && (msg.content || msg.attachments?.length));
+  };
+
+  // Images are kept in the chat but only sent to models that can see them
+  const imageWarning = modelMetadata.capabilities.vision
+    ? null
+    : `${currentModel} ${modelMetadata.isKnown ? "cannot read images" : "is not known to read images"}. Images will be saved with the message but not sent to the model. Pick a vision model to ask about them.`;
+
+  // Preview of what the next request includes, for the usage meter and
+  // the excluded/summarized message markers
+  const contextPreview = useMemo(() => {
+    return estimateContext(getConversationHistory(messages), {
+      systemPrompt,
+      strategy: contextStrategy,
+      summary: currentChat?.contextSummary,
+      params: chatParams,
+      format: toRequestFormat(outputFormat),
+    });
+  }, [estimateContext, messages, systemPrompt, contextStrategy, currentChat?.contextSummary, chatParams, outputFormat]);
+
+  const updateCurrentChat = (updates) => {
+    if (!selectedChat) {
+      setDraftChatSettings(prev => ({ ...prev, ...updates }));
+      return;
+    }
+
+    setChatHistory(prev =>
+      prev.map(chat =>
+        chat.id === selectedChat ? { ...chat, ...updates } : chat
+      )
+    );
+  };
+
+  const handleContextStrategyChange = (strategy) => {
+    updateCurrentChat({ contextStrategy: strategy });
+  };
+
+  const handleParametersChange = ({ presetId, params }) => {
+    updateCurrentChat({ presetId, params });
+  };
+
+  const handleCollectionChange = (collectionId) => {
+    updateCurrentChat({ collectionId });
+  };
+
+  const handleEndpointChange = (endpointId) => {
+    updateCurrentChat({ endpointId });
+  };
+
+  const handleOutputFormatSave = (outputFormat) => {
+    updateCurrentChat({ outputFormat });
+  };
+
+  const togglePanel = (panel) => {
+    setOpenPanel((prev) => (prev === panel ? null : panel));
+  };
+
+  const handleKeepAliveChange = (value) => {
+    setKeepAlive(value);
+    updateSetting("keepAlive", value);
+  };
+
+  const handlePreloadModel = (modelName) => {
+    preloadModel(modelName, toKeepAliveValue(keepAlive));
+  };
+
+  const handleSystemPromptSave = (prompt) => {
+    // null links the chat back to its persona's prompt, later persona edits included
+    updateCurrentChat({ systemPrompt: prompt ?? undefined });
+  };
+
+  // Start the next chat with a persona's prompt, model and parameters,
+  // the prompt stays linked to the persona until the user edits it
+  const handlePersonaSelect = (persona) => {
+    updateCurrentChat({
+      personaId: persona.id,
+      systemPrompt: undefined,
+      presetId: persona.presetId,
+      params: {},
+    });
+
+    if (persona.model && persona.model !== currentModel) {
+      if (availableModels.some((model) => model.name === persona.model)) {
+        changeModel(persona.model).catch((error) => {
+          console.error("Failed to switch to persona model:", error);
+        });
+      } else {
+        console.warn(`Persona model ${persona.model} is not installed, keeping ${currentModel}`);
+      }
+    }
+  };
+
+  const handleTogglePin = (messageId) => {
+    setMessages((prev) =>
+      prev.map((msg) =>
+        msg.id === messageId ? { ...msg, pinned: !msg.pinned } : msg
+      )
+    );
+  };
+
+  // Switch to the model a chat was using, if it is still installed
+  const restoreChatModel = useCallback((chat) => {
+    if (!chat?.model || chat.model === currentModel) return;
+
+    if (availableModels.some((model) => model.name === chat.model)) {
+      changeModel(chat.model).catch((error) => {
+        console.error("Failed to restore chat model:", error);
+      });
+    }
+  }, [currentModel, availableModels, changeModel]);
+
+  // Restore the model of the chat selected on startup once the LLM is ready
+  useEffect(() => {
+    if (!isInitialized || !isStorageLoaded || hasRestoredModelRef.current) return;
+    hasRestoredModelRef.current = true;
+
+    restoreChatModel(chatHistory.find((chat) => chat.id === selectedChat));
+  }, [isInitialized, isStorageLoaded, chatHistory, selectedChat, restoreChatModel]);
+
+  const handleModelChange = async (modelName) => {
+    try {
+      await changeModel(modelName);
+
+      // Remember the model on the open conversation
+      if (selectedChat) {
+        updateCurrentChat({ model: modelName });
+      }
+    } catch (error) {
+      console.error("Failed to change model:", error);
+    }
+  };
+
   const handleChatSelect = (chatId) => {
     // Save current chat messages before switching
     if (selectedChat && messages.length > 0) {
       saveChatMessages(selectedChat, messages);
     }
 
+    // Compared answers belong to the chat they were asked in
+    clearComparison();
+
     // Switch to new chat
     setSelectedChat(chatId);
     
-    // Load messages for the selected chat
+    // Load messages for the selected chat, with tokens generated since the
+    // last write if it is still generating
+    const generation = getGeneration(chatId);
     const chatMessages = loadChatMessages(chatId);
-    setMessages(chatMessages);
+    setMessages(
+      generation
+        ? chatMessages.map((msg) =>
+            msg.id === generation.messageId ? { ...msg, ...generation.updates } : msg
+          )
+        : chatMessages
+    );
+    setCurrentThinking(generation?.thinking || "");
+    setShowThinking(Boolean(generation));
+
+    restoreChatModel(chatHistory.find(chat => chat.id === chatId));
+  };
+
+  // Create a new chat for the first message, returns the chat to send to
+  const ensureChat = (message, attachments) => {
+    if (selectedChat) {
+      return selectedChat;
+    }
+
+    const chatId = Date.now();
+    setSelectedChat(chatId);
+
+    // Create new chat entry in history, the model titles it after the first answer
+    const newChat = {
+      id: chatId,
+      title: createFallbackTitle(message, attachments),
+      preview: "New conversation...",
+      model: currentModel,
+      createdAt: new Date().toISOString(),
+      personaId: DEFAULT_PERSONA.id,
+      ...draftChatSettings
+    };
+
+    // Add to chat history
+    setChatHistory(prev => [newChat, ...prev]);
+    setDraftChatSettings({});
+    return chatId;
+  };
+
+  // Passages of the chat's knowledge base relevant to the new message
+  const searchKnowledge = async (collectionId, message) => {
+    if (!collectionId || !message.trim()) {
+      return [];
+    }
+
+    try {
+      const results = await knowledgeBase.search(collectionId, message);
+      return results.map((result, index) => ({ ...result, number: index + 1 }));
+    } catch (error) {
+      console.warn("Knowledge base search failed, answering without it:", error);
+      return [];
+    }
+  };
+
+  // Record a new answer on the chat entry, previewing it until the chat is described
+  const getAnswerUpdates = (chat, answer) => ({
+    lastMessageAt: new Date().toISOString(),
+    ...(!chat?.isDescribed && answer && { preview: truncateLine(answer, 100) }),
+  });
+
+  // Let the model title and summarize a chat after its first exchange,
+  // written to storage too in case the view is gone by then
+  const describeChatInBackground = (chatId, exchange, options) => {
+    describeChat(exchange, options)
+      .then((description) => {
+        if (!description) return;
+
+        const updates = {
+          title: description.title,
+          ...(description.summary && { preview: description.summary }),
+          isDescribed: true,
+        };
+        updateChatInHistory(chatId, updates);
+        setChatHistory((prev) =>
+          prev.map((chat) => (chat.id === chatId ? { ...chat, ...updates } : chat))
+        );
+      })
+      .catch((error) => {
+        console.warn("Could not describe chat, keeping its title:", error);
+      });
+  };
+
+  // Background steps once an answer is complete: titling new chats and
+  // remembering what the user said about themselves
+  const processExchange = (chatId, chat, exchange, { isFirstExchange, ...options }) => {
+    if (isFirstExchange) {
+      describeChatInBackground(chatId, exchange, options);
+    }
+
+    if (chat?.memoryEnabled !== false) {
+      memoryService.learn(chatId, exchange, options).catch((error) => {
+        console.warn("Could not update memory:", error);
+      });
+    }
+  };
+
+  // Facts about the user sent with a chat's next message
+  const getChatMemories = (chat, message) => {
+    return chat?.memoryEnabled !== false ? memoryService.getRelevant(message) : [];
+  };
+
+  // The rolling summary only applies while it covers part of the history
+  const getHistorySummary = (chat, history) => {
+    return history.some((msg) => msg.id === chat.contextSummary?.throughId) ? chat.contextSummary : null;
+  };
+
+  // Compare mode: the message goes to every compared model, and joins the
+  // conversation together with the answer that is kept. A new chat is only
+  // created then, so discarded comparisons leave nothing behind
+  const handleCompareMessage = async (message, attachments) => {
+    const chatEntry = currentChat || draftChatSettings;
+
+    const newUserMessage = {
+      id: Date.now(),
+      type: "user",
+      content: message,
+      timestamp: new Date(),
+      ...(attachments.length > 0 && { attachments }),
+    };
+    const history = [...messages, newUserMessage];
+    const citations = await searchKnowledge(chatEntry.collectionId, message);
+
+    await startComparison(newUserMessage, compareModels, {
+      history: getConversationHistory(history),
+      systemPrompt: appendMemories(resolveSystemPrompt(personas, chatEntry), getChatMemories(chatEntry, message)),
+      strategy: chatEntry.contextStrategy || DEFAULT_CONTEXT_STRATEGY,
+      summary: getHistorySummary(chatEntry, history),
+      // Each compared model adds its own defaults
+      params: resolveRequestParams(presets, chatEntry.presetId, chatEntry.params),
+      retrieval: formatRetrievedContext(citations),
+      citations,
+      format: toRequestFormat(chatEntry.outputFormat),
+      keepAlive: toKeepAliveValue(keepAlive),
+      endpointId: chatEntry.endpointId,
+      toolContext: {
+        chatId: selectedChat,
+        attachments: history.flatMap(getDocumentAttachments),
+      },
+    });
+    // The compared models may have been loaded or had their expiry changed
+    refreshRunningModels();
+  };
+
+  // Save the compared message and the chosen answer into the conversation
+  const handleKeepComparedAnswer = (column) => {
+    const { userMessage } = comparison;
+    // The selected chat, or the draft settings the new chat is created with
+    const chatEntry = currentChat || draftChatSettings;
+    const chatId = ensureChat(userMessage.content, userMessage.attachments || []);
+    const outputFormat = chatEntry.outputFormat;
+    const assistantMessage = {
+      id: Date.now(),
+      type: "assistant",
+      content: cleanContentForMainChat(column.content),
+      model: column.model,
+      timestamp: new Date(),
+      ...(column.toolCalls.length > 0 && { toolCalls: column.toolCalls }),
+      ...(comparison.citations.length > 0 && { citations: comparison.citations }),
+      ...(column.stats && { stats: column.stats }),
+      ...(hasEndpoints && column.endpoint && { endpoint: column.endpoint }),
+      ...(toRequestFormat(outputFormat) && { outputFormat }),
+    };
+
+    setMessages((prev) => [...prev, userMessage, assistantMessage]);
+    const answerUpdates = getAnswerUpdates(chatEntry, assistantMessage.content);
+    setChatHistory((prev) =>
+      prev.map((chat) => (chat.id === chatId ? { ...chat, ...answerUpdates } : chat))
+    );
+    processExchange(chatId, chatEntry, [userMessage, assistantMessage], {
+      isFirstExchange: messages.length === 0,
+      model: column.model,
+      keepAlive: toKeepAliveValue(keepAlive),
+      endpointId: chatEntry.endpointId,
+    });
+    clearComparison();
   };
 
-  const handleSendMessage = async (message) => {
+  const handleSendMessage = async (message, attachments = []) => {
     if (!isInitialized) {
       console.error("LLM service not initialized");
       return;
@@ -150,128 +604,222 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
 
     // Clear any previous errors and thinking
     clearError();
-    setCurrentThinking("");
-    setShowThinking(true);
 
-    // Create new chat if none selected
-    let currentChatId = selectedChat;
-    if (!selectedChat) {
-      currentChatId = Date.now();
-      setSelectedChat(currentChatId);
-      
-      // Create new chat entry in history
-      const newChat = {
-        id: currentChatId,
-        title: message.length > 50 ? message.substring(0, 50) + "..." : message,
-        timestamp: "Just now",
-        preview: "New conversation...",
-        createdAt: new Date().toISOString()
-      };
-      
-      // Add to chat history
-      setChatHistory(prev => [newChat, ...prev]);
+    if (isCompareMode) {
+      await handleCompareMessage(message, attachments);
+      return;
     }
 
+    // Create new chat if none selected
+    const currentChatId = ensureChat(message, attachments);
+
     const newUserMessage = {
       id: Date.now(),
       type: "user",
       content: message,
       timestamp: new Date(),
+      ...(attachments.length > 0 && { attachments }),
     };
 
     setMessages((prev) => [...prev, newUserMessage]);
 
+    const chatEntry = chatHistory.find(chat => chat.id === currentChatId) || draftChatSettings;
+    const format = toRequestFormat(chatEntry.outputFormat);
+
     // Create assistant message placeholder
     const assistantMessageId = Date.now() + 1;
     const assistantMessage = {
       id: assistantMessageId,
       type: "assistant",
       content: "",
+      model: currentModel,
       timestamp: new Date(),
+      // Kept with the answer so it is still validated after the chat's format changes
+      ...(format && { outputFormat: chatEntry.outputFormat }),
     };
 
-    setMessages((prev) => [...prev, assistantMessage]);
+    const chatMessages = [...messages, newUserMessage, assistantMessage];
+    setMessages(chatMessages);
+    // Saved right away, the generation manager writes the answer into storage
+    saveChatMessages(currentChatId, chatMessages);
+
+    generateAnswer(currentChatId, chatEntry, [...messages, newUserMessage], assistantMessageId, {
+      model: currentModel,
+      isFirstExchange: messages.length === 0,
+    });
+  };
+
+  // Generate an answer to the last user message of history into the
+  // message messageId, for new messages and regenerated ones
+  const generateAnswer = (chatId, chatEntry, history, messageId, { model, temperature, isFirstExchange = false, isRegeneration = false }) => {
+    const userMessage = history.findLast((msg) => msg.type === "user");
+    const message = userMessage?.content || "";
+    const format = toRequestFormat(chatEntry.outputFormat);
+    const summary = getHistorySummary(chatEntry, history);
 
-    try {
-      // Prepare conversation history for the LLM
-      // Only include clean answer content (no thinking tags) in conversation history
-      const conversationHistory = [...messages, newUserMessage].map((msg) => ({
-        role: msg.type === "user" ? "user" : "assistant",
-        content: msg.content, // This should already be clean answer content
-      }));
-
-      // Send message with streaming response
-      await sendMessageStream(
-        conversationHistory,
-        (chunk, fullContent, thinking, answer) => {
-
-          // Update thinking box with cleaned thinking content (no XML tags)
-          if (thinking) {
-            const cleanThinking = cleanThinkingContent(thinking);
-            setCurrentThinking(cleanThinking);
+    // Captured now, the user may switch model or chat while this generates
+    const requestKeepAlive = toKeepAliveValue(keepAlive);
+    const showEndpoint = hasEndpoints;
+
+    setCurrentThinking("");
+    setShowThinking(true);
+
+    startGeneration(chatId, messageId, async ({ signal, update, updateChat, setThinking }) => {
+      try {
+        // Context and parameters follow the model answering, which a
+        // regeneration may change
+        const metadata = await llmService.getModelMetadata(model);
+        const params = {
+          ...resolveRequestParams(presets, chatEntry.presetId, chatEntry.params, metadata.defaultParams),
+          ...(temperature !== undefined && { temperature }),
+        };
+
+        const citations = await searchKnowledge(chatEntry.collectionId, message);
+        if (citations.length > 0) {
+          update({ citations });
+        }
+
+        // Shown on the answer so the user can tell what was remembered
+        const memories = getChatMemories(chatEntry, message);
+        if (memories.length > 0) {
+          update({ memories: memories.map((memory) => memory.text) });
+        }
+
+        // Prepare conversation history for the LLM, fitted to the context window
+        // Only include clean answer content (no thinking tags) in conversation history
+        const context = await prepareContext(
+          getConversationHistory(history),
+          {
+            systemPrompt: appendMemories(resolveSystemPrompt(personas, chatEntry), memories),
+            strategy: chatEntry.contextStrategy || DEFAULT_CONTEXT_STRATEGY,
+            summary,
+            params,
+            retrieval: formatRetrievedContext(citations),
+            format,
+            metadata,
+            model,
+            endpointId: chatEntry.endpointId,
+            keepAlive: requestKeepAlive,
+            signal,
           }
+        );
 
-          // Update message with ONLY the answer part (never the full content or thinking tags)
-          const cleanAnswer = cleanContentForMainChat(answer);
-          
-          setMessages((prev) =>
-            prev.map((msg) =>
-              msg.id === assistantMessageId
-                ? { ...msg, content: cleanAnswer }
-                : msg
-            )
-          );
+        // A regenerated answer may only see the start of the conversation
+        if (!isRegeneration && context.summary !== chatEntry.contextSummary) {
+          updateChat({ contextSummary: context.summary });
         }
-      );
 
-      // Hide thinking box after response is complete
-      setTimeout(() => {
-        setShowThinking(false);
-        setCurrentThinking("");
-      }, 2000);
-
-      // Update chat history with response preview
-      const chatToUpdate = chatHistory.find(chat => chat.id === currentChatId);
-      if (chatToUpdate) {
-        const updatedChat = {
-          ...chatToUpdate,
-          timestamp: "Just now",
-          preview: "AI response received",
-          lastMessageAt: new Date().toISOString()
-        };
-        
-        setChatHistory(prev => 
-          prev.map(chat => 
-            chat.id === currentChatId ? updatedChat : chat
-          )
+        // Send message with streaming response
+        const result = await llmService.streamMessage(
+          context.messages,
+          (chunk, fullContent, thinking, answer) => {
+            // Thinking box gets the cleaned thinking content (no XML tags)
+            if (thinking) {
+              setThinking(cleanThinkingContent(thinking));
+            }
+
+            // Message gets ONLY the answer part (never the full content or thinking tags)
+            update({ content: cleanContentForMainChat(answer) });
+          },
+          {
+            model,
+            params: { ...params, num_ctx: context.contextLength },
+            format,
+            keepAlive: requestKeepAlive,
+            endpointId: chatEntry.endpointId,
+            signal,
+            tools: true,
+            toolContext: {
+              chatId,
+              // Documents of the whole conversation, readable in full by read_attachment
+              attachments: history.flatMap(getDocumentAttachments),
+            },
+            onToolCall: (toolCalls) => update({ toolCalls }),
+          }
         );
+
+        // Keep the generation statistics and the endpoint that answered
+        if (result?.stats || result?.endpoint) {
+          update({ stats: result.stats, endpoint: showEndpoint ? result.endpoint : undefined });
+        }
+
+        // Update chat history with response preview, the exchange was
+        // already learned from when it was first answered
+        const answer = cleanContentForMainChat(result?.answer);
+        if (!isRegeneration) {
+          updateChat(getAnswerUpdates(chatEntry, answer));
+        }
+
+        if (answer && !isRegeneration) {
+          processExchange(chatId, chatEntry, [userMessage, { type: "assistant", content: answer }], {
+            isFirstExchange,
+            model,
+            keepAlive: requestKeepAlive,
+            endpointId: chatEntry.endpointId,
+          });
+        }
+
+        return result;
+      } catch (error) {
+        // Cancelled answers keep what was generated so far
+        if (error.name === "AbortError") {
+          return null;
+        }
+
+        console.error("Error sending message:", error);
+
+        // Update assistant message with error
+        update({
+          content: `Sorry, I encountered an error: ${error.message}. Please make sure the LLM server is running and the ${model} model is available.`,
+          isError: true,
+        });
+        return null;
       }
-    } catch (error) {
-      console.error("Error sending message:", error);
+    });
+  };
 
-      // Hide thinking box on error
-      setShowThinking(false);
-      setCurrentThinking("");
+  // Answer again the message an assistant message replied to, keeping the
+  // earlier answers as variants
+  const handleRegenerate = (messageId, { model, temperature } = {}) => {
+    const index = messages.findIndex((msg) => msg.id === messageId);
+    const history = messages.slice(0, index);
+    if (index === -1 || !history.some((msg) => msg.type === "user")) return;
 
-      // Update assistant message with error
-      setMessages((prev) =>
-        prev.map((msg) =>
-          msg.id === assistantMessageId
-            ? {
-                ...msg,
-                content: `Sorry, I encountered an error: ${error.message}. Please make sure Ollama is running and the Qwen3 model is available.`,
-                isError: true,
-              }
-            : msg
-        )
-      );
-    }
+    clearError();
+
+    const format = toRequestFormat(currentChat?.outputFormat);
+    const regenerated = addVariant(messages[index], {
+      content: "",
+      model: model || currentModel,
+      timestamp: new Date(),
+      ...(temperature !== undefined && { temperature }),
+      ...(format && { outputFormat: currentChat.outputFormat }),
+    });
+    const chatMessages = messages.map((msg) => (msg.id === messageId ? regenerated : msg));
+    setMessages(chatMessages);
+    saveChatMessages(selectedChat, chatMessages);
+
+    generateAnswer(selectedChat, currentChat, history, messageId, {
+      model: regenerated.model,
+      temperature,
+      isRegeneration: true,
+    });
+  };
+
+  const handleSelectVariant = (messageId, variantIndex) => {
+    setMessages((prev) =>
+      prev.map((msg) => (msg.id === messageId ? selectVariant(msg, variantIndex) : msg))
+    );
   };
 
   const handleProfile = () => {
     onNavigateToProfile();
   };
 
+  const handleModels = () => {
+    onNavigateToModels();
+  };
+
   const handleLogout = () => {
     // Handle logout logic
   };
@@ -285,6 +833,8 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
     // Clear current chat selection and messages
     setSelectedChat(null);
     setMessages([]);
+    setDraftChatSettings({});
+    clearComparison();
     
     // Clear any thinking state
     setCurrentThinking("");
@@ -294,7 +844,74 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
     clearError();
   };
 
+  // Slash commands typed in the chat input, errors are shown below it
+  const handleCommand = async (name, args) => {
+    switch (name) {
+      case "new":
+        handleNewChat();
+        return;
+
+      case "model": {
+        // Tags can be left out, /model llama3.2 picks llama3.2:latest
+        const model = availableModels.find((item) => item.name === args)
+          || availableModels.find((item) => item.name.startsWith(`${args}:`));
+        if (!model) {
+          throw new Error(`${args} is not installed`);
+        }
+        await handleModelChange(model.name);
+        return;
+      }
+
+      case "system":
+        if (args) {
+          handleSystemPromptSave(args);
+        } else {
+          setOpenPanel("systemPrompt");
+        }
+        return;
+
+      case "clear":
+        if (!selectedChat || messages.length === 0) {
+          throw new Error("This chat has no messages yet");
+        }
+        if (window.confirm("Delete all messages of this chat? Its settings are kept.")) {
+          // A running answer would otherwise be saved into the cleared chat
+          cancelGeneration(selectedChat, { discard: true });
+          setMessages([]);
+          saveChatMessages(selectedChat, []);
+          updateCurrentChat({ contextSummary: null, preview: "New conversation..." });
+          setCurrentThinking("");
+          setShowThinking(false);
+        }
+        return;
+
+      case "export":
+        if (messages.length === 0) {
+          throw new Error("There is nothing to export yet");
+        }
+        downloadFile(
+          `${toFileName(currentChat?.title || "", "chat")}.md`,
+          formatChatMarkdown(currentChat, messages),
+          "text/markdown"
+        );
+        return;
+
+      case "summarize":
+        if (messages.length === 0) {
+          throw new Error("There is nothing to summarize yet");
+        }
+        await handleSendMessage(SUMMARIZE_PROMPT);
+        return;
+
+      default:
+        throw new Error(`Unknown command /${name}`);
+    }
+  };
+
   const handleChatDelete = (chatId) => {
+    // Stop its answer without writing it back
+    cancelGeneration(chatId, { discard: true });
+
     // Delete from storage
     const success = deleteChatFromHistory(chatId);
     
@@ -306,6 +923,7 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
       if (selectedChat === chatId) {
         setSelectedChat(null);
         setMessages([]);
+        clearComparison();
         setCurrentThinking("");
         setShowThinking(false);
         clearError();
@@ -315,11 +933,18 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
 
   return (
     <div className="chat-interface-view">
+      {openCitation && (
+        <CitationViewer
+          citation={openCitation}
+          onClose={() => setOpenCitation(null)}
+        />
+      )}
+
       {/* Thinking Box */}
       <ThinkingBox
         thinking={currentThinking}
         isVisible={showThinking}
-        isThinking={isLoading}
+        isThinking={isGenerating}
       />
 
       {/* Left Sidebar */}
@@ -344,17 +969,52 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
               </svg>
             </button>
           </div>
+          <ModelSelector
+            models={availableModels}
+            currentModel={currentModel}
+            metadata={modelMetadata}
+            onModelChange={handleModelChange}
+            disabled={!isInitialized || isLoading || isGenerating}
+          />
           {/* Connection Status Indicator */}
           <div className={`connection-status ${connectionStatus}`}>
             <div className="status-indicator"></div>
             <span className="status-text">
-              {connectionStatus === "connected" &&
-                `${currentModel} (Connected)`}
+              {connectionStatus === "connected" && "Connected"}
               {connectionStatus === "connecting" && "Connecting..."}
               {connectionStatus === "error" && "Connection Error"}
+              {connectionStatus === "unavailable" && "Server unavailable, retrying soon"}
+              {connectionStatus === "recovering" && "Reconnecting..."}
               {connectionStatus === "disconnected" && "Disconnected"}
             </span>
           </div>
+          {hasEndpoints && (
+            <EndpointStatusList
+              endpoints={endpoints}
+              lastEndpointId={messages.findLast((msg) => msg.endpoint)?.endpoint.id}
+              onManage={onNavigateToEndpoints}
+            />
+          )}
+          {canManageMemory && connectionStatus === "connected" && (
+            <RunningModelsPanel
+              runningModels={runningModels}
+              currentModel={currentModel}
+              keepAlive={keepAlive}
+              memoryAction={memoryAction}
+              disabled={isLoading}
+              onKeepAliveChange={handleKeepAliveChange}
+              onPreload={handlePreloadModel}
+              onUnload={unloadModel}
+            />
+          )}
+          {pullProgress && (
+            <div className="pull-status">
+              <small>
+                Pulling {pullProgress.model}: {pullProgress.status}
+                {pullProgress.percent !== null && ` (${pullProgress.percent}%)`}
+              </small>
+            </div>
+          )}
           {llmError && (
             <div className="error-message">
               <small>{llmError}</small>
@@ -378,24 +1038,181 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
           <ChatHistoryList
             chatHistory={chatHistory}
             selectedChat={selectedChat}
+            generationStatus={generationStatus}
             onChatSelect={handleChatSelect}
             onChatDelete={handleChatDelete}
           />
         )}
 
-        <UserMenu onProfile={handleProfile} onLogout={handleLogout} />
+        <UserMenu
+          onProfile={handleProfile}
+          onModels={handleModels}
+          onPersonas={onNavigateToPersonas}
+          onKnowledge={onNavigateToKnowledge}
+          onEndpoints={onNavigateToEndpoints}
+          onPrompts={onNavigateToPrompts}
+          onLogout={handleLogout}
+        />
       </div>
 
       {/* Right Main Area */}
       <div className="chat-main">
-        {selectedChat || messages.length > 0 ? (
+        <div className="chat-toolbar">
+          {selectedChat && (
+            <ContextIndicator
+              context={contextPreview}
+              strategy={contextStrategy}
+              onStrategyChange={handleContextStrategyChange}
+            />
+          )}
+          <KnowledgeSelector
+            collections={collections}
+            collectionId={currentChat?.collectionId}
+            onChange={handleCollectionChange}
+            disabled={isGenerating}
+          />
+          {hasEndpoints && (
+            <EndpointSelector
+              endpoints={endpoints}
+              endpointId={currentChat?.endpointId}
+              onChange={handleEndpointChange}
+              disabled={isGenerating}
+            />
+          )}
+          <button
+            className={`toolbar-btn ${openPanel === "compare" || isCompareMode ? "active" : ""}`}
+            onClick={() => togglePanel("compare")}
+            title="Compare models"
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="3" y="4" width="7" height="16" rx="1" />
+              <rect x="14" y="4" width="7" height="16" rx="1" />
+            </svg>
+            {isCompareMode ? `Compare ${compareModels.length}` : "Compare"}
+          </button>
+          <button
+            className={`toolbar-btn ${openPanel === "outputFormat" || outputFormat ? "active" : ""}`}
+            onClick={() => togglePanel("outputFormat")}
+            title="Output format"
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M8 3H7a2 2 0 0 0-2 2v5a2 2 0 0 1-2 2 2 2 0 0 1 2 2v5a2 2 0 0 0 2 2h1M16 3h1a2 2 0 0 1 2 2v5a2 2 0 0 0 2 2 2 2 0 0 0-2 2v5a2 2 0 0 1-2 2h-1" />
+            </svg>
+            {outputFormat?.type === OUTPUT_FORMATS.SCHEMA ? "Schema" : outputFormat?.type === OUTPUT_FORMATS.JSON ? "JSON" : "Text"}
+          </button>
+          <button
+            className={`toolbar-btn ${isMemoryEnabled ? "active" : ""}`}
+            onClick={() => updateCurrentChat({ memoryEnabled: !isMemoryEnabled })}
+            title={isMemoryEnabled
+              ? "This chat uses and adds to what is remembered about you, click to turn off"
+              : "This chat ignores what is remembered about you, click to turn on"}
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M12 2a7 7 0 0 0-4 12.7V17h8v-2.3A7 7 0 0 0 12 2z" />
+              <path d="M9 21h6" />
+            </svg>
+            {isMemoryEnabled ? "Memory" : "No memory"}
+          </button>
+          <button
+            className={`toolbar-btn ${openPanel === "systemPrompt" ? "active" : ""}`}
+            onClick={() => togglePanel("systemPrompt")}
+            title="System prompt"
+          >
+            <span className="toolbar-persona-avatar">{chatPersona.avatar}</span>
+            {chatPersona.name}
+          </button>
+          <button
+            className={`toolbar-btn ${openPanel === "parameters" ? "active" : ""}`}
+            onClick={() => togglePanel("parameters")}
+            title="Generation parameters"
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M4 21v-7M4 10V3M12 21v-9M12 8V3M20 21v-5M20 12V3M1 14h6M9 8h6M17 16h6" />
+            </svg>
+            {currentChat?.presetId
+              ? presets.find((preset) => preset.id === currentChat.presetId)?.name || "Parameters"
+              : "Parameters"}
+          </button>
+          {openPanel === "compare" && (
+            <ComparePanel
+              models={availableModels}
+              selected={compareModels}
+              onChange={setCompareModels}
+              onClose={() => setOpenPanel(null)}
+            />
+          )}
+          {openPanel === "outputFormat" && (
+            <StructuredOutputPanel
+              key={selectedChat ?? "draft"}
+              outputFormat={outputFormat}
+              onSave={handleOutputFormatSave}
+              onClose={() => setOpenPanel(null)}
+            />
+          )}
+          {openPanel === "systemPrompt" && (
+            <SystemPromptPanel
+              key={selectedChat ?? "draft"}
+              persona={chatPersona}
+              systemPrompt={systemPrompt}
+              isCustom={systemPrompt !== chatPersona.systemPrompt}
+              onSave={handleSystemPromptSave}
+              onClose={() => setOpenPanel(null)}
+            />
+          )}
+          {openPanel === "parameters" && (
+            <ParameterPanel
+              presets={presets}
+              presetId={currentChat?.presetId || ""}
+              overrides={currentChat?.params}
+              modelDefaults={modelMetadata.defaultParams}
+              onChange={handleParametersChange}
+              onSavePreset={savePreset}
+              onDeletePreset={deletePreset}
+              onClose={() => setOpenPanel(null)}
+            />
+          )}
+        </div>
+        {selectedChat || messages.length > 0 || comparison ? (
           <>
             <div className="messages-container">
-              <MessageList messages={messages} isLoading={isLoading} />
+              <MessageList
+                messages={messages}
+                isLoading={isGenerating}
+                excludedIds={contextPreview.excludedIds}
+                summarizedIds={contextPreview.summarizedIds}
+                models={modelNames}
+                defaultTemperature={chatParams.temperature ?? PARAM_PLACEHOLDERS.temperature}
+                onTogglePin={handleTogglePin}
+                onOpenCitation={setOpenCitation}
+                // Answers stay as they are while one is generating or models are compared
+                onRegenerate={canChangeAnswers ? handleRegenerate : undefined}
+                onSelectVariant={canChangeAnswers ? handleSelectVariant : undefined}
+              />
+              {comparison && (
+                <ComparisonView
+                  comparison={comparison}
+                  cleanAnswer={cleanContentForMainChat}
+                  cleanThinking={cleanThinkingContent}
+                  onKeep={handleKeepComparedAnswer}
+                  onStop={cancelComparison}
+                  onDiscard={clearComparison}
+                />
+              )}
             </div>
             <ChatInput
               onSendMessage={handleSendMessage}
-              isLoading={isLoading}
+              onCommand={handleCommand}
+              isLoading={isGenerating || Boolean(comparison)}
+              imageWarning={imageWarning}
+              templates={templates}
+              models={modelNames}
+              placeholder={
+                comparison
+                  ? "Keep one of the compared answers or discard them to continue..."
+                  : isCompareMode
+                    ? `Ask ${compareModels.length} models at once...`
+                    : undefined
+              }
             />
           </>
         ) : (
@@ -416,12 +1233,22 @@ const ChatInterfaceView = ({ onNavigateToProfile }) => {
                 </div>
                 <h3>Welcome to Personal Chatbot</h3>
                 <p>Start a new conversation by typing your message below.</p>
+                <PersonaPicker
+                  personas={personas}
+                  selectedId={draftChatSettings.personaId || DEFAULT_PERSONA.id}
+                  onSelect={handlePersonaSelect}
+                  onManage={onNavigateToPersonas}
+                />
               </div>
             </div>
             <ChatInput
               onSendMessage={handleSendMessage}
-              isLoading={isLoading}
-              placeholder="Start a new conversation..."
+              onCommand={handleCommand}
+              isLoading={isGenerating}
+              imageWarning={imageWarning}
+              templates={templates}
+              models={modelNames}
+              placeholder="Start a new conversation, or type / for commands..."
             />
           </>
         )}
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import Button from '../../components/common/Button/Button';
+import { useEndpoints } from '../../hooks/useEndpoints';
+import { createEndpoint, validateEndpoint, ENDPOINT_STATUS } from '../../services/llm/index.js';
+import './EndpointsView.css';
+
+const STATUS_LABELS = {
+  [ENDPOINT_STATUS.ONLINE]: 'Online',
+  [ENDPOINT_STATUS.OFFLINE]: 'Offline',
+  [ENDPOINT_STATUS.UNKNOWN]: 'Not checked'
+};
+
+const EndpointsView = ({ onNavigateToChat }) => {
+  const [editingEndpoint, setEditingEndpoint] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const {
+    endpoints,
+    isChecking,
+    canManageEndpoints,
+    checkEndpoints,
+    saveEndpoint,
+    deleteEndpoint,
+    setPreferredEndpoint
+  } = useEndpoints();
+
+  const startEditing = (endpoint) => {
+    setEditingEndpoint(endpoint);
+    setErrors({});
+  };
+
+  const handleDelete = (endpoint) => {
+    if (window.confirm(`Remove the endpoint "${endpoint.name}"? Chats using it go back to the preferred endpoint.`)) {
+      deleteEndpoint(endpoint.id);
+      if (editingEndpoint?.id === endpoint.id) {
+        setEditingEndpoint(null);
+      }
+    }
+  };
+
+  const updateField = (field, value) => {
+    setEditingEndpoint((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const validation = validateEndpoint(editingEndpoint, endpoints);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      saveEndpoint(editingEndpoint);
+      setEditingEndpoint(null);
+    } catch (error) {
+      setErrors({ form: error.message });
+    }
+  };
+
+  return (
+    <div className="endpoints-view">
+      <div className="endpoints-container">
+        <div className="endpoints-header">
+          <Button
+            variant="ghost"
+            onClick={onNavigateToChat}
+            className="back-button"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            Back to Chat
+          </Button>
+        </div>
+
+        <div className="endpoints-content">
+          <div className="endpoints-title-section">
+            <div>
+              <h1>Endpoints</h1>
+              <p className="endpoints-subtitle">
+                Ollama servers requests are sent to. When the preferred one is down, the next healthy one serving the model answers
+              </p>
+            </div>
+            {canManageEndpoints && (
+              <div className="endpoints-title-actions">
+                <Button variant="secondary" size="small" onClick={checkEndpoints} disabled={isChecking}>
+                  {isChecking ? 'Checking...' : 'Check all'}
+                </Button>
+                <Button variant="primary" size="small" onClick={() => startEditing(createEndpoint())}>
+                  Add endpoint
+                </Button>
+              </div>
+            )}
+          </div>
+
+          {!canManageEndpoints && (
+            <div className="endpoints-notice">
+              The current provider talks to a single server. Endpoints are available with Ollama.
+            </div>
+          )}
+
+          {editingEndpoint && (
+            <form className="endpoint-form" onSubmit={handleSubmit}>
+              <div className="endpoint-form-row">
+                <div className={`endpoint-form-field ${errors.name ? 'invalid' : ''}`}>
+                  <label htmlFor="endpoint-name">Name</label>
+                  <input
+                    id="endpoint-name"
+                    type="text"
+                    value={editingEndpoint.name}
+                    onChange={(e) => updateField('name', e.target.value)}
+                    placeholder="e.g. Desktop GPU"
+                  />
+                  {errors.name && <span className="endpoint-form-error">{errors.name}</span>}
+                </div>
+                <div className={`endpoint-form-field endpoint-form-url ${errors.baseURL ? 'invalid' : ''}`}>
+                  <label htmlFor="endpoint-url">URL</label>
+                  <input
+                    id="endpoint-url"
+                    type="url"
+                    value={editingEndpoint.baseURL}
+                    onChange={(e) => updateField('baseURL', e.target.value)}
+                    placeholder="http://192.168.1.20:11434"
+                  />
+                  {errors.baseURL && <span className="endpoint-form-error">{errors.baseURL}</span>}
+                </div>
+              </div>
+
+              <p className="endpoint-form-hint">
+                The server must accept requests from this page, start it with OLLAMA_HOST=0.0.0.0 and OLLAMA_ORIGINS set to this page's origin.
+              </p>
+
+              {errors.form && <div className="endpoint-form-error">{errors.form}</div>}
+
+              <div className="endpoint-form-actions">
+                <Button type="button" variant="ghost" onClick={() => setEditingEndpoint(null)}>
+                  Cancel
+                </Button>
+                <Button type="submit" variant="primary">
+                  Save endpoint
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {canManageEndpoints && (
+            <div className="endpoint-list">
+              {endpoints.map((endpoint) => (
+                <div key={endpoint.id} className="endpoint-card">
+                  <span
+                    className={`endpoint-status-dot ${endpoint.status}`}
+                    title={endpoint.error || STATUS_LABELS[endpoint.status]}
+                  />
+                  <div className="endpoint-card-info">
+                    <div className="endpoint-card-name">
+                      {endpoint.name}
+                      {endpoint.builtIn && <span className="endpoint-card-badge">Configured</span>}
+                      {endpoint.isPreferred && <span className="endpoint-card-badge preferred">Preferred</span>}
+                    </div>
+                    <div className="endpoint-card-url">{endpoint.baseURL}</div>
+                    <div className="endpoint-card-meta">
+                      {STATUS_LABELS[endpoint.status]}
+                      {endpoint.status === ENDPOINT_STATUS.ONLINE && (
+                        <>
+                          {' · '}
+                          {endpoint.models.length} {endpoint.models.length === 1 ? 'model' : 'models'}
+                          {endpoint.latency !== null && ` · ${endpoint.latency} ms`}
+                        </>
+                      )}
+                      {endpoint.checkedAt && ` · checked ${new Date(endpoint.checkedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+                    </div>
+                    {endpoint.status === ENDPOINT_STATUS.OFFLINE && endpoint.error && (
+                      <div className="endpoint-card-error">{endpoint.error}</div>
+                    )}
+                  </div>
+                  <div className="endpoint-card-actions">
+                    {!endpoint.isPreferred && (
+                      <Button variant="ghost" size="small" onClick={() => setPreferredEndpoint(endpoint.id)}>
+                        Make preferred
+                      </Button>
+                    )}
+                    {!endpoint.builtIn && (
+                      <>
+                        <Button variant="ghost" size="small" onClick={() => startEditing(endpoint)}>Edit</Button>
+                        <Button variant="ghost" size="small" onClick={() => handleDelete(endpoint)}>Delete</Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EndpointsView;
@@ -0,0 +1,243 @@
+import React, { useRef, useState } from 'react';
+import Button from '../../components/common/Button/Button';
+import { useKnowledgeBase } from '../../hooks/useKnowledgeBase';
+import { useModelLibrary } from '../../hooks/useModelLibrary';
+import { llmService } from '../../services/llm/index.js';
+import { ACCEPTED_DOCUMENT_TYPES } from '../../utils/attachments';
+import { formatBytes, formatDate } from '../../utils/formatters';
+import './KnowledgeView.css';
+
+const KnowledgeView = ({ onNavigateToChat }) => {
+  const [collectionName, setCollectionName] = useState('');
+  const [embeddingModel, setEmbeddingModel] = useState(() => llmService.getDefaultEmbeddingModel());
+  const fileInputRef = useRef(null);
+
+  const {
+    collections,
+    selectedCollection,
+    selectCollection,
+    documents,
+    error,
+    indexingProgress,
+    createCollection,
+    deleteCollection,
+    addFiles,
+    cancelIndexing,
+    deleteDocument,
+    clearError,
+  } = useKnowledgeBase();
+  const { models, canPull } = useModelLibrary();
+
+  const isEmbeddingModelInstalled = models.length === 0
+    || models.some((model) => model.name === embeddingModel || model.name === `${embeddingModel}:latest`);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const collection = await createCollection({ name: collectionName, embeddingModel });
+    if (collection) {
+      setCollectionName('');
+    }
+  };
+
+  const handleDeleteCollection = (collection) => {
+    if (window.confirm(`Delete the collection "${collection.name}" and its ${collection.documentCount} documents?`)) {
+      deleteCollection(collection.id);
+    }
+  };
+
+  const handleDeleteDocument = (document) => {
+    if (window.confirm(`Remove ${document.name} from this collection?`)) {
+      deleteDocument(document.id);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    addFiles(Array.from(e.target.files));
+    e.target.value = '';
+  };
+
+  const progressPercent = indexingProgress?.total
+    ? Math.round((indexingProgress.completed / indexingProgress.total) * 100)
+    : null;
+
+  return (
+    <div className="knowledge-view">
+      <div className="knowledge-container">
+        <div className="knowledge-header">
+          <Button
+            variant="ghost"
+            onClick={onNavigateToChat}
+            className="back-button"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            Back to Chat
+          </Button>
+        </div>
+
+        <div className="knowledge-content">
+          <div className="knowledge-title-section">
+            <h1>Knowledge Base</h1>
+            <p className="knowledge-subtitle">
+              Collections of documents that chats can search. Documents are embedded locally and stored in this browser.
+            </p>
+          </div>
+
+          {error && (
+            <div className="knowledge-error">
+              <span>{error}</span>
+              <button className="knowledge-error-dismiss" onClick={clearError} aria-label="Dismiss error">×</button>
+            </div>
+          )}
+
+          <form className="collection-form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={collectionName}
+              onChange={(e) => setCollectionName(e.target.value)}
+              placeholder="New collection name"
+            />
+            <input
+              type="text"
+              className="collection-model-input"
+              value={embeddingModel}
+              onChange={(e) => setEmbeddingModel(e.target.value)}
+              placeholder="Embedding model"
+              list="embedding-models"
+              title="Model used to embed the documents of this collection"
+            />
+            <datalist id="embedding-models">
+              {models.map((model) => (
+                <option key={model.name} value={model.name} />
+              ))}
+            </datalist>
+            <Button type="submit" variant="primary" disabled={!collectionName.trim() || !embeddingModel.trim()}>
+              Create
+            </Button>
+          </form>
+          {canPull && !isEmbeddingModelInstalled && (
+            <p className="knowledge-hint">
+              {embeddingModel} is not installed. Pull it from the Models page before adding documents.
+            </p>
+          )}
+
+          <div className="knowledge-layout">
+            <div className="collection-list">
+              {collections.length === 0 && (
+                <div className="knowledge-empty">No collections yet.</div>
+              )}
+              {collections.map((collection) => (
+                <button
+                  key={collection.id}
+                  className={`collection-item ${selectedCollection?.id === collection.id ? 'selected' : ''}`}
+                  onClick={() => selectCollection(collection.id)}
+                >
+                  <span className="collection-name">{collection.name}</span>
+                  <span className="collection-meta">
+                    {collection.documentCount} {collection.documentCount === 1 ? 'document' : 'documents'} · {collection.chunkCount} chunks
+                  </span>
+                </button>
+              ))}
+            </div>
+
+            <div className="collection-detail">
+              {!selectedCollection ? (
+                <div className="knowledge-empty">Select a collection to see its documents.</div>
+              ) : (
+                <>
+                  <div className="collection-detail-header">
+                    <div>
+                      <h2>{selectedCollection.name}</h2>
+                      <span className="collection-meta">
+                        Embedded with {selectedCollection.embeddingModel}
+                        {selectedCollection.dimensions && ` · ${selectedCollection.dimensions} dimensions`}
+                      </span>
+                    </div>
+                    <div className="collection-actions">
+                      <Button
+                        variant="secondary"
+                        size="small"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={Boolean(indexingProgress)}
+                      >
+                        Add documents
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="small"
+                        onClick={() => handleDeleteCollection(selectedCollection)}
+                        disabled={Boolean(indexingProgress)}
+                      >
+                        Delete
+                      </Button>
+                    </div>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept={ACCEPTED_DOCUMENT_TYPES}
+                      multiple
+                      hidden
+                      onChange={handleFileChange}
+                    />
+                  </div>
+
+                  {indexingProgress && (
+                    <div className="indexing-progress">
+                      <div className="indexing-progress-header">
+                        <span className="indexing-progress-file">
+                          {indexingProgress.file}
+                          {indexingProgress.count > 1 && ` (${indexingProgress.position} of ${indexingProgress.count})`}
+                        </span>
+                        <span>
+                          {indexingProgress.status}
+                          {indexingProgress.total > 0 && ` ${indexingProgress.completed} / ${indexingProgress.total} chunks`}
+                        </span>
+                      </div>
+                      <div className="indexing-progress-bar">
+                        <div
+                          className={`indexing-progress-fill ${progressPercent === null ? 'indeterminate' : ''}`}
+                          style={{ width: progressPercent === null ? '100%' : `${progressPercent}%` }}
+                        />
+                      </div>
+                      <div className="indexing-progress-footer">
+                        <Button variant="ghost" size="small" onClick={cancelIndexing}>
+                          Cancel
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="document-list">
+                    {documents.length === 0 && (
+                      <div className="knowledge-empty">No documents yet. Add text, Markdown, code, CSV or PDF files.</div>
+                    )}
+                    {documents.map((document) => (
+                      <div key={document.id} className="document-row">
+                        <span className="document-name" title={document.name}>{document.name}</span>
+                        <span>{formatBytes(document.size)}</span>
+                        <span>{document.chunkCount} chunks</span>
+                        <span>{formatDate(document.addedAt)}</span>
+                        <button
+                          className="document-delete-btn"
+                          onClick={() => handleDeleteDocument(document)}
+                          disabled={Boolean(indexingProgress)}
+                          title="Remove document"
+                          aria-label={`Remove ${document.name}`}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KnowledgeView;
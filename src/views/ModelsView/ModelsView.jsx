@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import Button from '../../components/common/Button/Button';
+import { useModelLibrary } from '../../hooks/useModelLibrary';
+import { formatBytes, formatDate } from '../../utils/formatters';
+import './ModelsView.css';
+
+const ModelsView = ({ onNavigateToChat }) => {
+  const [modelToPull, setModelToPull] = useState('');
+
+  const {
+    models,
+    isLoading,
+    error,
+    pullProgress,
+    deletingModel,
+    totalSize,
+    canPull,
+    canDelete,
+    refreshModels,
+    pullModel,
+    cancelPull,
+    deleteModel,
+    clearError,
+  } = useModelLibrary();
+
+  const handlePull = async (e) => {
+    e.preventDefault();
+    const modelName = modelToPull.trim();
+    if (!modelName || pullProgress) return;
+
+    const result = await pullModel(modelName);
+    if (result.success) {
+      setModelToPull('');
+    }
+  };
+
+  const handleDelete = (modelName) => {
+    if (window.confirm(`Delete ${modelName}? It will have to be pulled again to be used.`)) {
+      deleteModel(modelName);
+    }
+  };
+
+  return (
+    <div className="models-view">
+      <div className="models-container">
+        <div className="models-header">
+          <Button
+            variant="ghost"
+            onClick={onNavigateToChat}
+            className="back-button"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            Back to Chat
+          </Button>
+        </div>
+
+        <div className="models-content">
+          <div className="models-title-section">
+            <div>
+              <h1>Model Library</h1>
+              <p className="models-subtitle">
+                {models.length} {models.length === 1 ? 'model' : 'models'} using {formatBytes(totalSize)} of disk space
+              </p>
+            </div>
+            <Button variant="secondary" size="small" onClick={refreshModels} disabled={isLoading}>
+              {isLoading ? 'Refreshing...' : 'Refresh'}
+            </Button>
+          </div>
+
+          {error && (
+            <div className="models-error">
+              <span>{error}</span>
+              <button className="models-error-dismiss" onClick={clearError} aria-label="Dismiss error">×</button>
+            </div>
+          )}
+
+          {canPull && (
+            <form className="pull-form" onSubmit={handlePull}>
+              <input
+                type="text"
+                value={modelToPull}
+                onChange={(e) => setModelToPull(e.target.value)}
+                placeholder="Model name, e.g. llama3.2:3b"
+                disabled={Boolean(pullProgress)}
+              />
+              <Button type="submit" variant="primary" disabled={!modelToPull.trim() || Boolean(pullProgress)}>
+                Pull
+              </Button>
+            </form>
+          )}
+
+          {pullProgress && (
+            <div className="pull-progress">
+              <div className="pull-progress-header">
+                <span className="pull-progress-model">{pullProgress.model}</span>
+                <span className="pull-progress-status">
+                  {pullProgress.status}
+                  {pullProgress.percent !== null && ` · ${pullProgress.percent}%`}
+                </span>
+              </div>
+              <div className="pull-progress-bar">
+                <div
+                  className={`pull-progress-fill ${pullProgress.percent === null ? 'indeterminate' : ''}`}
+                  style={{ width: pullProgress.percent === null ? '100%' : `${pullProgress.percent}%` }}
+                />
+              </div>
+              <div className="pull-progress-footer">
+                <span>
+                  {pullProgress.total > 0 && `${formatBytes(pullProgress.completed)} / ${formatBytes(pullProgress.total)}`}
+                </span>
+                <Button variant="ghost" size="small" onClick={cancelPull}>
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
+
+          <div className="model-table">
+            <div className="model-row model-row-header">
+              <span>Name</span>
+              <span>Family</span>
+              <span>Parameters</span>
+              <span>Quantization</span>
+              <span>Size</span>
+              <span>Modified</span>
+              <span></span>
+            </div>
+            {models.length === 0 && !isLoading && (
+              <div className="models-empty">No local models found.</div>
+            )}
+            {models.map((model) => (
+              <div key={model.name} className="model-row">
+                <span className="model-name" title={model.name}>{model.name}</span>
+                <span>{model.details?.family || '—'}</span>
+                <span>{model.details?.parameter_size || '—'}</span>
+                <span>{model.details?.quantization_level || '—'}</span>
+                <span>{model.size ? formatBytes(model.size) : '—'}</span>
+                <span>{model.modified_at ? formatDate(model.modified_at) : '—'}</span>
+                <span className="model-actions">
+                  {canDelete && (
+                    <button
+                      className="model-delete-btn"
+                      onClick={() => handleDelete(model.name)}
+                      disabled={deletingModel === model.name}
+                      title="Delete model"
+                      aria-label={`Delete ${model.name}`}
+                    >
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M3 6h18" />
+                        <path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6" />
+                        <path d="M8 6V4c0-1 1-2 2-2h4c0 1 1 2 2 2v2" />
+                      </svg>
+                    </button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelsView;
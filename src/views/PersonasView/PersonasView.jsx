@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import Button from '../../components/common/Button/Button';
+import { usePersonas } from '../../hooks/usePersonas';
+import { useParameterPresets } from '../../hooks/useParameterPresets';
+import { useModelLibrary } from '../../hooks/useModelLibrary';
+import { createPersona, validatePersona } from '../../services/llm/index.js';
+import './PersonasView.css';
+
+const PersonasView = ({ onNavigateToChat }) => {
+  const [editingPersona, setEditingPersona] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const { personas, savePersona, deletePersona } = usePersonas();
+  const { presets } = useParameterPresets();
+  const { models } = useModelLibrary();
+
+  const startEditing = (persona) => {
+    setEditingPersona(persona);
+    setErrors({});
+  };
+
+  const handleDuplicate = (persona) => {
+    startEditing({
+      ...createPersona(),
+      name: `${persona.name} copy`,
+      avatar: persona.avatar,
+      systemPrompt: persona.systemPrompt,
+      model: persona.model,
+      presetId: persona.presetId
+    });
+  };
+
+  const handleDelete = (persona) => {
+    if (window.confirm(`Delete the persona "${persona.name}"? Chats using it keep their prompt.`)) {
+      deletePersona(persona.id);
+      if (editingPersona?.id === persona.id) {
+        setEditingPersona(null);
+      }
+    }
+  };
+
+  const updateField = (field, value) => {
+    setEditingPersona((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const validation = validatePersona(editingPersona);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      savePersona(editingPersona);
+      setEditingPersona(null);
+    } catch (error) {
+      setErrors({ form: error.message });
+    }
+  };
+
+  return (
+    <div className="personas-view">
+      <div className="personas-container">
+        <div className="personas-header">
+          <Button
+            variant="ghost"
+            onClick={onNavigateToChat}
+            className="back-button"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            Back to Chat
+          </Button>
+        </div>
+
+        <div className="personas-content">
+          <div className="personas-title-section">
+            <div>
+              <h1>Personas</h1>
+              <p className="personas-subtitle">
+                A persona sets the system prompt, model and parameters a new chat starts with
+              </p>
+            </div>
+            <Button variant="primary" size="small" onClick={() => startEditing(createPersona())}>
+              New persona
+            </Button>
+          </div>
+
+          {editingPersona && (
+            <form className="persona-form" onSubmit={handleSubmit}>
+              <div className="persona-form-row">
+                <div className="persona-form-field persona-form-avatar">
+                  <label htmlFor="persona-avatar">Avatar</label>
+                  <input
+                    id="persona-avatar"
+                    type="text"
+                    value={editingPersona.avatar}
+                    onChange={(e) => updateField('avatar', e.target.value)}
+                    maxLength={4}
+                  />
+                </div>
+                <div className={`persona-form-field ${errors.name ? 'invalid' : ''}`}>
+                  <label htmlFor="persona-name">Name</label>
+                  <input
+                    id="persona-name"
+                    type="text"
+                    value={editingPersona.name}
+                    onChange={(e) => updateField('name', e.target.value)}
+                    placeholder="e.g. Code reviewer"
+                  />
+                  {errors.name && <span className="persona-form-error">{errors.name}</span>}
+                </div>
+              </div>
+
+              <div className="persona-form-row">
+                <div className="persona-form-field">
+                  <label htmlFor="persona-model">Default model</label>
+                  <select
+                    id="persona-model"
+                    value={editingPersona.model || ''}
+                    onChange={(e) => updateField('model', e.target.value || null)}
+                  >
+                    <option value="">Current model</option>
+                    {editingPersona.model && !models.some((model) => model.name === editingPersona.model) && (
+                      <option value={editingPersona.model}>{editingPersona.model} (not installed)</option>
+                    )}
+                    {models.map((model) => (
+                      <option key={model.name} value={model.name}>{model.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="persona-form-field">
+                  <label htmlFor="persona-preset">Parameters</label>
+                  <select
+                    id="persona-preset"
+                    value={editingPersona.presetId || ''}
+                    onChange={(e) => updateField('presetId', e.target.value || null)}
+                  >
+                    <option value="">Model defaults</option>
+                    {presets.map((preset) => (
+                      <option key={preset.id} value={preset.id}>{preset.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className={`persona-form-field ${errors.systemPrompt ? 'invalid' : ''}`}>
+                <label htmlFor="persona-prompt">System prompt</label>
+                <textarea
+                  id="persona-prompt"
+                  rows="8"
+                  value={editingPersona.systemPrompt}
+                  onChange={(e) => updateField('systemPrompt', e.target.value)}
+                  placeholder="Describe how the assistant should behave"
+                />
+                {errors.systemPrompt && <span className="persona-form-error">{errors.systemPrompt}</span>}
+              </div>
+
+              {errors.form && <div className="persona-form-error">{errors.form}</div>}
+
+              <div className="persona-form-actions">
+                <Button type="button" variant="ghost" onClick={() => setEditingPersona(null)}>
+                  Cancel
+                </Button>
+                <Button type="submit" variant="primary">
+                  Save persona
+                </Button>
+              </div>
+            </form>
+          )}
+
+          <div className="persona-list">
+            {personas.map((persona) => (
+              <div key={persona.id} className="persona-card">
+                <span className="persona-card-avatar">{persona.avatar}</span>
+                <div className="persona-card-info">
+                  <div className="persona-card-name">
+                    {persona.name}
+                    {persona.builtIn && <span className="persona-card-badge">Built-in</span>}
+                  </div>
+                  <div className="persona-card-meta">
+                    {persona.model || 'Current model'}
+                    {' · '}
+                    {presets.find((preset) => preset.id === persona.presetId)?.name || 'Model defaults'}
+                  </div>
+                  <p className="persona-card-prompt">{persona.systemPrompt}</p>
+                </div>
+                <div className="persona-card-actions">
+                  {!persona.builtIn && (
+                    <Button variant="ghost" size="small" onClick={() => startEditing(persona)}>Edit</Button>
+                  )}
+                  <Button variant="ghost" size="small" onClick={() => handleDuplicate(persona)}>Duplicate</Button>
+                  {!persona.builtIn && (
+                    <Button variant="ghost" size="small" onClick={() => handleDelete(persona)}>Delete</Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonasView;
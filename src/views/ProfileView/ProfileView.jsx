@@ -1,8 +1,70 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Button from '../../components/common/Button/Button';
+import { useChatPersistence } from '../../hooks/useChatPersistence';
+import { useMemories } from '../../hooks/useMemories';
+import { validateMemory } from '../../services/memory/index.js';
+import { formatDate } from '../../utils/formatters';
 import './ProfileView.css';
 
 const ProfileView = ({ onNavigateToChat }) => {
+  const { loadSettings, updateSetting, loadChatHistory } = useChatPersistence();
+  const [mockBackend, setMockBackend] = useState(() => Boolean(loadSettings().mockBackend));
+  const { memories, saveMemory, deleteMemory, clearMemories } = useMemories();
+  const [newMemory, setNewMemory] = useState('');
+  // Memory being edited: { id, text }
+  const [editingMemory, setEditingMemory] = useState(null);
+  const [memoryError, setMemoryError] = useState(null);
+  const [chatTitles] = useState(() => new Map(loadChatHistory().map(chat => [chat.id, chat.title])));
+
+  const handleSaveMemory = (memory, onSaved) => {
+    const validation = validateMemory(memory);
+    if (!validation.isValid) {
+      setMemoryError(validation.errors.text);
+      return;
+    }
+
+    try {
+      saveMemory(memory);
+      setMemoryError(null);
+      onSaved();
+    } catch (error) {
+      setMemoryError(error.message);
+    }
+  };
+
+  const handleAddMemory = (e) => {
+    e.preventDefault();
+    handleSaveMemory({ text: newMemory }, () => setNewMemory(''));
+  };
+
+  const handleUpdateMemory = (e) => {
+    e.preventDefault();
+    const memory = memories.find(item => item.id === editingMemory.id);
+    handleSaveMemory({ ...memory, text: editingMemory.text }, () => setEditingMemory(null));
+  };
+
+  const handleClearMemories = () => {
+    if (window.confirm('Forget everything remembered about you? This cannot be undone.')) {
+      clearMemories();
+      setEditingMemory(null);
+    }
+  };
+
+  // The chat view opens the selected chat when it mounts
+  const handleOpenChat = (chatId) => {
+    updateSetting('selectedChatId', chatId);
+    onNavigateToChat();
+  };
+
+  // The provider is picked at startup, so switching reloads the app
+  const handleMockBackendChange = (event) => {
+    const enabled = event.target.checked;
+    if (updateSetting('mockBackend', enabled)) {
+      setMockBackend(enabled);
+      window.location.reload();
+    }
+  };
+
   return (
     <div className="profile-view">
       <div className="profile-container">
@@ -76,6 +138,111 @@ const ProfileView = ({ onNavigateToChat }) => {
               </div>
             </div>
 
+            <div className="profile-section">
+              <h3>Memory</h3>
+              <p className="profile-field-hint">
+                Facts the assistant learned about you in your chats, sent with new messages when they are relevant.
+                Memory can be turned off per chat from the chat toolbar.
+              </p>
+              <form className="memory-add" onSubmit={handleAddMemory}>
+                <input
+                  type="text"
+                  value={newMemory}
+                  onChange={(e) => setNewMemory(e.target.value)}
+                  placeholder="Add something to remember, e.g. The user prefers metric units"
+                />
+                <Button type="submit" variant="secondary" size="small" disabled={!newMemory.trim()}>
+                  Add
+                </Button>
+              </form>
+              {memoryError && <div className="memory-error">{memoryError}</div>}
+              {memories.length === 0 ? (
+                <p className="memory-empty">Nothing remembered yet</p>
+              ) : (
+                <ul className="memory-list">
+                  {[...memories].reverse().map((memory) => (
+                    <li key={memory.id} className="memory-item">
+                      {editingMemory?.id === memory.id ? (
+                        <form className="memory-edit" onSubmit={handleUpdateMemory}>
+                          <input
+                            type="text"
+                            value={editingMemory.text}
+                            onChange={(e) => setEditingMemory({ ...editingMemory, text: e.target.value })}
+                            autoFocus
+                          />
+                          <Button type="submit" variant="primary" size="small">Save</Button>
+                          <Button type="button" variant="ghost" size="small" onClick={() => setEditingMemory(null)}>
+                            Cancel
+                          </Button>
+                        </form>
+                      ) : (
+                        <>
+                          <div className="memory-info">
+                            <span className="memory-text">{memory.text}</span>
+                            <span className="memory-meta">
+                              {memory.sourceChatId ? (
+                                chatTitles.has(memory.sourceChatId) ? (
+                                  <>
+                                    From{' '}
+                                    <button
+                                      type="button"
+                                      className="memory-source"
+                                      onClick={() => handleOpenChat(memory.sourceChatId)}
+                                    >
+                                      {chatTitles.get(memory.sourceChatId)}
+                                    </button>
+                                  </>
+                                ) : 'From a deleted chat'
+                              ) : 'Added by you'}
+                              {' · '}{formatDate(memory.createdAt)}
+                            </span>
+                          </div>
+                          <div className="memory-actions">
+                            <Button
+                              variant="ghost"
+                              size="small"
+                              onClick={() => {
+                                setEditingMemory({ id: memory.id, text: memory.text });
+                                setMemoryError(null);
+                              }}
+                            >
+                              Edit
+                            </Button>
+                            <Button variant="ghost" size="small" onClick={() => deleteMemory(memory.id)}>
+                              Delete
+                            </Button>
+                          </div>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {memories.length > 0 && (
+                <div className="memory-footer">
+                  <Button variant="ghost" size="small" onClick={handleClearMemories}>
+                    Forget everything
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            <div className="profile-section">
+              <h3>Demo Mode</h3>
+              <div className="profile-field checkbox-field">
+                <input
+                  type="checkbox"
+                  id="mock-backend"
+                  checked={mockBackend}
+                  onChange={handleMockBackendChange}
+                />
+                <label htmlFor="mock-backend">Use the built-in mock backend instead of a server</label>
+              </div>
+              <p className="profile-field-hint">
+                Scripted mock models answer without Ollama or a GPU. The app reloads when this changes.
+              </p>
+            </div>
+
             <div className="profile-actions">
               <Button variant="primary">Save Changes</Button>
               <Button variant="secondary">Reset to Defaults</Button>
@@ -0,0 +1,216 @@
+import React, { useRef, useState } from 'react';
+import Button from '../../components/common/Button/Button';
+import { usePromptTemplates } from '../../hooks/usePromptTemplates';
+import {
+  BUILT_IN_COMMAND_NAMES,
+  createTemplate,
+  getTemplateVariables,
+  validateTemplate
+} from '../../services/prompts/index.js';
+import { downloadFile } from '../../utils/download';
+import './PromptsView.css';
+
+const PromptsView = ({ onNavigateToChat }) => {
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [errors, setErrors] = useState({});
+  // Outcome of the last import: { message, isError }
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const { templates, saveTemplate, deleteTemplate, importTemplates, exportTemplates } = usePromptTemplates();
+
+  const startEditing = (template) => {
+    setEditingTemplate(template);
+    setErrors({});
+  };
+
+  const handleDelete = (template) => {
+    if (window.confirm(`Delete the template /${template.name}?`)) {
+      deleteTemplate(template.id);
+      if (editingTemplate?.id === template.id) {
+        setEditingTemplate(null);
+      }
+    }
+  };
+
+  const updateField = (field, value) => {
+    setEditingTemplate((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const validation = validateTemplate(editingTemplate, { templates, reservedNames: BUILT_IN_COMMAND_NAMES });
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      saveTemplate(editingTemplate);
+      setEditingTemplate(null);
+    } catch (error) {
+      setErrors({ form: error.message });
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile('prompt-templates.json', exportTemplates(), 'application/json');
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { imported, skipped } = importTemplates(await file.text());
+      setImportResult({
+        message: `Imported ${imported} template${imported === 1 ? '' : 's'}${skipped > 0 ? `, skipped ${skipped} invalid or clashing with a command` : ''}`,
+        isError: imported === 0
+      });
+    } catch (error) {
+      setImportResult({ message: error.message, isError: true });
+    }
+  };
+
+  return (
+    <div className="prompts-view">
+      <div className="prompts-container">
+        <div className="prompts-header">
+          <Button
+            variant="ghost"
+            onClick={onNavigateToChat}
+            className="back-button"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            Back to Chat
+          </Button>
+        </div>
+
+        <div className="prompts-content">
+          <div className="prompts-title-section">
+            <div>
+              <h1>Prompt Library</h1>
+              <p className="prompts-subtitle">
+                Type / followed by a template's name in the chat to insert it. Write {'{{name}}'} for values asked for before sending.
+              </p>
+            </div>
+            <div className="prompts-title-actions">
+              <Button variant="ghost" size="small" onClick={() => fileInputRef.current?.click()}>
+                Import
+              </Button>
+              <Button variant="ghost" size="small" onClick={handleExport} disabled={templates.length === 0}>
+                Export
+              </Button>
+              <Button variant="primary" size="small" onClick={() => startEditing(createTemplate())}>
+                New template
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleImportFile}
+              />
+            </div>
+          </div>
+
+          {importResult && (
+            <div className={`prompts-import-result ${importResult.isError ? 'error' : ''}`}>
+              {importResult.message}
+            </div>
+          )}
+
+          {editingTemplate && (
+            <form className="prompt-form" onSubmit={handleSubmit}>
+              <div className="prompt-form-row">
+                <div className={`prompt-form-field ${errors.name ? 'invalid' : ''}`}>
+                  <label htmlFor="prompt-name">Command</label>
+                  <div className="prompt-form-name">
+                    <span>/</span>
+                    <input
+                      id="prompt-name"
+                      type="text"
+                      value={editingTemplate.name}
+                      onChange={(e) => updateField('name', e.target.value)}
+                      placeholder="e.g. translate"
+                    />
+                  </div>
+                  {errors.name && <span className="prompt-form-error">{errors.name}</span>}
+                </div>
+                <div className="prompt-form-field">
+                  <label htmlFor="prompt-description">Description</label>
+                  <input
+                    id="prompt-description"
+                    type="text"
+                    value={editingTemplate.description}
+                    onChange={(e) => updateField('description', e.target.value)}
+                    placeholder="Shown in the command menu"
+                  />
+                </div>
+              </div>
+
+              <div className={`prompt-form-field ${errors.content ? 'invalid' : ''}`}>
+                <label htmlFor="prompt-content">Prompt</label>
+                <textarea
+                  id="prompt-content"
+                  rows="8"
+                  value={editingTemplate.content}
+                  onChange={(e) => updateField('content', e.target.value)}
+                  placeholder="Translate the following text to {{language}}: {{text}}"
+                />
+                {errors.content && <span className="prompt-form-error">{errors.content}</span>}
+              </div>
+
+              {errors.form && <div className="prompt-form-error">{errors.form}</div>}
+
+              <div className="prompt-form-actions">
+                <Button type="button" variant="ghost" onClick={() => setEditingTemplate(null)}>
+                  Cancel
+                </Button>
+                <Button type="submit" variant="primary">
+                  Save template
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {templates.length === 0 ? (
+            <p className="prompts-empty">No templates yet. Create one or import a shared library.</p>
+          ) : (
+            <div className="prompt-list">
+              {templates.map((template) => {
+                const variables = getTemplateVariables(template.content);
+                return (
+                  <div key={template.id} className="prompt-card">
+                    <div className="prompt-card-info">
+                      <div className="prompt-card-name">/{template.name}</div>
+                      {(template.description || variables.length > 0) && (
+                        <div className="prompt-card-meta">
+                          {template.description}
+                          {template.description && variables.length > 0 && ' · '}
+                          {variables.length > 0 && `Asks for ${variables.join(', ')}`}
+                        </div>
+                      )}
+                      <p className="prompt-card-content">{template.content}</p>
+                    </div>
+                    <div className="prompt-card-actions">
+                      <Button variant="ghost" size="small" onClick={() => startEditing(template)}>Edit</Button>
+                      <Button variant="ghost" size="small" onClick={() => handleDelete(template)}>Delete</Button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromptsView;
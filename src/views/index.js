@@ -1,2 +1,7 @@
 export { default as ChatInterfaceView } from './ChatInterfaceView/ChatInterfaceView';
 export { default as ProfileView } from './ProfileView/ProfileView';
+export { default as ModelsView } from './ModelsView/ModelsView';
+export { default as PersonasView } from './PersonasView/PersonasView';
+export { default as KnowledgeView } from './KnowledgeView/KnowledgeView';
+export { default as EndpointsView } from './EndpointsView/EndpointsView';
+export { default as PromptsView } from './PromptsView/PromptsView';